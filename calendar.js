@@ -0,0 +1,227 @@
+/**
+ * Calendar Module
+ * ISO 8601 weeks for the weekly charts: weeks start on Monday and week 1 is the week with the
+ * year's first Thursday, so some years have 53 weeks and the first and last days of a calendar
+ * year can belong to the neighbouring week-year. Weekly data is { weekYear: { week: count } }.
+ * Aggregates weeks to months or quarters and aligns the same week across years, either by ISO
+ * week number or by nearest date.
+ * The weekly chart's view is stored in the version config as weekly: { view, align }.
+ * Used by chart-runtime.js (year-bars with period week), volum/tilsalgs_uke/generer.html and
+ * data-validator.js (valid weeks and gaps in uploaded weekly data).
+ */
+
+(function () {
+  'use strict';
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
+  const QUARTERS = ['K1', 'K2', 'K3', 'K4'];
+
+  const VIEWS = {
+    overlay: { name: 'År over hverandre' },
+    month: { name: 'Vis som måned' },
+    date: { name: 'Tidslinje' }
+  };
+
+  // How the years are lined up in the overlay view
+  const ALIGNS = {
+    week: { name: 'ISO-uke' },
+    date: { name: 'Nærmeste dato' }
+  };
+
+  // Share of a month's days that must be covered by weekly data for the month view to show it
+  const MONTH_COVERAGE = 0.75;
+
+  const valid = v => v !== null && v !== undefined && Number.isFinite(v);
+
+  // { view, align } with unknown values as the defaults (overlay by ISO week)
+  function normalize(weekly) {
+    return {
+      view: weekly && VIEWS[weekly.view] ? weekly.view : 'overlay',
+      align: weekly && ALIGNS[weekly.align] ? weekly.align : 'week'
+    };
+  }
+
+  // Monday of an ISO week, as a UTC date (4 January is always in week 1)
+  function weekStart(weekYear, week) {
+    const jan4 = Date.UTC(weekYear, 0, 4);
+    const mondayOfWeek1 = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY;
+    return new Date(mondayOfWeek1 + (week - 1) * 7 * DAY);
+  }
+
+  // ISO week-year and week of a date
+  function isoWeek(date) {
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const thursday = new Date(day + (3 - (new Date(day).getUTCDay() + 6) % 7) * DAY);
+    const year = thursday.getUTCFullYear();
+    return { year: year, week: 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY)) };
+  }
+
+  // 52 or 53 (28 December is always in the last week)
+  function weeksInYear(weekYear) {
+    return isoWeek(new Date(Date.UTC(weekYear, 11, 28))).week;
+  }
+
+  function isValidWeek(weekYear, week) {
+    return week >= 1 && week <= weeksInYear(weekYear);
+  }
+
+  // 'YYYY-MM-DD'
+  function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Copy without weeks the year does not have (week 53 in a 52-week year)
+  function dropInvalidWeeks(dataByYear) {
+    const result = {};
+    Object.keys(dataByYear).forEach(year => {
+      result[year] = {};
+      Object.keys(dataByYear[year]).forEach(week => {
+        if (isValidWeek(parseInt(year, 10), parseInt(week, 10))) result[year][week] = dataByYear[year][week];
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Consecutive weeks from the first to the last week with data, in calendar order.
+   * @returns {Array<{year: number, week: number, start: Date, value: number|null}>}
+   */
+  function toPoints(dataByYear) {
+    const present = [];
+    Object.keys(dataByYear).forEach(year => Object.keys(dataByYear[year]).forEach(week => {
+      const y = parseInt(year, 10);
+      const w = parseInt(week, 10);
+      if (valid(dataByYear[year][week]) && isValidWeek(y, w)) present.push(weekStart(y, w).getTime());
+    }));
+    if (!present.length) return [];
+
+    const points = [];
+    for (let t = Math.min(...present); t <= Math.max(...present); t += 7 * DAY) {
+      const start = new Date(t);
+      const { year, week } = isoWeek(start);
+      const value = dataByYear[year] ? dataByYear[year][week] : undefined;
+      points.push({ year: year, week: week, start: start, value: valid(value) ? value : null });
+    }
+    return points;
+  }
+
+  /**
+   * Sum weeks to calendar months or quarters. A week that spans two months is split by its days
+   * (1/7 of the count per day), which assumes an even spread over the week.
+   * A bucket is complete when every day in it is covered by a week with data.
+   * @param {Array} points - From toPoints()
+   * @param {string} unit - 'month' | 'quarter'
+   * @returns {Array<{year: number, index: number, key: string, start: string, value: number,
+   *   days: number, totalDays: number, complete: boolean}>} In calendar order
+   */
+  function aggregate(points, unit) {
+    const quarter = unit === 'quarter';
+    const buckets = new Map();
+    points.forEach(p => {
+      if (p.value === null) return;
+      for (let d = 0; d < 7; d++) {
+        const day = new Date(p.start.getTime() + d * DAY);
+        const year = day.getUTCFullYear();
+        const index = quarter ? Math.floor(day.getUTCMonth() / 3) : day.getUTCMonth();
+        const id = `${year}-${index}`;
+        if (!buckets.has(id)) {
+          const from = Date.UTC(year, quarter ? index * 3 : index, 1);
+          const to = Date.UTC(year, (quarter ? index * 3 + 3 : index + 1), 1);
+          buckets.set(id, {
+            year: year,
+            index: index,
+            key: quarter ? QUARTERS[index] : MONTHS[index],
+            start: formatDate(new Date(from)),
+            value: 0,
+            days: 0,
+            totalDays: Math.round((to - from) / DAY)
+          });
+        }
+        const bucket = buckets.get(id);
+        bucket.value += p.value / 7;
+        bucket.days++;
+      }
+    });
+    return Array.from(buckets.values())
+      .map(b => Object.assign(b, { complete: b.days === b.totalDays }))
+      .sort((a, b) => a.start < b.start ? -1 : 1);
+  }
+
+  /**
+   * Buckets from aggregate() as { year: { key: count } }, counts rounded to whole numbers.
+   * Buckets with at least minCoverage of their days covered are scaled up to the full month or
+   * quarter (a missing week 53 should not hide December); the rest are left out.
+   * @param {Array} buckets
+   * @param {number} [minCoverage=1] - Share of days, 0..1
+   */
+  function toYearTable(buckets, minCoverage = 1) {
+    const table = {};
+    buckets.forEach(b => {
+      if (b.days / b.totalDays < minCoverage) return;
+      if (!table[b.year]) table[b.year] = {};
+      table[b.year][b.key] = Math.round(b.value * b.totalDays / b.days);
+    });
+    return table;
+  }
+
+  // Weekly table as { year: { month: count } } for the month view
+  function byMonth(dataByYear) {
+    return toYearTable(aggregate(toPoints(dataByYear), 'month'), MONTH_COVERAGE);
+  }
+
+  // "01.01–07.01" for the days of an ISO week
+  function formatWeekRange(weekYear, week) {
+    const start = weekStart(weekYear, week);
+    const end = new Date(start.getTime() + 6 * DAY);
+    const short = d => `${formatDate(d).slice(8, 10)}.${formatDate(d).slice(5, 7)}`;
+    return `${short(start)}–${short(end)}`;
+  }
+
+  // The week of targetYear that contains the same calendar date as the Thursday of the given week
+  function nearestWeek(weekYear, week, targetYear) {
+    const thursday = new Date(weekStart(weekYear, week).getTime() + 3 * DAY);
+    const target = isoWeek(new Date(Date.UTC(targetYear, thursday.getUTCMonth(), thursday.getUTCDate())));
+    if (target.year < targetYear) return 1;
+    if (target.year > targetYear) return weeksInYear(targetYear);
+    return target.week;
+  }
+
+  /**
+   * Renumber every year's weeks to the weeks of targetYear that cover the same dates, so years
+   * line up by season instead of by week number. A week that lands on a taken week is dropped.
+   */
+  function alignByDate(dataByYear, targetYear) {
+    const result = {};
+    Object.keys(dataByYear).forEach(year => {
+      result[year] = {};
+      Object.keys(dataByYear[year]).map(Number).sort((a, b) => a - b).forEach(week => {
+        if (!isValidWeek(parseInt(year, 10), week)) return;
+        const target = nearestWeek(parseInt(year, 10), week, targetYear);
+        if (!(target in result[year])) result[year][target] = dataByYear[year][week];
+      });
+    });
+    return result;
+  }
+
+  window.Calendar = {
+    MONTHS: MONTHS,
+    QUARTERS: QUARTERS,
+    VIEWS: VIEWS,
+    ALIGNS: ALIGNS,
+    normalize: normalize,
+    weekStart: weekStart,
+    isoWeek: isoWeek,
+    weeksInYear: weeksInYear,
+    isValidWeek: isValidWeek,
+    formatDate: formatDate,
+    dropInvalidWeeks: dropInvalidWeeks,
+    toPoints: toPoints,
+    aggregate: aggregate,
+    toYearTable: toYearTable,
+    byMonth: byMonth,
+    formatWeekRange: formatWeekRange,
+    nearestWeek: nearestWeek,
+    alignByDate: alignByDate
+  };
+})();
@@ -0,0 +1,366 @@
+/**
+ * Chart Export Module
+ * SVG, PDF and PNG export of the generator pages' #captureArea, for print and the web.
+ *
+ * The export is composed from what the page shows: the title, subtitle, legend and source line
+ * (.chart-header, .chart-subheader, .legend-item, .chart-source) become SVG text and shapes at
+ * their on-screen positions, and the chart is Plotly's own SVG. The margins, border and
+ * background (transparency) set by updateMargins/updateBorders/updateTransparency are read from
+ * #captureArea's computed style, so the file matches the preview. Other elements, such as the
+ * area dropdown, are left out.
+ *   SVG  editable vector file (text stays text)
+ *   PNG  the SVG rasterized at 1x, 2x or 4x
+ *   PDF  a page of the chosen size in mm with the image rasterized at the chosen DPI, fitted and
+ *        centered; jsPDF is loaded from the CDN on first use
+ *
+ * The export controls (#exportFormat, #pdfControls with #pdfWidth, #pdfHeight, #pdfDpi) are wired
+ * up when this script loads; readControls() returns their options for download().
+ */
+
+(function () {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const JSPDF_URL = 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js';
+  const MM_PER_INCH = 25.4;
+  const DEFAULT_DPI = 300;
+  const DEFAULT_WIDTH_MM = 180;
+
+  function loadScript(url) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Kunne ikke laste ${url}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  function isVisible(el) {
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+  }
+
+  function isTransparentColor(color) {
+    return !color || color === 'transparent' || /^rgba\(.*,\s*0\)$/.test(color);
+  }
+
+  // SVG 1.1 has no rgba(), which print tools such as Illustrator don't read: split off the alpha
+  function paint(color) {
+    const m = /^rgba\((\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\)$/.exec(color || '');
+    if (!m) return { color: color, opacity: null };
+    return { color: `rgb(${m[1]}, ${m[2]}, ${m[3]})`, opacity: parseFloat(m[4]) < 1 ? parseFloat(m[4]) : null };
+  }
+
+  function svgElement(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs).forEach(key => {
+      if (attrs[key] === undefined || attrs[key] === null) return;
+      if (key === 'fill' || key === 'stroke') {
+        const p = paint(attrs[key]);
+        el.setAttribute(key, p.color);
+        if (p.opacity !== null) el.setAttribute(`${key}-opacity`, p.opacity);
+      } else {
+        el.setAttribute(key, attrs[key]);
+      }
+    });
+    return el;
+  }
+
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // Lines of an element's text as laid out on screen, so wrapped subtitles wrap the same way
+  function textLines(el) {
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    const node = Array.from(el.childNodes).find(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+    if (!node || el.childNodes.length > 1 || !document.createRange) return text ? [text] : [];
+
+    const lines = [];
+    const range = document.createRange();
+    let lastTop = null;
+    const re = /\S+/g;
+    let match;
+    while ((match = re.exec(node.textContent))) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      const rect = range.getBoundingClientRect();
+      if (lastTop === null || rect.top > lastTop + 1) {
+        lines.push(match[0]);
+        lastTop = rect.top;
+      } else {
+        lines[lines.length - 1] += ' ' + match[0];
+      }
+    }
+    return lines;
+  }
+
+  // <text> for an HTML text element, one <tspan> per line
+  function textElement(el, origin) {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    const fontSize = parseFloat(style.fontSize) || 14;
+    let lineHeight = parseFloat(style.lineHeight) || fontSize * 1.2;
+    if (lineHeight < fontSize / 2) lineHeight *= fontSize;  // unitless line-height
+    const lines = textLines(el);
+    if (!lines.length) return null;
+
+    const text = svgElement('text', {
+      x: round(rect.left - origin.left),
+      y: round(rect.top - origin.top),
+      'font-family': style.fontFamily,
+      'font-size': fontSize,
+      'font-weight': style.fontWeight,
+      'letter-spacing': style.letterSpacing !== 'normal' ? style.letterSpacing : null,
+      fill: style.color
+    });
+    lines.forEach((line, i) => {
+      // Baseline of each line box: centered line box, ascent about 0.8em
+      const baseline = i * lineHeight + (lineHeight - fontSize) / 2 + fontSize * 0.8;
+      const tspan = svgElement('tspan', { x: text.getAttribute('x'), dy: i === 0 ? round(baseline) : round(lineHeight) });
+      tspan.textContent = line;
+      text.appendChild(tspan);
+    });
+    return text;
+  }
+
+  // Swatch (dot, line or dashed average line) and label of an HTML legend item
+  function legendElements(item, origin) {
+    const group = svgElement('g', { class: 'legend-item' });
+    if (item.classList.contains('disabled')) group.setAttribute('opacity', getComputedStyle(item).opacity);
+
+    const swatch = item.querySelector('div');
+    if (swatch && isVisible(swatch)) {
+      const style = getComputedStyle(swatch);
+      const rect = swatch.getBoundingClientRect();
+      const x = rect.left - origin.left;
+      const y = rect.top - origin.top;
+      const borderTop = parseFloat(style.borderTopWidth) || 0;
+
+      if (borderTop > 0 && style.borderTopStyle !== 'none') {
+        group.appendChild(svgElement('line', {
+          x1: round(x), y1: round(y + borderTop / 2), x2: round(x + rect.width), y2: round(y + borderTop / 2),
+          stroke: style.borderTopColor,
+          'stroke-width': borderTop,
+          'stroke-dasharray': dashArray(style.borderTopStyle, borderTop)
+        }));
+      } else if (!isTransparentColor(style.backgroundColor)) {
+        group.appendChild(svgElement('rect', {
+          x: round(x), y: round(y), width: round(rect.width), height: round(rect.height),
+          rx: parseFloat(style.borderTopLeftRadius) || null,
+          fill: style.backgroundColor
+        }));
+      }
+    }
+
+    const label = item.querySelector('span');
+    const text = label && textElement(label, origin);
+    if (text) group.appendChild(text);
+    return group;
+  }
+
+  function dashArray(style, width) {
+    if (style === 'dashed') return `${round(width * 3)} ${round(width * 3)}`;
+    if (style === 'dotted') return `${round(width)} ${round(width)}`;
+    return null;
+  }
+
+  // Background and border of #captureArea (updateTransparency / updateBorders)
+  function frameElements(captureArea, width, height) {
+    const style = getComputedStyle(captureArea);
+    const elements = [];
+    if (!isTransparentColor(style.backgroundColor)) {
+      elements.push(svgElement('rect', { x: 0, y: 0, width: width, height: height, fill: style.backgroundColor }));
+    }
+
+    const sides = {
+      Top: [0, 0, width, 0],
+      Right: [width, 0, width, height],
+      Bottom: [0, height, width, height],
+      Left: [0, 0, 0, height]
+    };
+    Object.keys(sides).forEach(side => {
+      const w = parseFloat(style[`border${side}Width`]) || 0;
+      const lineStyle = style[`border${side}Style`];
+      if (!w || lineStyle === 'none' || lineStyle === 'hidden') return;
+      // Stroke inside the edge, like a CSS border
+      const [x1, y1, x2, y2] = sides[side];
+      const dx = side === 'Left' ? w / 2 : side === 'Right' ? -w / 2 : 0;
+      const dy = side === 'Top' ? w / 2 : side === 'Bottom' ? -w / 2 : 0;
+      elements.push(svgElement('line', {
+        x1: x1 + dx, y1: y1 + dy, x2: x2 + dx, y2: y2 + dy,
+        stroke: style[`border${side}Color`],
+        'stroke-width': w,
+        'stroke-dasharray': dashArray(lineStyle, w)
+      }));
+    });
+    return elements;
+  }
+
+  // Plotly's SVG of the chart at its on-screen size, as a nested <svg>
+  async function chartElement(gd, origin) {
+    const rect = gd.getBoundingClientRect();
+    const url = await Plotly.toImage(gd, { format: 'svg', width: Math.round(rect.width), height: Math.round(rect.height) });
+    const markup = decodeURIComponent(url.slice(url.indexOf(',') + 1));
+    const chart = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+    chart.setAttribute('x', round(rect.left - origin.left));
+    chart.setAttribute('y', round(rect.top - origin.top));
+    return document.importNode(chart, true);
+  }
+
+  /**
+   * SVG of #captureArea.
+   * @returns {Promise<{svg: string, width: number, height: number}>}
+   */
+  async function toSVG(captureArea) {
+    const gd = captureArea.querySelector('#chart');
+    if (!gd || !gd.data) throw new Error('Fant ingen graf å eksportere');
+
+    const origin = captureArea.getBoundingClientRect();
+    const width = Math.round(origin.width);
+    const height = Math.round(origin.height);
+    const svg = svgElement('svg', {
+      width: width,
+      height: height,
+      viewBox: `0 0 ${width} ${height}`
+    });
+
+    frameElements(captureArea, width, height).forEach(el => svg.appendChild(el));
+
+    captureArea.querySelectorAll('.chart-header, .chart-subheader, .chart-source').forEach(el => {
+      const text = isVisible(el) && textElement(el, origin);
+      if (text) svg.appendChild(text);
+    });
+    captureArea.querySelectorAll('.legend-item').forEach(item => {
+      if (isVisible(item)) svg.appendChild(legendElements(item, origin));
+    });
+    svg.appendChild(await chartElement(gd, origin));
+
+    return {
+      svg: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg),
+      width: width,
+      height: height
+    };
+  }
+
+  // Draw an SVG onto a canvas of the given pixel size
+  function rasterize(svg, pixelWidth, pixelHeight) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0, pixelWidth, pixelHeight);
+        resolve(canvas);
+      };
+      img.onerror = () => reject(new Error('Kunne ikke tegne bildet'));
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+  }
+
+  /**
+   * PNG of #captureArea at 1x, 2x or 4x.
+   * @returns {Promise<string>} data URL
+   */
+  async function toPNG(captureArea, scale = 2) {
+    const image = await toSVG(captureArea);
+    const canvas = await rasterize(image.svg, Math.round(image.width * scale), Math.round(image.height * scale));
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * PDF of #captureArea on a page of widthMm x heightMm (height follows the chart when empty),
+   * rasterized at dpi.
+   * @returns {Promise<Blob>}
+   */
+  async function toPDF(captureArea, options = {}) {
+    const image = await toSVG(captureArea);
+    const dpi = parseInt(options.dpi) || DEFAULT_DPI;
+    const pageWidth = parseFloat(options.widthMm) || DEFAULT_WIDTH_MM;
+    const pageHeight = parseFloat(options.heightMm) || round(pageWidth * image.height / image.width);
+
+    // Fit the image on the page, keeping its aspect ratio
+    const fit = Math.min(pageWidth / image.width, pageHeight / image.height);
+    const w = image.width * fit;
+    const h = image.height * fit;
+    const canvas = await rasterize(image.svg, Math.round(w / MM_PER_INCH * dpi), Math.round(h / MM_PER_INCH * dpi));
+
+    if (!window.jspdf) await loadScript(JSPDF_URL);
+    const pdf = new window.jspdf.jsPDF({
+      orientation: pageWidth > pageHeight ? 'landscape' : 'portrait',
+      unit: 'mm',
+      format: [pageWidth, pageHeight],
+      compress: true
+    });
+    const title = captureArea.querySelector('.chart-header');
+    if (title) pdf.setProperties({ title: title.textContent.trim() });
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', (pageWidth - w) / 2, (pageHeight - h) / 2, w, h, undefined, 'FAST');
+    return pdf.output('blob');
+  }
+
+  function save(href, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = href;
+    link.click();
+  }
+
+  /**
+   * Export and download #captureArea.
+   * options: { format: 'png' | 'svg' | 'pdf', scale, widthMm, heightMm, dpi, filename (without extension) }
+   */
+  async function download(captureArea, options) {
+    const filename = options.filename || 'graf';
+    if (options.format === 'svg') {
+      const image = await toSVG(captureArea);
+      const url = URL.createObjectURL(new Blob([image.svg], { type: 'image/svg+xml' }));
+      save(url, `${filename}.svg`);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } else if (options.format === 'pdf') {
+      const url = URL.createObjectURL(await toPDF(captureArea, options));
+      save(url, `${filename}.pdf`);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } else {
+      save(await toPNG(captureArea, options.scale), `${filename}.png`);
+    }
+  }
+
+  // Options from the page's export controls
+  function readControls() {
+    const value = id => {
+      const el = document.getElementById(id);
+      return el ? el.value : '';
+    };
+    const [format, scale] = (value('exportFormat') || 'png-2').split('-');
+    return {
+      format: format,
+      scale: parseInt(scale) || 2,
+      widthMm: value('pdfWidth'),
+      heightMm: value('pdfHeight'),
+      dpi: value('pdfDpi')
+    };
+  }
+
+  function initControls() {
+    const formatSelect = document.getElementById('exportFormat');
+    const pdfControls = document.getElementById('pdfControls');
+    if (!formatSelect || !pdfControls) return;
+    const update = () => {
+      pdfControls.style.display = formatSelect.value === 'pdf' ? '' : 'none';
+    };
+    formatSelect.addEventListener('change', update);
+    update();
+  }
+
+  initControls();
+
+  window.ChartExport = {
+    toSVG: toSVG,
+    toPNG: toPNG,
+    toPDF: toPDF,
+    download: download,
+    readControls: readControls
+  };
+})();
@@ -0,0 +1,180 @@
+/**
+ * Chart Registry Module
+ * Reads charts.json, the list of all charts with their data CSV, column schema, kind and URLs.
+ * index.html renders its overview from it, and the generic chart.html / chart-admin.html /
+ * chart-generer.html pages look up their chart with ?id=<chart id>. chart-admin.html also edits
+ * an entry's date-keyed datasets, such as prisutvikling's cpi (&dataset=cpi).
+ */
+
+(function () {
+  'use strict';
+
+  const REGISTRY_PATH = 'charts.json';
+  const ID_PATTERN = /^[a-z0-9_]+$/;
+
+  // Column schema for new year-bars charts, per period
+  const PERIOD_COLUMNS = {
+    month: [
+      { name: 'Måned', role: 'period' },
+      { name: 'År', role: 'year' }
+    ],
+    week: [
+      { name: 'Uke', role: 'period' },
+      { name: 'År', role: 'year' }
+    ]
+  };
+
+  let _charts = [];
+
+  function dirname(path) {
+    const idx = path.lastIndexOf('/');
+    return idx < 0 ? '' : path.slice(0, idx);
+  }
+
+  function basename(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  const ChartRegistry = {
+
+    REGISTRY_PATH: REGISTRY_PATH,
+    PERIOD_COLUMNS: PERIOD_COLUMNS,
+
+    /**
+     * Load charts.json.
+     * @param {string} rootUrl - Path from the current page to the repo root ('' or '../')
+     */
+    async load(rootUrl = '') {
+      const resp = await fetch(`${rootUrl}${REGISTRY_PATH}?t=${Date.now()}`);
+      if (!resp.ok) throw new Error(`Kunne ikke laste ${REGISTRY_PATH}: ${resp.status}`);
+      const data = await resp.json();
+      _charts = data.charts || [];
+      return _charts;
+    },
+
+    list() {
+      return _charts.slice();
+    },
+
+    get(id) {
+      return _charts.find(c => c.id === id) || null;
+    },
+
+    /**
+     * Root-relative URLs for a chart. Charts without their own pages use the generic ones;
+     * only year-bars charts have a generic admin, and year-bars and market-balance charts a
+     * generic generator (market-balance data is updated through its source charts).
+     */
+    urls(entry) {
+      const generic = entry.kind === 'year-bars';
+      return {
+        publicUrl: entry.publicUrl || `chart.html?id=${entry.id}`,
+        adminUrl: entry.adminUrl || (generic && entry.data ? `chart-admin.html?id=${entry.id}` : null),
+        generatorUrl: entry.generatorUrl ||
+          (generic || entry.kind === 'market-balance' ? `chart-generer.html?id=${entry.id}` : null)
+      };
+    },
+
+    // Column name per role, e.g. { period: 'Uke', year: 'År', value: 'AntallLagtUt' }
+    columnsByRole(entry) {
+      const cols = {};
+      (entry.columns || []).forEach(c => {
+        if (c.name) cols[c.role] = c.name;
+      });
+      return cols;
+    },
+
+    // Options for Grafer.renderChart(), with paths relative to the page at rootUrl
+    renderOptions(entry, rootUrl = '') {
+      const opts = {
+        kind: entry.kind,
+        versionsUrl: entry.versions ? rootUrl + entry.versions : undefined
+      };
+
+      if (entry.kind === 'year-bars') {
+        opts.period = entry.period || 'month';
+        opts.dataUrl = rootUrl + entry.data;
+        opts.columns = this.columnsByRole(entry);
+        if (opts.period === 'week') opts.defaultAspect = '2.0';
+      } else if (entry.kind === 'index-lines') {
+        opts.dataUrl = rootUrl + entry.data;
+        opts.layoutUrl = rootUrl + entry.layout;
+        opts.configUrl = rootUrl + entry.config;
+        if (entry.cpi) opts.cpiUrl = rootUrl + entry.cpi.data;
+        opts.defaultAspect = '1.33';
+      } else if (entry.kind === 'market-12m' || entry.kind === 'market-balance') {
+        // Sold and listed come from other charts' data files, read with those charts' column names
+        opts.dataUrls = {};
+        opts.sourceColumns = {};
+        Object.keys(entry.sources || {}).forEach(key => {
+          const source = this.get(entry.sources[key]);
+          if (!source) throw new Error(`Ukjent datakilde for ${entry.id}: ${entry.sources[key]}`);
+          opts.dataUrls[key] = rootUrl + source.data;
+          opts.sourceColumns[key] = this.columnsByRole(source);
+        });
+        if (entry.kind === 'market-balance') {
+          opts.metric = entry.metric;
+        } else {
+          opts.defaultAspect = '1.33';
+        }
+      }
+
+      return opts;
+    },
+
+    /**
+     * Build a registry entry for a new year-bars chart.
+     * fields: { id, title, subtitle, description, period, valueColumn, folder, meta }
+     * Data and versions are stored next to each other in `folder`.
+     */
+    createEntry(fields) {
+      const id = (fields.id || '').trim();
+      if (!ID_PATTERN.test(id)) throw new Error('Ugyldig id. Bruk bare små bokstaver, tall og _.');
+      if (this.get(id)) throw new Error(`Det finnes allerede en graf med id "${id}".`);
+      if (!fields.title) throw new Error('Tittel mangler.');
+
+      const period = PERIOD_COLUMNS[fields.period] ? fields.period : 'month';
+      const valueColumn = (fields.valueColumn || '').trim();
+      if (!valueColumn) throw new Error('Navn på verdikolonne mangler.');
+      if (PERIOD_COLUMNS[period].some(c => c.name === valueColumn)) {
+        throw new Error(`Verdikolonnen kan ikke hete "${valueColumn}".`);
+      }
+
+      const folder = (fields.folder || '').trim().replace(/^\/+|\/+$/g, '');
+      const prefix = folder ? folder + '/' : '';
+
+      return {
+        id: id,
+        title: fields.title.trim(),
+        subtitle: (fields.subtitle || '').trim(),
+        description: (fields.description || '').trim(),
+        status: 'Ny',
+        meta: fields.meta || [period === 'week' ? 'Ukentlig' : 'Månedlig'],
+        kind: 'year-bars',
+        period: period,
+        data: `${prefix}data_${id}.csv`,
+        columns: PERIOD_COLUMNS[period].concat([{ name: valueColumn, role: 'value' }]),
+        versions: `${prefix}versions_${id}.json`
+      };
+    },
+
+    // Header-only CSV for a new chart's data file
+    templateCSV(entry) {
+      return (entry.columns || []).filter(c => c.name).map(c => c.name).join(',') + '\n';
+    },
+
+    // charts.json content with the given entry appended
+    serializeWith(entry) {
+      return JSON.stringify({ charts: _charts.concat([entry]) }, null, 2) + '\n';
+    },
+
+    add(entry) {
+      _charts.push(entry);
+    },
+
+    dirname: dirname,
+    basename: basename
+  };
+
+  window.ChartRegistry = ChartRegistry;
+})();
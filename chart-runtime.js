@@ -0,0 +1,2631 @@
+/**
+ * Chart Runtime Module
+ * Shared rendering logic for the public chart pages: version/URL settings, themes (theme.js),
+ * tooltip, keyboard-operable legend, responsive rebuild, embed auto-resize, the embed message API
+ * (protocol documented in embed.js), ?snapshot=1 image output, the accessible data table,
+ * summary and CSV download under each chart, and the reader's selections as a link (#show=...).
+ * Versions from versions.json (?v=) are upgraded to the kind's current schema (config-schema.js)
+ * before they are read, so versions saved by older generators still render as intended.
+ * Each public chart page includes this and calls Grafer.renderChart() with chart-specific config.
+ */
+
+(function () {
+  'use strict';
+
+  const FONT_FAMILY = 'Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
+  const MONTH_NAMES = {
+    'jan': 'Januar', 'feb': 'Februar', 'mar': 'Mars', 'apr': 'April',
+    'mai': 'Mai', 'jun': 'Juni', 'jul': 'Juli', 'aug': 'August',
+    'sep': 'September', 'okt': 'Oktober', 'nov': 'November', 'des': 'Desember'
+  };
+
+  const PLOTLY_CONFIG = {
+    responsive: true,
+    displaylogo: false,
+    displayModeBar: false
+  };
+
+  const isEmbedded = window.self !== window.top;
+
+  // Origin of the page embedding this chart. Embed messages are only sent to and accepted from it.
+  const PARENT_ORIGIN = isEmbedded ? findParentOrigin() : null;
+
+  // ?ref=<branch> previews unpublished data and versions (pull requests awaiting review)
+  const RAW_BASE = 'https://raw.githubusercontent.com/tskjelde-bit/grafer';
+  // This script sits in the repo root, so its URL maps page-relative data URLs to repo paths
+  const ROOT_URL = document.currentScript && document.currentScript.src ? new URL('.', document.currentScript.src).href : null;
+
+  // ---- Helpers ----
+
+  // ancestorOrigins where supported, else the referrer (embed.js sets referrerpolicy="origin" on its iframes)
+  function findParentOrigin() {
+    try {
+      const ancestors = window.location.ancestorOrigins;
+      const origin = ancestors && ancestors.length ? ancestors[0]
+        : document.referrer ? new URL(document.referrer).origin : null;
+      return origin && origin !== 'null' ? origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function withCacheBust(url) {
+    return url + (url.includes('?') ? '&' : '?') + 't=' + Date.now();
+  }
+
+  // Same file on another branch, read from raw.githubusercontent.com
+  function refUrl(url, ref) {
+    if (!url || !ROOT_URL) return url;
+    const abs = new URL(url, window.location.href).href;
+    if (!abs.startsWith(ROOT_URL)) return url;
+    return `${RAW_BASE}/${ref.split('/').map(encodeURIComponent).join('/')}/${abs.slice(ROOT_URL.length)}`;
+  }
+
+  function applyRef(opts, ref) {
+    ['dataUrl', 'layoutUrl', 'configUrl', 'cpiUrl', 'versionsUrl'].forEach(key => {
+      if (opts[key]) opts[key] = refUrl(opts[key], ref);
+    });
+    if (opts.dataUrls) {
+      opts.dataUrls = Object.fromEntries(Object.entries(opts.dataUrls).map(([k, url]) => [k, refUrl(url, ref)]));
+    }
+
+    if (!isEmbedded) {
+      const banner = document.createElement('div');
+      banner.textContent = `Forhåndsvisning av ${ref} - ikke publisert`;
+      banner.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; z-index: 1000; padding: 4px 8px; ' +
+        'background: #f59e0b; color: #111; font: 12px ' + FONT_FAMILY + '; text-align: center;';
+      document.body.appendChild(banner);
+    }
+  }
+
+  function whenPlotlyReady() {
+    return new Promise(resolve => {
+      (function check() {
+        if (typeof Plotly === 'undefined') {
+          setTimeout(check, 50);
+          return;
+        }
+        resolve();
+      })();
+    });
+  }
+
+  function parseCSV(text) {
+    // Remove BOM if present
+    if (text.charCodeAt(0) === 0xFEFF) {
+      text = text.slice(1);
+    }
+    const lines = text.trim().split(/\r?\n/);
+    const headers = lines[0].split(',').map(h => h.trim());
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      rows.push(line.split(',').map(c => c.trim()));
+    }
+    return { headers, rows };
+  }
+
+  // Find the period/year/value columns of a "period,year,value" style CSV, in any column order.
+  // Explicit column names (from the chart registry) take precedence over header sniffing.
+  function findColumns(headers, periodMatch, names) {
+    if (names) {
+      return {
+        period: headers.indexOf(names.period),
+        year: headers.indexOf(names.year),
+        value: headers.indexOf(names.value)
+      };
+    }
+    const lower = headers.map(h => h.toLowerCase());
+    return {
+      period: lower.findIndex(periodMatch),
+      year: lower.findIndex(h => h.includes('year') || h === 'år'),
+      value: lower.findIndex(h => h.includes('solgt') || h.includes('antall') || h.includes('value'))
+    };
+  }
+
+  function formatNumberNO(x, decimals, empty) {
+    if (x === null || x === undefined || Number.isNaN(x)) return empty === undefined ? '' : empty;
+    if (decimals === undefined) return x.toLocaleString('nb-NO');
+    return x.toFixed(decimals).replace('.', ',');
+  }
+
+  function hexToRgba(hex, opacity) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  }
+
+  // Same color (rgba() or #rrggbb) with another opacity
+  function withAlpha(color, opacity) {
+    if (/^#[0-9a-f]{6}$/i.test(color)) return hexToRgba(color, opacity);
+    return String(color).replace(/,\s*[\d.]+\)$/, `, ${opacity})`);
+  }
+
+  // Full-opacity variant of an rgba() color, used to highlight hovered bars
+  function toOpaque(color) {
+    return withAlpha(color, 1);
+  }
+
+  // Opacity of series that are not highlighted (embed highlight command)
+  const DIMMED_OPACITY = 0.25;
+
+  // "Oslo: Frogner" -> "Frogner"
+  function shortName(name) {
+    return name.replace(/^[^:]*:\s*/, '');
+  }
+
+  // Case-insensitive lookup of series names given by a host page; throws on unknown names.
+  // Names may leave out a "Oslo: " style prefix, so "Frogner" finds "Oslo: Frogner".
+  function matchNames(wanted, available, what) {
+    return wanted.map(name => {
+      const key = String(name).toLowerCase();
+      const found = available.find(a => a.toLowerCase() === key) ||
+        available.find(a => shortName(a).toLowerCase() === key);
+      if (!found) throw new Error(`Ukjent ${what}: ${name}`);
+      return found;
+    });
+  }
+
+  // Predicate for "is this series one of the wanted names" (null: all). Unlike matchNames,
+  // unknown names are ignored, since links outlive series (a year that is not shown on a phone).
+  function nameFilter(wanted) {
+    if (!wanted) return () => true;
+    const keys = wanted.map(name => String(name).toLowerCase());
+    return name => keys.includes(name.toLowerCase()) || keys.includes(shortName(name).toLowerCase());
+  }
+
+  function getMaxYearsToShow() {
+    const width = window.innerWidth;
+    if (width <= 480) return 3;
+    if (width <= 768) return 4;
+    if (width <= 1024) return 5;
+    return 6;
+  }
+
+  function average(values) {
+    const vals = values.filter(v => v != null);
+    return vals.length > 0 ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  }
+
+  /**
+   * Build tooltip markup.
+   * @param {string} title - Heading (date, month or week)
+   * @param {Array<{color: string, label: string, value: string, hero?: boolean}>} rows
+   */
+  function buildTooltipHTML(title, rows) {
+    const body = rows.map(row => `
+      <div class="dot" style="background:${row.color}"></div>
+      <div class="label ${row.hero ? 'hero' : ''}">${row.label}</div>
+      <div class="val">${row.value}</div>
+    `).join('');
+    return `<div class="date">${title}</div><div class="rows">${body}</div>`;
+  }
+
+  function positionTooltip(tipEl, evt) {
+    const r = tipEl.getBoundingClientRect();
+    const pad = 10;
+    let x, y;
+
+    // Place tooltip on the opposite side of the cursor from the nearest screen edge
+    if (evt.clientX < window.innerWidth / 2) {
+      x = evt.clientX + 18;
+      tipEl.classList.add('flipped');
+    } else {
+      x = evt.clientX - r.width - 18;
+      tipEl.classList.remove('flipped');
+    }
+
+    y = evt.clientY - 26;
+
+    if (x < pad) x = pad;
+    if (x + r.width > window.innerWidth - pad) x = window.innerWidth - r.width - pad;
+    if (y < pad) y = pad;
+    if (y + r.height > window.innerHeight - pad) y = window.innerHeight - r.height - pad;
+
+    tipEl.style.left = x + 'px';
+    tipEl.style.top = y + 'px';
+  }
+
+  function hideDefaultHover(gd) {
+    try {
+      const hoverlayer = gd.querySelector('.hoverlayer');
+      if (hoverlayer) hoverlayer.style.display = 'none';
+    } catch (e) { }
+  }
+
+  // ---- Page settings ----
+
+  function setTransparent() {
+    document.documentElement.style.background = 'transparent';
+    document.body.style.background = 'transparent';
+    const wrap = document.querySelector('.wrap');
+    const chartWrapper = document.querySelector('.chart-wrapper');
+    if (wrap) wrap.style.background = 'transparent';
+    if (chartWrapper) chartWrapper.style.background = 'transparent';
+  }
+
+  // Undo inline theme/transparency overrides so a page can be re-rendered with other settings
+  function resetPageStyles() {
+    if (window.Theme) Theme.resetPage();
+    document.documentElement.style.background = '';
+    document.body.style.background = '';
+    const wrap = document.querySelector('.wrap');
+    const chartWrapper = document.querySelector('.chart-wrapper');
+    if (wrap) wrap.style.background = '';
+    if (chartWrapper) chartWrapper.style.background = '';
+  }
+
+  function applyAspect(aspect) {
+    const chart = document.getElementById('chart');
+    const chartWrapper = document.querySelector('.chart-wrapper');
+    if (chart) chart.style.aspectRatio = aspect;
+    if (chartWrapper) chartWrapper.style.aspectRatio = aspect;
+  }
+
+  // Apply the page-level parts of a version config (theme, aspect, headers, margins, border)
+  function applyBasicSettings(cfg, settings, theme) {
+    resetPageStyles();
+    Theme.applyPage(theme);
+    applyAspect(settings.aspect);
+
+    if (cfg.header) {
+      const h = document.querySelector('.chart-header');
+      if (h) {
+        h.textContent = cfg.header.text || h.textContent;
+        if (cfg.header.fontSize) h.style.fontSize = cfg.header.fontSize + 'px';
+      }
+    }
+    if (cfg.subheader) {
+      const s = document.querySelector('.chart-subheader');
+      if (s) {
+        s.textContent = cfg.subheader.text || s.textContent;
+        if (cfg.subheader.fontSize) s.style.fontSize = cfg.subheader.fontSize + 'px';
+      }
+    }
+
+    // Source line, on pages that have one (the generators)
+    const source = document.querySelector('.chart-source');
+    if (source) source.textContent = (cfg.source && cfg.source.text) || '';
+
+    if (cfg.fontInherit) {
+      document.querySelector('.chart-header')?.style.setProperty('font-family', 'inherit');
+      document.querySelector('.chart-subheader')?.style.setProperty('font-family', 'inherit');
+    }
+
+    const wrap = document.querySelector('.wrap');
+    if (cfg.margins && wrap) {
+      if (cfg.margins.top) wrap.style.paddingTop = cfg.margins.top + 'px';
+      if (cfg.margins.right) wrap.style.paddingRight = cfg.margins.right + 'px';
+      if (cfg.margins.bottom) wrap.style.paddingBottom = cfg.margins.bottom + 'px';
+      if (cfg.margins.left) wrap.style.paddingLeft = cfg.margins.left + 'px';
+    }
+
+    if (cfg.border && cfg.border.enabled && wrap) {
+      ['top', 'right', 'bottom', 'left'].forEach(side => {
+        if (cfg.border[side]) {
+          wrap.style[`border${side.charAt(0).toUpperCase() + side.slice(1)}`] =
+            `${cfg.border[side].width || 1}px ${cfg.border[side].style || 'solid'} ${cfg.border[side].color || '#cccccc'}`;
+        }
+      });
+    }
+
+    if (settings.transparent) setTransparent();
+  }
+
+  // Preview (?minimal=true) and iframe embed modes
+  function applyPageModes() {
+    if (window.location.search.includes('minimal=true')) {
+      document.querySelector('.chart-header')?.style.setProperty('display', 'none');
+      document.querySelector('.chart-subheader')?.style.setProperty('display', 'none');
+      document.querySelector('.legend-container')?.style.setProperty('display', 'none');
+      document.querySelector('.controls-header')?.style.setProperty('display', 'none');
+      document.querySelector('.wrap')?.style.setProperty('padding', '0');
+      document.querySelector('.wrap')?.style.setProperty('margin', '0');
+    }
+
+    // Embed mode - no margins for iframes, inherit fonts
+    if (isEmbedded) {
+      document.querySelector('.wrap')?.style.setProperty('margin', '0');
+      document.querySelector('.wrap')?.style.setProperty('padding', '0');
+      document.querySelector('.wrap')?.style.setProperty('max-width', 'none');
+      document.body.style.fontFamily = 'inherit';
+    }
+  }
+
+  function loadVersionConfig(versionsUrl, versionId) {
+    return fetch(withCacheBust(versionsUrl))
+      .then(r => r.ok ? r.json() : null)
+      .then(data => (data && data.versions && data.versions[versionId]) ? data.versions[versionId].config : null)
+      .catch(() => null);
+  }
+
+  // config-schema.js is only loaded for versions from versions.json; the inline opts.config is
+  // already current
+  function upgradeVersionConfig(kind, vc) {
+    if (!vc) return Promise.resolve(null);
+    const loaded = window.ConfigSchema ? Promise.resolve() : loadScript(ROOT_URL ? ROOT_URL + 'config-schema.js' : 'config-schema.js');
+    return loaded
+      .then(() => {
+        const upgraded = ConfigSchema.upgrade(kind, vc);
+        upgraded.warnings.forEach(w => console.warn(w));
+        return upgraded.config;
+      })
+      .catch(() => vc);
+  }
+
+  // Real prices (index-lines): the version's real: { enabled, baseYear }, overridden by
+  // ?real=<base year>, ?real=1 (latest KPI year) or ?real=0
+  function resolveReal(vc, urlParams) {
+    const param = urlParams.get('real');
+    if (param === null) return vc && vc.real && vc.real.enabled ? { enabled: true, baseYear: vc.real.baseYear || null } : null;
+    if (param === '0') return null;
+    return { enabled: true, baseYear: /^\d{4}$/.test(param) ? parseInt(param, 10) : null };
+  }
+
+  // Merge version config (if any) with legacy URL params into one settings object
+  function resolveSettings(vc, urlParams, opts) {
+    if (vc) {
+      return {
+        theme: vc.theme || null,
+        aspect: vc.aspect || opts.defaultAspect,
+        transparent: vc.transparent || false,
+        palette: vc.palette || 'default',
+        opacity: vc.opacity || 0.7,
+        avg: {
+          enabled: vc.avg ? vc.avg.enabled !== false : true,
+          color: vc.avg ? vc.avg.color : null,
+          lineWidth: vc.avg ? (vc.avg.lineWidth || 3) : 3,
+          dashed: vc.avg ? (vc.avg.dashed !== false) : true
+        },
+        customYearColors: vc.customYearColors || {},
+        trend: vc.trend || null,
+        weekly: vc.weekly || null,
+        months: vc.months !== undefined ? vc.months : null,
+        transform: vc.transform || null,
+        real: resolveReal(vc, urlParams)
+      };
+    }
+    return {
+      theme: urlParams.get('theme'),
+      aspect: urlParams.get('aspect') || opts.defaultAspect,
+      transparent: urlParams.get('transparent') === '1',
+      palette: urlParams.get('palette') || 'default',
+      opacity: 0.7,
+      avg: {
+        enabled: urlParams.get('avg') !== '0',
+        color: null,
+        lineWidth: 3,
+        dashed: true
+      },
+      customYearColors: {},
+      trend: null,
+      weekly: null,
+      months: null,
+      transform: null,
+      real: resolveReal(null, urlParams)
+    };
+  }
+
+  function loadThemeModule() {
+    return window.Theme ? Promise.resolve() : loadScript(ROOT_URL ? ROOT_URL + 'theme.js' : 'theme.js');
+  }
+
+  // theme.js and the theme file (themes/<id>.json). settings.theme becomes the id in use,
+  // since unknown ids give the default theme.
+  function loadTheme(settings) {
+    return loadThemeModule().then(() => Theme.load(settings.theme)).then(theme => {
+      settings.theme = theme.id;
+      return theme;
+    });
+  }
+
+  // ---- Embed auto-resize ----
+
+  function sendHeight() {
+    if (!isEmbedded) return;
+    const wrap = document.querySelector('.wrap');
+    const height = Math.max(
+      document.body.scrollHeight,
+      document.body.offsetHeight,
+      wrap ? wrap.offsetHeight : 0
+    );
+    // The height is harmless to share, so older embeds without a known parent origin still resize
+    window.parent.postMessage({ type: 'grafer-resize', height: height }, PARENT_ORIGIN || '*');
+  }
+
+  let embedResizeStarted = false;
+
+  function initEmbedResize() {
+    if (embedResizeStarted) return;
+    embedResizeStarted = true;
+
+    window.addEventListener('load', () => {
+      setTimeout(sendHeight, 200);
+      setTimeout(sendHeight, 500);
+      setTimeout(sendHeight, 1000);
+      setTimeout(sendHeight, 2000);
+    });
+
+    const resizeObserver = new ResizeObserver(() => {
+      sendHeight();
+    });
+    resizeObserver.observe(document.body);
+
+    // Send periodically for first few seconds to catch Plotly render
+    let attempts = 0;
+    const interval = setInterval(() => {
+      sendHeight();
+      attempts++;
+      if (attempts > 10) clearInterval(interval);
+    }, 300);
+  }
+
+  // ---- Embed messages ----
+  // Commands from the host page and events back to it; see embed.js for the protocol.
+  // Render functions expose what a chart kind supports as ctx.controls:
+  //   series() -> [{ name, visible }], setAreas(names), setYears(years), highlight(name),
+  //   setVisible(names), setRange(from, to), showAverage(show)
+  // (all optional). null resets a selection or highlight to the default.
+
+  let lastOptions = null;      // renderChart options, for re-rendering with another theme
+  let currentChart = Promise.resolve(null);
+  // Host selections, re-applied when the chart is rendered again
+  const embedState = { theme: null, areas: null, years: null, highlight: null };
+  const SELECTION_COMMANDS = { setAreas: 'areas', setYears: 'years', highlight: 'highlight' };
+
+  function emitEvent(event, detail) {
+    if (!PARENT_ORIGIN) return;
+    window.parent.postMessage({ type: 'grafer-event', event: event, detail: detail || {} }, PARENT_ORIGIN);
+  }
+
+  function chartState(ctx) {
+    return {
+      kind: ctx.opts.kind,
+      theme: ctx.settings.theme,
+      series: ctx.controls.series ? ctx.controls.series() : []
+    };
+  }
+
+  function runControl(ctx, command, arg) {
+    const control = ctx.controls[command];
+    if (!control) throw new Error(`${command} støttes ikke for ${ctx.opts.kind}`);
+    return control(arg);
+  }
+
+  // A reader's legend or area toggle: tell the host page and update the link
+  function seriesToggled(ctx, change) {
+    emitEvent('legend-toggle', change);
+    updateLinkState(ctx);
+  }
+
+  function onChartReady(ctx) {
+    ctx.controls = ctx.controls || {};
+    let applied = applyLinkState(ctx);
+    Object.keys(SELECTION_COMMANDS).forEach(command => {
+      const value = embedState[SELECTION_COMMANDS[command]];
+      if (value === null || !ctx.controls[command]) return;
+      applied = applied.then(() => runControl(ctx, command, value)).catch(err => console.error(err));
+    });
+    return applied.then(() => emitEvent('ready', chartState(ctx)));
+  }
+
+  function runEmbedCommand(command, args) {
+    if (command === 'setTheme') {
+      const theme = args[0];
+      return loadThemeModule().then(() => {
+        if (!Theme.exists(theme)) throw new Error(`Ukjent tema: ${theme}`);
+        embedState.theme = theme;
+        return Grafer.renderChart(lastOptions);
+      }).then(() => currentChart).then(ctx => ctx ? chartState(ctx) : null);
+    }
+
+    return currentChart.then(ctx => {
+      if (!ctx) throw new Error('Grafen er ikke klar');
+      if (command === 'getState') return chartState(ctx);
+      if (command === 'toPNG') {
+        const o = args[0] || {};
+        return Plotly.toImage(ctx.gd, { format: 'png', scale: o.scale || 1, width: o.width, height: o.height });
+      }
+      if (SELECTION_COMMANDS[command]) {
+        const value = args[0] === undefined ? null : args[0];
+        return Promise.resolve(runControl(ctx, command, value)).then(() => {
+          embedState[SELECTION_COMMANDS[command]] = value;
+          return chartState(ctx);
+        });
+      }
+      throw new Error(`Ukjent kommando: ${command}`);
+    });
+  }
+
+  let embedApiStarted = false;
+
+  function initEmbedApi() {
+    if (embedApiStarted || !PARENT_ORIGIN) return;
+    embedApiStarted = true;
+
+    window.addEventListener('message', e => {
+      const msg = e.data;
+      if (e.source !== window.parent || e.origin !== PARENT_ORIGIN) return;
+      if (!msg || msg.type !== 'grafer-command') return;
+
+      const reply = body => window.parent.postMessage(Object.assign({ type: 'grafer-reply', id: msg.id }, body), PARENT_ORIGIN);
+      Promise.resolve()
+        .then(() => runEmbedCommand(msg.command, Array.isArray(msg.args) ? msg.args : []))
+        .then(result => reply({ result: result }), err => reply({ error: err.message }));
+    });
+  }
+
+  // ---- Deep links ----
+  // The reader's selections are kept in the URL hash, on top of the version config, so a shared
+  // link shows the chart as the reader left it: #show=Frogner,Stovner&from=2015&avg=0
+  //   show       visible series (legend years, bydeler), written only when some are hidden
+  //   from, to   time window of index-lines, as a year or an ISO date
+  //   avg        0 hides the average line (year-bars)
+  //   highlight  series to emphasise
+  // The hash is rewritten as the reader interacts, except in embeds (the host page has the embed
+  // API for this) and generators (inline config).
+
+  let linkState = null;
+  let linkListenerStarted = false;
+
+  function readLinkState() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const list = key => params.get(key) ? params.get(key).split(',').map(n => n.trim()).filter(Boolean) : null;
+    const date = key => /^\d{4}(-\d{2}-\d{2})?$/.test(params.get(key) || '') ? params.get(key) : null;
+    return {
+      show: list('show'),
+      from: date('from'),
+      to: date('to'),
+      avg: params.get('avg') === '0' ? false : null,
+      highlight: params.get('highlight') || null
+    };
+  }
+
+  function writeLinkState() {
+    if (!linkState || isEmbedded) return;
+    const params = new URLSearchParams();
+    if (linkState.show) params.set('show', linkState.show.map(shortName).join(','));
+    if (linkState.from) params.set('from', linkState.from);
+    if (linkState.to) params.set('to', linkState.to);
+    if (linkState.avg === false) params.set('avg', '0');
+    if (linkState.highlight) params.set('highlight', linkState.highlight);
+    const hash = params.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', window.location.pathname + window.location.search + (hash ? '#' + hash : ''));
+  }
+
+  // Take the visible series from the chart, merge in other changes and rewrite the hash
+  function updateLinkState(ctx, changes) {
+    if (!linkState) return;
+    if (ctx.controls && ctx.controls.series) {
+      const series = ctx.controls.series();
+      linkState.show = series.some(s => !s.visible) ? series.filter(s => s.visible).map(s => s.name) : null;
+    }
+    Object.assign(linkState, changes || {});
+    writeLinkState();
+  }
+
+  // Restore the link's selections; a step the chart kind cannot do is skipped
+  function applyLinkState(ctx) {
+    if (!linkState) return Promise.resolve();
+    const steps = [];
+    if (linkState.show && ctx.controls.setVisible) steps.push(() => ctx.controls.setVisible(linkState.show));
+    if ((linkState.from || linkState.to) && ctx.controls.setRange) steps.push(() => ctx.controls.setRange(linkState.from, linkState.to));
+    if (linkState.avg === false && ctx.controls.showAverage) steps.push(() => ctx.controls.showAverage(false));
+    if (linkState.highlight && ctx.controls.highlight) steps.push(() => ctx.controls.highlight(linkState.highlight));
+    return steps.reduce((done, step) => done.then(step).catch(err => console.warn('Lenke:', err.message)), Promise.resolve());
+  }
+
+  // Edited links (a new hash typed into the address bar) render the chart again
+  function initLinkListener() {
+    if (linkListenerStarted || isEmbedded) return;
+    linkListenerStarted = true;
+    window.addEventListener('hashchange', () => {
+      if (lastOptions && !lastOptions.config) Grafer.renderChart(lastOptions);
+    });
+  }
+
+  // ---- Snapshots ----
+  // ?snapshot=1 renders the snapshot images (chart-snapshot.js) into the page as JSON in
+  // <script id="graferSnapshot">, where render_snapshots.py reads them from headless Chrome
+
+  function loadScript(url) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('Kunne ikke laste ' + url));
+      document.head.appendChild(script);
+    });
+  }
+
+  function writeSnapshot(ctx) {
+    const output = result => {
+      const el = document.createElement('script');
+      el.type = 'application/json';
+      el.id = 'graferSnapshot';
+      el.textContent = JSON.stringify(result).replace(/</g, '\\u003c');
+      document.body.appendChild(el);
+    };
+
+    const loaded = window.ChartSnapshot ? Promise.resolve()
+      : loadScript(ROOT_URL ? ROOT_URL + 'chart-snapshot.js' : 'chart-snapshot.js');
+    return loaded
+      .then(() => ChartSnapshot.render(ctx.gd, { aspect: ctx.settings.aspect }))
+      .then(shot => output(shot), err => output({ error: err.message }));
+  }
+
+  // ---- Accessible data ----
+  // Under the chart: a text summary (also the chart's description for screen readers), a
+  // toggleable, sortable table of the visible series and a CSV download of the same data.
+  // Render functions provide them as
+  //   ctx.table() -> { columns: [{ name, decimals }], rows: [{ label, csvLabel, values }] }
+  //   ctx.summary() -> string
+  // Generators (inline opts.config) don't get them, since they would end up in the exported image.
+
+  const A11Y_STYLE = `
+    .grafer-sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
+    .grafer-a11y-bar { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 12px; font-size: 13px; }
+    .grafer-a11y-btn { background: none; border: none; padding: 0; font: inherit; color: var(--muted, #6b7280); text-decoration: underline; cursor: pointer; }
+    .grafer-a11y-btn:hover { color: var(--text, #1a1a2e); }
+    .grafer-table-wrap { margin-top: 12px; max-height: 420px; overflow: auto; }
+    .grafer-table { border-collapse: collapse; width: 100%; font-size: 13px; font-variant-numeric: tabular-nums; color: var(--text, #1a1a2e); }
+    .grafer-table caption { text-align: left; padding-bottom: 8px; color: var(--muted, #6b7280); }
+    .grafer-table th, .grafer-table td { padding: 4px 8px; text-align: right; border-bottom: 1px solid rgba(128, 128, 128, 0.2); white-space: nowrap; }
+    .grafer-table th:first-child, .grafer-table td:first-child { text-align: left; }
+    .grafer-table thead th { position: sticky; top: 0; background: var(--bg, #ffffff); }
+    .grafer-table th button { background: none; border: none; padding: 0; font: inherit; font-weight: 600; color: inherit; cursor: pointer; }
+    .grafer-table th[aria-sort="ascending"] button::after { content: ' ▲'; }
+    .grafer-table th[aria-sort="descending"] button::after { content: ' ▼'; }
+    .legend-item[role="button"]:focus-visible, .dropdown-btn:focus-visible, .dropdown-item input:focus-visible,
+    .grafer-a11y-btn:focus-visible, .grafer-table th button:focus-visible { outline: 2px solid #4FAEF6; outline-offset: 2px; }
+  `;
+
+  // Percent change from a to b, or null
+  function percentChange(from, to) {
+    if (from === null || from === undefined || to === null || to === undefined || from === 0) return null;
+    return (to - from) / Math.abs(from) * 100;
+  }
+
+  // "+4,2 %" / "−1,3 %"
+  function formatPercent(pct) {
+    const rounded = Math.round(pct * 10) / 10;
+    return `${rounded < 0 ? '−' : '+'}${formatNumberNO(Math.abs(rounded), 1)} %`;
+  }
+
+  // "opp 4,2 %" / "ned 1,3 %" (or with other verbs, e.g. steg/falt)
+  function describeChange(pct, up, down, same) {
+    if (pct === null) return null;
+    const rounded = Math.round(pct * 10) / 10;
+    if (rounded === 0) return same;
+    return `${rounded > 0 ? up : down} ${formatNumberNO(Math.abs(rounded), 1)} %`;
+  }
+
+  function csvCell(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function tableToCSV(table) {
+    const lines = [table.columns.map(c => csvCell(c.name)).join(',')];
+    table.rows.forEach(row => {
+      lines.push([row.csvLabel || row.label, ...row.values].map(csvCell).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function slugify(text) {
+    return text.toLowerCase()
+      .replace(/[æå]/g, 'a').replace(/ø/g, 'o')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'data';
+  }
+
+  // Legend items that toggle a series: focusable, operable with Enter/Space, state in aria-pressed
+  function makeToggleAccessible(item, pressed) {
+    item.setAttribute('role', 'button');
+    item.tabIndex = 0;
+    item.setAttribute('aria-pressed', String(pressed));
+    item.addEventListener('keydown', e => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      item.click();
+    });
+  }
+
+  function createAccessibleBlock(chartEl) {
+    if (!document.getElementById('graferA11yStyle')) {
+      const style = document.createElement('style');
+      style.id = 'graferA11yStyle';
+      style.textContent = A11Y_STYLE;
+      document.head.appendChild(style);
+    }
+
+    const block = document.createElement('div');
+    block.className = 'grafer-a11y';
+    block.id = 'graferA11y';
+    block.innerHTML = `
+      <p class="grafer-sr-only" id="graferSummary"></p>
+      <div class="grafer-a11y-bar">
+        <button type="button" class="grafer-a11y-btn" aria-expanded="false" aria-controls="graferTable">Vis tabell</button>
+        <a class="grafer-a11y-btn" href="#">Last ned data (CSV)</a>
+      </div>
+      <div class="grafer-table-wrap" id="graferTable" hidden>
+        <table class="grafer-table"><caption></caption><thead></thead><tbody></tbody></table>
+      </div>
+    `;
+    if (window.location.search.includes('minimal=true')) block.querySelector('.grafer-a11y-bar').hidden = true;
+
+    const toggle = block.querySelector('button');
+    const tableWrap = block.querySelector('#graferTable');
+    toggle.addEventListener('click', () => {
+      tableWrap.hidden = !tableWrap.hidden;
+      toggle.setAttribute('aria-expanded', String(!tableWrap.hidden));
+      toggle.textContent = tableWrap.hidden ? 'Vis tabell' : 'Skjul tabell';
+    });
+
+    const anchor = document.querySelector('.chart-wrapper') || chartEl;
+    anchor.parentNode.insertBefore(block, anchor.nextSibling);
+    return block;
+  }
+
+  function renderTable(block, table, sort) {
+    const el = block.querySelector('table');
+    const title = document.querySelector('.chart-header');
+    el.querySelector('caption').textContent = (title && title.textContent.trim()) || 'Data';
+
+    const rows = table.rows.map((row, i) => ({ row: row, index: i }));
+    if (sort.column > 0) {
+      const col = sort.column - 1;
+      rows.sort((a, b) => {
+        const va = a.row.values[col];
+        const vb = b.row.values[col];
+        if (va === null || va === undefined) return 1;   // empty cells last in both directions
+        if (vb === null || vb === undefined) return -1;
+        return sort.ascending ? va - vb : vb - va;
+      });
+    } else if (!sort.ascending) {
+      rows.reverse();
+    }
+
+    const headRow = document.createElement('tr');
+    table.columns.forEach((column, i) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      if (i === sort.column) th.setAttribute('aria-sort', sort.ascending ? 'ascending' : 'descending');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = column.name;
+      button.addEventListener('click', () => {
+        sort.ascending = sort.column === i ? !sort.ascending : i === 0;
+        sort.column = i;
+        renderTable(block, table, sort);
+        block.querySelectorAll('th button')[i].focus();
+      });
+      th.appendChild(button);
+      headRow.appendChild(th);
+    });
+    el.querySelector('thead').replaceChildren(headRow);
+
+    const body = document.createDocumentFragment();
+    rows.forEach(({ row }) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = row.label;
+      tr.appendChild(th);
+      row.values.forEach((value, i) => {
+        const td = document.createElement('td');
+        td.textContent = formatNumberNO(value, table.columns[i + 1].decimals, '–');
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    el.querySelector('tbody').replaceChildren(body);
+  }
+
+  function initAccessibleData(ctx) {
+    if (!ctx.table || ctx.opts.config) return;
+    const block = document.getElementById('graferA11y') || createAccessibleBlock(ctx.els.chart);
+    const summaryEl = block.querySelector('#graferSummary');
+    const csvLink = block.querySelector('a');
+    const sort = { column: 0, ascending: true };
+
+    // The plot itself is one image for screen readers, described by the summary
+    const title = document.querySelector('.chart-header');
+    ctx.els.chart.setAttribute('role', 'img');
+    ctx.els.chart.setAttribute('aria-label', (title && title.textContent.trim()) || 'Graf');
+    ctx.els.chart.setAttribute('aria-describedby', 'graferSummary');
+
+    let lastSeries = null;
+    function refresh() {
+      // Series visibility, plus trace visibility for lines that are not series (the average)
+      const series = JSON.stringify([ctx.controls.series ? ctx.controls.series() : null, ctx.gd.data.map(t => t.visible)]);
+      if (series === lastSeries) return;
+      lastSeries = series;
+
+      const table = ctx.table();
+      table.rows.forEach(row => {
+        row.values = row.values.map(v => Number.isFinite(v) ? v : null);
+      });
+      summaryEl.textContent = ctx.summary ? ctx.summary() : '';
+      renderTable(block, table, sort);
+      // BOM, so Excel reads the file as UTF-8
+      csvLink.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent('\ufeff' + tableToCSV(table));
+      csvLink.download = slugify((title && title.textContent.trim()) || 'data') + '.csv';
+    }
+
+    refresh();
+    // Legend, dropdown and embed selections restyle or re-render the plot
+    ctx.gd.on('plotly_restyle', refresh);
+    ctx.gd.on('plotly_react', refresh);
+  }
+
+  // One resize observer per chart element, replaced when the chart is rendered again
+  const chartObservers = new WeakMap();
+
+  function observeChartResize(chartEl, onResize) {
+    const previous = chartObservers.get(chartEl);
+    if (previous) previous.disconnect();
+    const ro = new ResizeObserver(onResize);
+    ro.observe(chartEl.parentElement);
+    chartObservers.set(chartEl, ro);
+  }
+
+  // ---- Chart kinds ----
+
+  const PERIODS = {
+    month: {
+      keys: MONTHS,
+      labels: MONTHS,
+      match: h => h.includes('month') || h === 'måned',
+      parseKey: raw => raw.toLowerCase(),
+      title: key => MONTH_NAMES[key],
+      columnName: 'Måned',
+      bargap: 0.15,
+      yDtick: 500,
+      emptyMessage: 'Ingen data ennå. Last opp data via kontrollpanelet.',
+      xaxis: { range: [-0.6, 11.6] }
+    },
+    week: {
+      keys: Array.from({ length: 53 }, (_, i) => i + 1),
+      labels: Array.from({ length: 53 }, (_, i) => String(i + 1)),
+      match: h => h === 'uke' || h.includes('week'),
+      parseKey: raw => parseInt(raw, 10),
+      title: key => `Uke ${key}`,
+      columnName: 'Uke',
+      bargap: 0.08,
+      yDtick: 100,
+      emptyMessage: 'Ingen data ennå. Last opp ukentlig data via kontrollpanelet.',
+      xaxis: {
+        type: 'category',
+        range: [-0.6, 52.6],
+        dtick: 2,
+        tickfontSize: 11,
+        title: 'Uke'
+      }
+    }
+  };
+
+  // trend.js is only loaded for versions with a trend overlay (moving average, seasonally adjusted)
+  function loadTrend(settings) {
+    if (!settings.trend || !settings.trend.type || settings.trend.type === 'none' || window.Trend) return Promise.resolve();
+    return loadScript(ROOT_URL ? ROOT_URL + 'trend.js' : 'trend.js');
+  }
+
+  // The version's trend ({ type, window }), normalised, or null
+  function activeTrend(settings, periodName) {
+    return window.Trend && Trend.isActive(settings.trend) ? Trend.normalize(settings.trend, periodName) : null;
+  }
+
+  // Legend item for the trend lines
+  function trendLegendItem(trend, periodName, color) {
+    const item = document.createElement('div');
+    item.className = 'legend-item';
+    item.innerHTML = `<div style="width: 20px; height: 2px; border-top: 2px solid ${color};"></div><span>${Trend.label(trend, periodName)}</span>`;
+    return item;
+  }
+
+  // calendar.js handles ISO weeks (53-week years, month view, date alignment) for weekly data
+  function loadCalendar(opts) {
+    if (opts.period !== 'week' || window.Calendar) return Promise.resolve();
+    return loadScript(ROOT_URL ? ROOT_URL + 'calendar.js' : 'calendar.js');
+  }
+
+  /**
+   * Grouped bars per year over months or weeks, with an average line and optionally a trend line
+   * per year (trend.js). Used by solgt, tilsalgs and tilsalgs_uke.
+   * Weekly data has three views (calendar.js, version config weekly: { view, align }): years over
+   * each other by ISO week or by nearest date, weeks summed to months, or one date axis.
+   */
+  function renderYearBars(ctx) {
+    const { opts, settings, theme, colors, els } = ctx;
+    const sourcePeriod = PERIODS[opts.period || 'month'];
+
+    const colorPalette = Theme.palette(theme, settings.palette, settings.opacity);
+    const avgLineColor = settings.avg.color || colors.avg;
+
+    return Promise.all([
+      fetch(withCacheBust(opts.dataUrl)).then(r => r.text()),
+      loadTrend(settings),
+      loadCalendar(opts)
+    ])
+      .then(([csvText]) => {
+        const { headers, rows } = parseCSV(csvText);
+        const cols = findColumns(headers, sourcePeriod.match, opts.columns);
+        let dataByYear = {};
+
+        rows.forEach(cells => {
+          const key = sourcePeriod.parseKey(cells[cols.period]);
+          const year = cells[cols.year];
+          if (!dataByYear[year]) dataByYear[year] = {};
+          dataByYear[year][key] = parseInt(cells[cols.value], 10);
+        });
+
+        const weekly = opts.period === 'week' ? Calendar.normalize(settings.weekly) : null;
+        if (weekly) dataByYear = Calendar.dropInvalidWeeks(dataByYear);
+        if (weekly && weekly.view === 'month') dataByYear = Calendar.byMonth(dataByYear);
+        const timeline = !!weekly && weekly.view === 'date';
+
+        const periodName = weekly && weekly.view === 'month' ? 'month' : (opts.period || 'month');
+        const period = PERIODS[periodName];
+        const allYears = Object.keys(dataByYear).sort();
+
+        // Trend over the whole series, shown per year on top of the bars
+        const trend = activeTrend(settings, periodName);
+        let trendByYear = trend ? Trend.forYearTable(dataByYear, period.keys, trend, periodName) : null;
+
+        // Weeks renumbered to the latest year's weeks with the same dates
+        if (weekly && weekly.view === 'overlay' && weekly.align === 'date' && allYears.length) {
+          const targetYear = parseInt(allYears[allYears.length - 1], 10);
+          dataByYear = Calendar.alignByDate(dataByYear, targetYear);
+          if (trendByYear) trendByYear = Calendar.alignByDate(trendByYear, targetYear);
+        }
+
+        // Week 53 only when some year has it
+        const hasWeek53 = Object.keys(dataByYear).some(year => Number.isFinite(dataByYear[year][53]));
+        const keys = periodName === 'week' && !hasWeek53 ? period.keys.slice(0, 52) : period.keys;
+        const labels = periodName === 'week' && !hasWeek53 ? period.labels.slice(0, 52) : period.labels;
+
+        // On the date axis each year has its own weeks, placed at their Mondays
+        const keysFor = year => timeline ? keys.filter(k => Calendar.isValidWeek(parseInt(year, 10), k)) : keys;
+        const xFor = year => timeline
+          ? keysFor(year).map(k => Calendar.formatDate(Calendar.weekStart(parseInt(year, 10), k)))
+          : labels;
+
+        const trendValue = (year, key) => trendByYear && trendByYear[year] && Number.isFinite(trendByYear[year][key]) ? trendByYear[year][key] : null;
+
+        if (allYears.length === 0 && sourcePeriod.emptyMessage) {
+          els.chart.innerHTML = `<div style="display:flex;align-items:center;justify-content:center;height:300px;color:${colors.muted};font-size:1.1rem;">${sourcePeriod.emptyMessage}</div>`;
+          return;
+        }
+
+        let years = [];
+        let maxYearsToShow = 0;
+        let chosenYears = null;   // embed setYears; default is the latest years that fit
+        let highlighted = null;   // embed highlight
+        let averageShown = true;  // the reader can hide the average line from the legend
+        const yearColors = {};
+        const visibleYears = new Set();
+
+        function barColor(year) {
+          const color = yearColors[year] || '#999';
+          return highlighted && year !== highlighted ? withAlpha(color, DIMMED_OPACITY) : color;
+        }
+
+        function averageFor(activeYears) {
+          return keys.map(k => average(activeYears.map(y => dataByYear[y][k])));
+        }
+
+        function renderLegend() {
+          els.legend.innerHTML = '';
+          years.forEach((year, idx) => {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.dataset.year = year;
+            item.dataset.traceIdx = idx;
+            item.innerHTML = `<div class="legend-dot" style="background:${yearColors[year]}"></div><span>${year}</span>`;
+            els.legend.appendChild(item);
+          });
+
+          if (trend) els.legend.appendChild(trendLegendItem(trend, periodName, colors.text));
+
+          if (settings.avg.enabled && !timeline) {
+            const avgItem = document.createElement('div');
+            avgItem.className = averageShown ? 'legend-item' : 'legend-item disabled';
+            avgItem.dataset.average = 'true';
+            const dashStyle = settings.avg.dashed ? 'dashed' : 'solid';
+            avgItem.innerHTML = `<div style="width: 20px; height: ${settings.avg.lineWidth}px; border-top: ${settings.avg.lineWidth}px ${dashStyle} ${avgLineColor};"></div><span>Gjennomsnitt</span>`;
+            els.legend.appendChild(avgItem);
+          }
+        }
+
+        // (Re)compute shown years, colors, legend and traces for the current viewport width
+        function buildTraces() {
+          maxYearsToShow = getMaxYearsToShow();
+          // The date axis has room for every year, since its bars are not grouped
+          years = chosenYears || (timeline ? allYears : allYears.slice(-maxYearsToShow));
+          if (!years.includes(highlighted)) highlighted = null;
+
+          Object.keys(yearColors).forEach(k => delete yearColors[k]);
+          years.forEach((year, i) => {
+            yearColors[year] = settings.customYearColors[year] || colorPalette[i % colorPalette.length];
+          });
+
+          visibleYears.clear();
+          years.forEach(y => visibleYears.add(y));
+          renderLegend();
+
+          const traces = years.map(year => ({
+            x: xFor(year),
+            y: keysFor(year).map(k => dataByYear[year][k] || null),
+            type: 'bar',
+            name: year,
+            marker: { color: barColor(year) },
+            hoverinfo: 'none'
+          }));
+
+          // Trend lines follow the bars (same order), the average stays last (hidden on the date axis)
+          if (trend) {
+            years.forEach(year => traces.push({
+              x: xFor(year),
+              y: keysFor(year).map(k => trendValue(year, k)),
+              type: 'scatter',
+              mode: 'lines',
+              name: `${year} ${Trend.shortLabel(trend)}`,
+              line: { color: toOpaque(yearColors[year]), width: 2.5, shape: 'spline', smoothing: 0.8 },
+              connectgaps: false,
+              hoverinfo: 'none'
+            }));
+          }
+
+          traces.push({
+            x: labels,
+            y: averageFor(years),
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Gjennomsnitt',
+            visible: settings.avg.enabled && !timeline && averageShown,
+            line: {
+              color: avgLineColor,
+              width: settings.avg.lineWidth,
+              shape: 'spline',
+              smoothing: 1.2,
+              dash: settings.avg.dashed ? 'dash' : 'solid'
+            },
+            hoverinfo: 'none'
+          });
+
+          return traces;
+        }
+
+        const xaxis = {
+          showgrid: false,
+          showline: true,
+          linecolor: colors.line,
+          tickfont: { color: colors.muted },
+          tickangle: 0,
+          zeroline: false,
+          ticks: '',
+          tickcolor: colors.line,
+          range: [period.xaxis.range[0], keys.length - 0.4],
+          mirror: false
+        };
+        if (timeline) {
+          xaxis.type = 'date';
+          delete xaxis.range;
+        } else {
+          if (period.xaxis.type) xaxis.type = period.xaxis.type;
+          if (period.xaxis.dtick) xaxis.dtick = period.xaxis.dtick;
+          if (period.xaxis.tickfontSize) xaxis.tickfont.size = period.xaxis.tickfontSize;
+          if (period.xaxis.title) {
+            xaxis.title = { text: period.xaxis.title, font: { color: colors.muted, size: 12 }, standoff: 10 };
+          }
+        }
+
+        const layout = {
+          // The years' weeks do not share x values on the date axis, so they need not be grouped
+          barmode: timeline ? 'overlay' : 'group',
+          bargap: period.bargap,
+          bargroupgap: 0.02,
+          paper_bgcolor: ctx.bgColor,
+          plot_bgcolor: ctx.bgColor,
+          font: { family: theme.font.family, color: colors.text, size: theme.font.size },
+          margin: { l: 0, r: 0, t: 30, b: 40 },
+          xaxis: xaxis,
+          yaxis: {
+            showgrid: true,
+            gridcolor: colors.grid,
+            showline: true,
+            linecolor: colors.line,
+            tickfont: { color: colors.muted },
+            zeroline: false,
+            ticks: 'outside',
+            ticklen: 8,
+            tickcolor: 'rgba(0,0,0,0)',
+            dtick: opts.yDtick || period.yDtick,
+            mirror: false,
+            automargin: true
+          },
+          showlegend: false,
+          hovermode: 'x'
+        };
+
+        function updateAverage(gd) {
+          const activeYears = years.filter(y => visibleYears.has(y));
+          Plotly.restyle(gd, { y: [averageFor(activeYears)] }, [gd.data.length - 1]);
+        }
+
+        function setYearVisible(gd, item, show) {
+          const year = item.dataset.year;
+          const traceIdx = parseInt(item.dataset.traceIdx);
+
+          // The year's bars, and its trend line if there is one
+          const indices = trend ? [traceIdx, years.length + traceIdx] : [traceIdx];
+          if (show) visibleYears.add(year);
+          else visibleYears.delete(year);
+          item.classList.toggle('disabled', !show);
+          item.setAttribute('aria-pressed', String(show));
+          Plotly.restyle(gd, { visible: show }, indices);
+        }
+
+        function setAverageVisible(gd, show) {
+          averageShown = show;
+          const item = els.legend.querySelector('.legend-item[data-average]');
+          if (item) {
+            item.classList.toggle('disabled', !show);
+            item.setAttribute('aria-pressed', String(show));
+          }
+          return Plotly.restyle(gd, { visible: show }, [gd.data.length - 1]);
+        }
+
+        function attachLegendHandlers(gd) {
+          els.legend.querySelectorAll('.legend-item[data-year]').forEach(item => {
+            makeToggleAccessible(item, visibleYears.has(item.dataset.year));
+            item.addEventListener('click', () => {
+              const year = item.dataset.year;
+              setYearVisible(gd, item, !visibleYears.has(year));
+              updateAverage(gd);
+              seriesToggled(ctx, { name: year, visible: visibleYears.has(year) });
+            });
+          });
+
+          const avgItem = els.legend.querySelector('.legend-item[data-average]');
+          if (avgItem) {
+            makeToggleAccessible(avgItem, averageShown);
+            avgItem.addEventListener('click', () => {
+              setAverageVisible(gd, !averageShown);
+              updateLinkState(ctx, { avg: averageShown ? null : false });
+            });
+          }
+        }
+
+        // Tooltip for a period across the shown years, or for one year's week on the date axis
+        function buildTooltip(key, onlyYear) {
+          const activeYears = onlyYear ? [onlyYear] : years.filter(y => visibleYears.has(y));
+          const title = onlyYear ? `${period.title(key)} ${onlyYear} (${Calendar.formatWeekRange(parseInt(onlyYear, 10), key)})` : period.title(key);
+          return buildTooltipHTML(title, activeYears.map(year => {
+            const value = formatNumberNO(dataByYear[year] ? dataByYear[year][key] : null);
+            const t = trendValue(year, key);
+            return {
+              color: yearColors[year],
+              label: year,
+              value: t === null ? value
+                : `${value} <span style="opacity:0.6">(${Trend.shortLabel(trend)} ${formatNumberNO(Math.round(t))})</span>`
+            };
+          }));
+        }
+
+        const traces = buildTraces();
+
+        return Plotly.newPlot(els.chart, traces, layout, PLOTLY_CONFIG).then(gd => {
+          hideDefaultHover(gd);
+          attachLegendHandlers(gd);
+
+          ctx.gd = gd;
+          ctx.controls = {
+            series: () => years.map(year => ({ name: year, visible: visibleYears.has(year) })),
+            setYears(wanted) {
+              chosenYears = wanted && wanted.length ? matchNames(wanted, allYears, 'år').sort() : null;
+              return Plotly.react(gd, buildTraces(), layout, PLOTLY_CONFIG).then(() => attachLegendHandlers(gd));
+            },
+            highlight(year) {
+              highlighted = year === null ? null : matchNames([year], years, 'år')[0];
+              Plotly.restyle(gd, { 'marker.color': years.map(barColor) }, years.map((_, i) => i));
+            },
+            setVisible(names) {
+              const wanted = nameFilter(names);
+              els.legend.querySelectorAll('.legend-item[data-year]').forEach(item => setYearVisible(gd, item, wanted(item.dataset.year)));
+              updateAverage(gd);
+            },
+            showAverage(show) {
+              if (settings.avg.enabled && !timeline) return setAverageVisible(gd, show);
+            }
+          };
+
+          ctx.table = () => {
+            const shownYears = years.filter(y => visibleYears.has(y));
+            const avg = averageFor(shownYears);
+            const columns = [{ name: period.columnName }, ...shownYears.map(year => ({ name: year }))];
+            if (trend) shownYears.forEach(year => columns.push({ name: `${year} ${Trend.shortLabel(trend)}` }));
+            if (settings.avg.enabled && averageShown) columns.push({ name: 'Gjennomsnitt' });
+            return {
+              columns: columns,
+              rows: keys.map((key, i) => {
+                const values = shownYears.map(year => dataByYear[year][key]);
+                if (trend) shownYears.forEach(year => values.push(trendValue(year, key) === null ? null : Math.round(trendValue(year, key))));
+                if (settings.avg.enabled && averageShown) values.push(avg[i] === null ? null : Math.round(avg[i]));
+                return { label: period.title(key), values: values };
+              })
+            };
+          };
+
+          // Latest period against the same period last year, and the year to date
+          ctx.summary = () => {
+            const latestYear = allYears[allYears.length - 1];
+            const previousYear = String(latestYear - 1);
+            const latest = dataByYear[latestYear];
+            let last = keys.length - 1;
+            while (last >= 0 && !Number.isFinite(latest[keys[last]])) last--;
+            if (last < 0) return '';
+
+            const key = keys[last];
+            let text = `${period.title(key)} ${latestYear}: ${formatNumberNO(latest[key])}`;
+            const previous = dataByYear[previousYear];
+            if (!previous) return text + '.' + trendSummary();
+
+            const change = describeChange(percentChange(previous[key], latest[key]), 'opp', 'ned', 'uendret');
+            if (change) text += `, ${change} fra ${period.title(key).toLowerCase()} ${previousYear} (${formatNumberNO(previous[key])})`;
+            const toDate = data => keys.slice(0, last + 1).reduce((sum, k) => sum + (Number.isFinite(data[k]) ? data[k] : 0), 0);
+            return `${text}. Hittil i år: ${formatNumberNO(toDate(latest))}, mot ${formatNumberNO(toDate(previous))} samme periode i fjor.` +
+              trendSummary();
+          };
+
+          // Latest trend value against the period before it,
+          // e.g. " Sesongjustert: 1 234 i oktober 2024, ned 2,1 % fra september."
+          function trendSummary() {
+            if (!trend) return '';
+            const points = [];
+            allYears.forEach(year => keys.forEach(key => {
+              if (trendValue(year, key) !== null) points.push({ year: year, key: key, value: trendValue(year, key) });
+            }));
+            const current = points[points.length - 1];
+            if (!current) return '';
+            const before = points[points.length - 2];
+            const change = before ? describeChange(percentChange(before.value, current.value), 'opp', 'ned', 'uendret') : null;
+            const beforeText = before && (before.year === current.year
+              ? period.title(before.key).toLowerCase()
+              : `${period.title(before.key).toLowerCase()} ${before.year}`);
+            return ` ${Trend.label(trend, periodName)}: ${formatNumberNO(Math.round(current.value))} i ` +
+              `${period.title(current.key).toLowerCase()} ${current.year}` + (change ? `, ${change} fra ${beforeText}.` : '.');
+          }
+
+          let lastHovered = null;
+
+          gd.on('plotly_hover', e => {
+            const pt = e.points && e.points[0];
+            if (!pt) return;
+            if (timeline) {
+              hoverWeek(e, Calendar.isoWeek(new Date(String(pt.x).slice(0, 10))));
+              return;
+            }
+            const idx = labels.indexOf(String(pt.x));
+            if (idx < 0) return;
+
+            els.tip.innerHTML = buildTooltip(keys[idx]);
+            els.tip.style.display = 'block';
+            positionTooltip(els.tip, e.event || window.event);
+
+            // Only update highlight if the hovered period changed
+            if (lastHovered === idx) return;
+            lastHovered = idx;
+
+            emitEvent('hover', {
+              label: period.title(keys[idx]),
+              values: years.filter(y => visibleYears.has(y)).map(year => ({
+                name: year,
+                value: dataByYear[year][keys[idx]] ?? null
+              }))
+            });
+
+            // Highlight all bars in the hovered period
+            const colorArrays = years.map(year => labels.map((_, i) => {
+              return i === idx ? toOpaque(yearColors[year]) : barColor(year);
+            }));
+            Plotly.restyle(gd, { 'marker.color': colorArrays }, years.map((_, i) => i));
+          });
+
+          function hoverWeek(e, { year, week }) {
+            if (!visibleYears.has(String(year))) return;
+            els.tip.innerHTML = buildTooltip(week, String(year));
+            els.tip.style.display = 'block';
+            positionTooltip(els.tip, e.event || window.event);
+
+            if (lastHovered === `${year}-${week}`) return;
+            lastHovered = `${year}-${week}`;
+            emitEvent('hover', {
+              label: `${period.title(week)} ${year}`,
+              values: [{ name: String(year), value: dataByYear[year][week] ?? null }]
+            });
+          }
+
+          gd.on('plotly_unhover', () => {
+            els.tip.style.display = 'none';
+            lastHovered = null;
+            emitEvent('unhover');
+            Plotly.restyle(gd, { 'marker.color': years.map(barColor) }, years.map((_, i) => i));
+          });
+
+          gd.addEventListener('mousemove', evt => {
+            if (els.tip.style.display === 'block') positionTooltip(els.tip, evt);
+          });
+
+          observeChartResize(els.chart, () => {
+            if (getMaxYearsToShow() !== maxYearsToShow) {
+              Plotly.react(gd, buildTraces(), layout, PLOTLY_CONFIG).then(() => {
+                attachLegendHandlers(gd);
+                updateLinkState(ctx);
+              });
+            } else {
+              Plotly.Plots.resize(gd);
+            }
+          });
+        });
+      });
+  }
+
+  // index-transform.js is only loaded for versions that use a transform (rebase, % change) or real prices
+  function loadIndexTransform(settings) {
+    const transform = settings.transform;
+    const used = (transform && transform.type && transform.type !== 'none') || settings.real;
+    if (!used || window.IndexTransform) return Promise.resolve();
+    return loadScript(ROOT_URL ? ROOT_URL + 'index-transform.js' : 'index-transform.js');
+  }
+
+  const REAL_MISSING_TEXT = 'Realpriser er ikke tilgjengelige (mangler KPI-data), viser nominelle verdier';
+
+  // KPI CSV text for real prices, or null if not requested ('' if not available)
+  function loadCPI(opts, settings) {
+    if (!settings.real || !opts.cpiUrl) return Promise.resolve(null);
+    return fetch(withCacheBust(opts.cpiUrl))
+      .then(r => r.ok ? r.text() : '')
+      .catch(() => '');
+  }
+
+  /**
+   * One line per area from a wide "Date,<area>,<area>..." CSV, with area dropdown,
+   * gradient envelope, spike line and hover dots. Used by prisutvikling and volum.
+   * The version's transform (index-transform.js) is applied to the plotted values, tooltip and table.
+   * With real prices (opts.cpiUrl + settings.real) the series are deflated with KPI first, and the
+   * tooltip shows the nominal value next to the real one.
+   */
+  function renderIndexLines(ctx) {
+    const { opts, settings, theme, colors, els } = ctx;
+
+    return Promise.all([
+      fetch(withCacheBust(opts.dataUrl)).then(r => r.text()),
+      fetch(opts.layoutUrl).then(r => r.json()),
+      fetch(opts.configUrl).then(r => r.json()),
+      loadCPI(opts, settings),
+      loadIndexTransform(settings)
+    ]).then(([csvText, layoutJson, configJson, cpiText]) => {
+      const AREA_COLORS = configJson.colors;
+      const HERO = configJson.hero;
+
+      const { headers, rows } = parseCSV(csvText);
+      const areaNames = headers.slice(1);
+      const dates = [];
+      const rawValues = {};
+      areaNames.forEach(a => rawValues[a] = []);
+
+      rows.forEach(cells => {
+        dates.push(cells[0]);
+        for (let j = 1; j < cells.length; j++) {
+          rawValues[areaNames[j - 1]].push(cells[j] === '' ? null : parseFloat(cells[j]));
+        }
+      });
+
+      const transform = window.IndexTransform && IndexTransform.isActive(settings.transform)
+        ? IndexTransform.normalize(settings.transform) : null;
+      const isPercent = transform ? IndexTransform.isPercent(transform) : false;
+
+      // Real prices, if there is KPI data for the base year
+      let realBaseYear = null;
+      let realValues = null;
+      if (cpiText && window.IndexTransform) {
+        const cpi = IndexTransform.parseCPI(parseCSV(cpiText).rows);
+        const baseYear = settings.real.baseYear || IndexTransform.cpiYears(cpi).pop();
+        const factors = IndexTransform.cpiFactors(dates, cpi, baseYear);
+        if (factors.some(f => f !== null)) {
+          realBaseYear = baseYear;
+          realValues = {};
+          areaNames.forEach(a => realValues[a] = IndexTransform.deflate(rawValues[a], factors));
+        }
+      }
+      // Asked for real prices without KPI data for the base year: say so instead of passing nominal
+      // values off as real ones
+      const realMissing = !!settings.real && !realValues;
+
+      const shownBase = realValues || rawValues;
+      const areaValues = transform ? IndexTransform.applyAll(dates, shownBase, transform) : shownBase;
+      // Nominal values next to the real ones in the tooltip
+      const nominalValues = realValues ? (transform ? IndexTransform.applyAll(dates, rawValues, transform) : rawValues) : null;
+      const adjusted = !!(transform || realValues);
+      const formatValue = v => transform ? IndexTransform.formatValue(v, transform) : formatNumberNO(v, 2);
+
+      const AUX_TRACES = ['GradientBackground', 'SpikeLine', 'HoverDots'];
+      const isAreaTrace = t => !AUX_TRACES.includes(t.name);
+      const isShown = t => t.visible === undefined || t.visible === true;
+
+      const traces = areaNames.map(name => ({
+        x: dates,
+        y: areaValues[name],
+        type: 'scatter',
+        mode: 'lines',
+        name: name,
+        line: {
+          color: AREA_COLORS[name] || '#999',
+          shape: 'spline',
+          smoothing: 1.2,
+          width: name === HERO ? 3.5 : 2.4
+        },
+        opacity: name === HERO ? 1.0 : 0.85,
+        hoverinfo: 'none',
+        hovertemplate: '<extra></extra>'
+      }));
+
+      const layout = layoutJson;
+      layout.showlegend = false;
+      // Title lives in HTML so the dropdown can sit under it
+      if (layout.title) layout.title = undefined;
+
+      // layout.json has the structure (margins, axis formats), the theme the font and colors
+      layout.paper_bgcolor = ctx.bgColor;
+      layout.plot_bgcolor = ctx.bgColor;
+      layout.font = Object.assign({}, layout.font, { family: theme.font.family, color: colors.text, size: theme.font.size });
+      ['xaxis', 'yaxis'].forEach(axis => {
+        layout[axis] = Object.assign({}, layout[axis], { tickfont: { color: colors.muted }, linecolor: colors.line, gridcolor: colors.grid });
+      });
+      layout.margin.b = 160;
+
+      // Transformed values have their own scale: no fixed axis start, and a caption saying what is shown
+      if (adjusted && layout.yaxis) {
+        delete layout.yaxis.range;
+        layout.yaxis.autorange = true;
+        layout.yaxis.rangemode = isPercent ? 'normal' : 'tozero';
+        layout.yaxis.zeroline = isPercent;
+        layout.yaxis.zerolinecolor = colors.line;
+        layout.yaxis.ticksuffix = isPercent ? ' %  ' : layout.yaxis.ticksuffix;
+        layout.yaxis.title = { text: IndexTransform.label(dates, transform, realBaseYear), font: { size: 12, color: colors.muted } };
+      }
+      if (realMissing) {
+        layout.annotations = (layout.annotations || []).concat([{
+          text: REAL_MISSING_TEXT,
+          xref: 'paper',
+          yref: 'paper',
+          x: 0,
+          y: 1,
+          xanchor: 'left',
+          yanchor: 'bottom',
+          showarrow: false,
+          font: { size: 12, color: colors.muted }
+        }]);
+      }
+
+      // Envelope of all visible traces, filled via the CSS gradient (must be DOM-first)
+      function envelope(sourceTraces) {
+        const maxY = new Array(dates.length).fill(0);
+        sourceTraces.forEach(t => {
+          if (t.y && t.y.length === dates.length) {
+            t.y.forEach((val, i) => {
+              if (val !== null && val !== undefined && val > maxY[i]) maxY[i] = val;
+            });
+          }
+        });
+        return maxY;
+      }
+
+      traces.unshift({
+        x: dates,
+        y: envelope(traces),
+        mode: 'lines',
+        line: { width: 0, shape: 'spline', smoothing: 1.2 },
+        fill: 'tozeroy',
+        fillcolor: 'rgba(0,0,0,0)',
+        hoverinfo: 'skip',
+        showlegend: false,
+        type: 'scatter',
+        name: 'GradientBackground'
+      });
+
+      traces.push({
+        x: [],
+        y: [],
+        mode: 'markers',
+        marker: { size: 6, line: { color: 'white', width: 1 } },
+        hoverinfo: 'skip',
+        showlegend: false,
+        name: 'HoverDots',
+        type: 'scatter'
+      });
+
+      // Spike line is a layout shape (not a trace) to prevent axis jitter
+      if (!layout.shapes) layout.shapes = [];
+      layout.shapes.push({
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: 0,
+        y0: 0,
+        x1: 0,
+        y1: 1,
+        line: { color: colors.spike, width: 1, dash: 'dash' },
+        visible: false
+      });
+      const spikeShapeIdx = layout.shapes.length - 1;
+
+      const dateIndex = Object.create(null);
+      dates.forEach((d, i) => dateIndex[d] = i);
+
+      function formatDateISOToNO(iso) {
+        const [y, m, d] = iso.split('-');
+        return `${d}.${m}.${y}`;
+      }
+
+      function buildTooltip(dateISO, orderAreas) {
+        const idx = dateIndex[dateISO];
+        return buildTooltipHTML(formatDateISOToNO(dateISO), orderAreas.map(area => ({
+          color: AREA_COLORS[area],
+          label: area,
+          hero: area === HERO,
+          value: idx === undefined ? '' : nominalValues
+            ? `${formatValue(areaValues[area][idx])} <span style="opacity:0.6">(nom. ${formatValue(nominalValues[area][idx])})</span>`
+            : formatValue(areaValues[area][idx])
+        })));
+      }
+
+      return Plotly.newPlot(els.chart, traces, layout, Object.assign({
+        modeBarButtonsToRemove: ['select2d', 'lasso2d']
+      }, PLOTLY_CONFIG)).then(gd => {
+        hideDefaultHover(gd);
+
+        // Lock axis ranges to prevent "breathing" when hovering near edges or adding dots
+        let lockedXRange = null;
+        try {
+          const xr = gd._fullLayout.xaxis.range;
+          lockedXRange = [xr[0], xr[1]];
+          const yr = gd._fullLayout.yaxis.range;
+          Plotly.relayout(gd, {
+            'xaxis.range': [xr[0], xr[1]],
+            'yaxis.range': [opts.yMin != null && !adjusted ? opts.yMin : yr[0], yr[1]],
+            'xaxis.autorange': false,
+            'yaxis.autorange': false
+          });
+        } catch (e) { console.error('Error locking axes:', e); }
+
+        gd.on('plotly_restyle', (data) => {
+          const indices = data[1];
+          if (indices && indices.includes(0)) return;
+          const visibleTraces = gd.data.filter(t => isAreaTrace(t) && t.visible !== 'legendonly' && t.visible !== false);
+          Plotly.restyle(gd, { y: [visibleTraces.length ? envelope(visibleTraces) : []] }, [0]);
+        });
+
+        gd.on('plotly_hover', e => {
+          const pt = e.points && e.points[0];
+          if (!pt) return;
+          const dateISO = (pt.x instanceof Date) ? pt.x.toISOString().slice(0, 10) : String(pt.x).slice(0, 10);
+
+          const visibleAreas = gd.data.filter(t => isShown(t) && isAreaTrace(t)).map(t => t.name);
+
+          // Hovered area first, then the hero, then the rest
+          const order = [];
+          if (visibleAreas.includes(pt.data.name)) order.push(pt.data.name);
+          if (!order.includes(HERO) && visibleAreas.includes(HERO)) order.push(HERO);
+          visibleAreas.forEach(a => { if (!order.includes(a)) order.push(a); });
+
+          els.tip.innerHTML = buildTooltip(dateISO, order);
+          els.tip.style.display = 'block';
+          positionTooltip(els.tip, e.event || window.event);
+
+          const dateIdx = dateIndex[dateISO];
+          emitEvent('hover', {
+            label: formatDateISOToNO(dateISO),
+            date: dateISO,
+            area: pt.data.name,
+            values: order.map(area => ({ name: area, value: dateIdx !== undefined ? areaValues[area][dateIdx] : null }))
+          });
+
+          const idx = pt.pointIndex;
+          const update = {};
+          update[`shapes[${spikeShapeIdx}].x0`] = pt.x;
+          update[`shapes[${spikeShapeIdx}].x1`] = pt.x;
+          update[`shapes[${spikeShapeIdx}].visible`] = true;
+          Plotly.relayout(gd, update);
+
+          const yVals = [];
+          const dotColors = [];
+          gd.data.forEach(t => {
+            if (isShown(t) && isAreaTrace(t) && t.y[idx] !== undefined) {
+              yVals.push(t.y[idx]);
+              dotColors.push(t.line.color);
+            }
+          });
+          Plotly.restyle(gd, {
+            x: [new Array(yVals.length).fill(pt.x)],
+            y: [yVals],
+            'marker.color': [dotColors]
+          }, [gd.data.length - 1]);
+        });
+
+        gd.on('plotly_unhover', () => {
+          els.tip.style.display = 'none';
+          emitEvent('unhover');
+          const update = {};
+          update[`shapes[${spikeShapeIdx}].visible`] = false;
+          Plotly.relayout(gd, update);
+          Plotly.restyle(gd, { x: [[]], y: [[]] }, [gd.data.length - 1]);
+        });
+
+        gd.addEventListener('mousemove', evt => {
+          if (els.tip.style.display === 'block') positionTooltip(els.tip, evt);
+        });
+
+        observeChartResize(els.chart, () => {
+          Plotly.Plots.resize(gd);
+        });
+
+        const dropdown = setupAreaDropdown(gd, areaNames, AREA_COLORS, isAreaTrace, change => seriesToggled(ctx, change));
+
+        // A year for whole-year ends of the window (from=2015 rather than from=2015-01-01)
+        function linkDate(value, end) {
+          const date = String(value).slice(0, 10);
+          return date.slice(4) === (end ? '-12-31' : '-01-01') ? date.slice(0, 4) : date;
+        }
+
+        // Zooming in goes into the link as from/to; an end at the end of the data is left out
+        gd.on('plotly_relayout', e => {
+          const range = e['xaxis.range'] || (e['xaxis.range[0]'] !== undefined ? [e['xaxis.range[0]'], e['xaxis.range[1]']] : null);
+          if (!range && !e['xaxis.autorange']) return;
+          const atEnd = i => !range || (lockedXRange && String(range[i]) === String(lockedXRange[i]));
+          updateLinkState(ctx, {
+            from: atEnd(0) ? null : linkDate(range[0], false),
+            to: atEnd(1) ? null : linkDate(range[1], true)
+          });
+        });
+
+        ctx.gd = gd;
+        ctx.controls = {
+          series: () => gd.data.filter(isAreaTrace).map(t => ({ name: t.name, visible: isShown(t) })),
+          setAreas(wanted) {
+            const areas = wanted ? matchNames(wanted, areaNames, 'bydel') : areaNames;
+            if (dropdown) dropdown.select(areas);
+            else showAreas(gd, areas, isAreaTrace);
+          },
+          // [fromYear, toYear] zooms the time axis; null shows the whole period
+          setYears(range) {
+            const xRange = range ? [`${range[0]}-01-01`, `${range[range.length - 1]}-12-31`] : lockedXRange;
+            if (xRange) return Plotly.relayout(gd, { 'xaxis.range': xRange });
+          },
+          setVisible(names) {
+            const areas = areaNames.filter(nameFilter(names));
+            if (dropdown) dropdown.select(areas);
+            else showAreas(gd, areas, isAreaTrace);
+          },
+          // Time window from a link: years or ISO dates, a missing end is the end of the data
+          setRange(from, to) {
+            const whole = lockedXRange || [dates[0], dates[dates.length - 1]];
+            const start = from ? (from.length === 4 ? `${from}-01-01` : from) : whole[0];
+            const end = to ? (to.length === 4 ? `${to}-12-31` : to) : whole[1];
+            return Plotly.relayout(gd, { 'xaxis.range': [start, end] });
+          },
+          highlight(area) {
+            const name = area === null ? null : matchNames([area], areaNames, 'bydel')[0];
+            const indices = [];
+            const widths = [];
+            const opacities = [];
+            gd.data.forEach((t, i) => {
+              if (!isAreaTrace(t)) return;
+              indices.push(i);
+              widths.push(t.name === (name || HERO) ? 3.5 : 2.4);
+              opacities.push(name ? (t.name === name ? 1.0 : DIMMED_OPACITY) : (t.name === HERO ? 1.0 : 0.85));
+            });
+            return Plotly.restyle(gd, { 'line.width': widths, opacity: opacities }, indices);
+          }
+        };
+
+        const shownAreas = () => gd.data.filter(t => isAreaTrace(t) && isShown(t)).map(t => t.name);
+
+        ctx.table = () => {
+          const areas = shownAreas();
+          return {
+            columns: [{ name: 'Dato' }, ...areas.map(area => ({ name: area, decimals: isPercent ? 1 : 2 }))],
+            rows: dates.map((date, i) => ({
+              label: formatDateISOToNO(date),
+              csvLabel: date,
+              values: areas.map(area => areaValues[area][i])
+            }))
+          };
+        };
+
+        // Latest value against the latest one at least a year earlier (on the untransformed index)
+        function yearChange(area, series) {
+          const values = (series || rawValues)[area];
+          let last = values.length - 1;
+          while (last >= 0 && values[last] === null) last--;
+          if (last < 0) return null;
+          const [y, m, d] = dates[last].split('-');
+          const yearBefore = `${y - 1}-${m}-${d}`;
+          let from = last;
+          while (from >= 0 && dates[from] > yearBefore) from--;
+          const pct = from >= 0 ? percentChange(values[from], values[last]) : null;
+          return pct === null ? null : { area: area, pct: pct, value: values[last], date: dates[last] };
+        }
+
+        ctx.summary = () => {
+          const changes = shownAreas().map(area => yearChange(area)).filter(Boolean);
+          if (!changes.length) return '';
+          const main = changes.find(c => c.area === HERO) || changes[0];
+          let text = `${main.area} ${describeChange(main.pct, 'steg', 'falt', 'var uendret')} siste 12 mnd ` +
+            (transform ? `(per ${formatDateISOToNO(main.date)})` : `(${formatNumberNO(main.value, 2)} per ${formatDateISOToNO(main.date)})`);
+          if (realValues) {
+            const real = yearChange(main.area, realValues);
+            if (real) text += `, ${describeChange(real.pct, 'opp', 'ned', 'uendret')} justert for inflasjon`;
+          }
+          if (realMissing) text += `. ${REAL_MISSING_TEXT}`;
+          if (transform) {
+            // What the chart shows for the same date, e.g. "Endring siden 01.01.2020: +29,5 %"
+            text += `. ${IndexTransform.label(dates, transform, realBaseYear).replace(' (%)', '')}: ` +
+              formatValue(areaValues[main.area][dates.indexOf(main.date)]);
+          }
+          if (changes.length > 2) {
+            const sorted = changes.slice().sort((a, b) => b.pct - a.pct);
+            const strongest = sorted[0];
+            const weakest = sorted[sorted.length - 1];
+            text += `. Sterkest utvikling: ${strongest.area} (${formatPercent(strongest.pct)}). ` +
+              `Svakest: ${weakest.area} (${formatPercent(weakest.pct)})`;
+          }
+          return text + '.';
+        };
+      });
+    });
+  }
+
+  // Show only the given areas. Returns the areas whose visibility changed, as { name, visible }.
+  function showAreas(gd, areas, isAreaTrace) {
+    const changes = [];
+    const updateVisibility = [];
+    const updateIndices = [];
+    gd.data.forEach((t, i) => {
+      if (!isAreaTrace(t)) return;
+      const shouldBeVisible = areas.includes(t.name);
+      const currentState = (t.visible === undefined || t.visible === true);
+      if (currentState !== shouldBeVisible) {
+        updateVisibility.push(shouldBeVisible);
+        updateIndices.push(i);
+        changes.push({ name: t.name, visible: shouldBeVisible });
+      }
+    });
+
+    if (updateIndices.length > 0) {
+      Plotly.restyle(gd, { visible: updateVisibility }, updateIndices);
+    }
+    return changes;
+  }
+
+  // Area checkbox dropdown. Returns { select(areas) } for the embed API, or null without a dropdown.
+  // onToggle gets { name, visible } for each area the reader shows or hides.
+  function setupAreaDropdown(gd, areaNames, areaColors, isAreaTrace, onToggle) {
+    const dropdownBtn = document.getElementById('dropdownBtn');
+    const dropdownList = document.getElementById('dropdownList');
+    const dropdownWrapper = document.getElementById('areaDropdown');
+    if (!dropdownBtn || !dropdownList || !dropdownWrapper) return null;
+
+    function setOpen(open) {
+      dropdownList.classList.toggle('show', open);
+      dropdownBtn.classList.toggle('open', open);
+      dropdownBtn.setAttribute('aria-expanded', String(open));
+    }
+
+    // Open/close handlers outlive re-renders (e.g. an embed theme switch), so bind them once
+    if (!dropdownWrapper.dataset.bound) {
+      dropdownWrapper.dataset.bound = 'true';
+
+      // The button is a <div> in the page markup; make it a keyboard-operable button
+      dropdownBtn.setAttribute('role', 'button');
+      dropdownBtn.tabIndex = 0;
+      dropdownBtn.setAttribute('aria-haspopup', 'true');
+      dropdownBtn.setAttribute('aria-controls', dropdownList.id);
+      dropdownBtn.setAttribute('aria-expanded', 'false');
+      dropdownList.setAttribute('role', 'group');
+      dropdownList.setAttribute('aria-label', 'Velg bydeler');
+
+      dropdownBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setOpen(!dropdownList.classList.contains('show'));
+      });
+
+      dropdownBtn.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          dropdownBtn.click();
+        } else if (e.key === 'ArrowDown') {
+          e.preventDefault();
+          setOpen(true);
+          const first = dropdownList.querySelector('input');
+          if (first) first.focus();
+        }
+      });
+
+      // Escape closes the list; arrow keys move between the checkboxes
+      dropdownList.addEventListener('keydown', (e) => {
+        const inputs = Array.from(dropdownList.querySelectorAll('input'));
+        const idx = inputs.indexOf(document.activeElement);
+        if (e.key === 'Escape') {
+          setOpen(false);
+          dropdownBtn.focus();
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && idx >= 0) {
+          e.preventDefault();
+          const next = inputs[idx + (e.key === 'ArrowDown' ? 1 : -1)];
+          if (next) next.focus();
+        }
+      });
+
+      document.addEventListener('click', (e) => {
+        if (!dropdownWrapper.contains(e.target)) setOpen(false);
+      });
+
+      // Close when focus leaves the dropdown
+      dropdownWrapper.addEventListener('focusout', (e) => {
+        if (e.relatedTarget && !dropdownWrapper.contains(e.relatedTarget)) setOpen(false);
+      });
+    }
+
+    dropdownList.innerHTML = '';
+
+    const allItem = document.createElement('div');
+    allItem.className = 'dropdown-item';
+    allItem.innerHTML = `
+      <input type="checkbox" checked id="cb-all" aria-label="Velg alle">
+      <span style="font-weight:600" aria-hidden="true">Velg alle</span>
+    `;
+    dropdownList.appendChild(allItem);
+    const cbAll = allItem.querySelector('input');
+
+    areaNames.forEach(area => {
+      const item = document.createElement('div');
+      item.className = 'dropdown-item';
+      item.innerHTML = `
+        <input type="checkbox" checked value="${area}" class="area-cb" aria-label="${area}">
+        <div class="color-dot" style="background:${areaColors[area] || '#999'}"></div>
+        <span aria-hidden="true">${area}</span>
+      `;
+      dropdownList.appendChild(item);
+    });
+
+    const checkboxes = dropdownList.querySelectorAll('.area-cb');
+    const label = dropdownBtn.querySelector('span');
+
+    function updatePlot() {
+      const checkedAreas = Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.value);
+      const changes = showAreas(gd, checkedAreas, isAreaTrace);
+
+      const allChecked = checkedAreas.length === checkboxes.length;
+      cbAll.checked = allChecked;
+      cbAll.indeterminate = checkedAreas.length > 0 && !allChecked;
+
+      if (allChecked) {
+        label.textContent = 'Alle bydeler';
+      } else if (checkedAreas.length === 0) {
+        label.textContent = 'Ingen valgt';
+      } else {
+        label.textContent = `${checkedAreas.length} valgt`;
+      }
+      return changes;
+    }
+
+    dropdownList.querySelectorAll('.dropdown-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        // Clicks on the row toggle the checkbox; clicks on the checkbox toggle natively
+        const cb = item.querySelector('input');
+        if (e.target !== cb) {
+          cb.checked = !cb.checked;
+        }
+
+        if (cb === cbAll) {
+          checkboxes.forEach(c => c.checked = cbAll.checked);
+        }
+
+        updatePlot().forEach(onToggle);
+      });
+    });
+
+    label.textContent = 'Alle bydeler';
+
+    return {
+      select(areas) {
+        checkboxes.forEach(cb => cb.checked = areas.includes(cb.value));
+        updatePlot();
+      }
+    };
+  }
+
+  /**
+   * Sold vs. listed over the last 12 months, from two monthly CSVs, optionally with dashed
+   * trend lines (trend.js, computed over the full history). Used by siste12mnd.
+   */
+  function renderMarket12m(ctx) {
+    const { opts, vc, settings, theme, colors, els } = ctx;
+    const seriesColors = colors.series;
+
+    function parseMonthly(csvText, names) {
+      const { headers, rows } = parseCSV(csvText);
+      const cols = findColumns(headers, PERIODS.month.match, names);
+      const data = {};
+      rows.forEach(cells => {
+        if (cells.length < 3) return;
+        data[`${cells[cols.year]}-${cells[cols.period].toLowerCase()}`] = parseInt(cells[cols.value], 10);
+      });
+      return data;
+    }
+
+    return Promise.all([
+      fetch(withCacheBust(opts.dataUrls.solgt)).then(r => r.text()),
+      fetch(withCacheBust(opts.dataUrls.lagtUt)).then(r => r.text()),
+      loadTrend(settings)
+    ]).then(([solgtCsv, lagtUtCsv]) => {
+      const sourceColumns = opts.sourceColumns || {};
+      const solgtData = parseMonthly(solgtCsv, sourceColumns.solgt);
+      const lagtUtData = parseMonthly(lagtUtCsv, sourceColumns.lagtUt);
+
+      const sortedKeys = Array.from(new Set([...Object.keys(solgtData), ...Object.keys(lagtUtData)])).sort((a, b) => {
+        const [yearA, monthA] = a.split('-');
+        const [yearB, monthB] = b.split('-');
+        if (yearA !== yearB) return parseInt(yearA) - parseInt(yearB);
+        return MONTHS.indexOf(monthA) - MONTHS.indexOf(monthB);
+      });
+
+      // Last 12 months going backwards from the newest month in either dataset
+      const [newestYear, newestMonth] = sortedKeys[sortedKeys.length - 1].split('-');
+      const last12 = [];
+      let year = parseInt(newestYear);
+      let monthIdx = MONTHS.indexOf(newestMonth);
+      for (let i = 0; i < 12; i++) {
+        last12.unshift(`${year}-${MONTHS[monthIdx]}`);
+        monthIdx--;
+        if (monthIdx < 0) {
+          monthIdx = 11;
+          year--;
+        }
+      }
+
+      const dates = last12.map(key => {
+        const [y, m] = key.split('-');
+        return `${MONTH_NAMES[m]} ${y}`;
+      });
+      const solgtValues = last12.map(key => solgtData[key] || null);
+      const lagtUtValues = last12.map(key => lagtUtData[key] || null);
+
+      // Trend over every month from the first with data, so the last 12 have a full history behind them
+      const trend = activeTrend(settings, 'month');
+      function trendLast12(data) {
+        const [firstYear, firstMonth] = sortedKeys[0].split('-');
+        const months = [];
+        for (let y = parseInt(firstYear), m = MONTHS.indexOf(firstMonth); `${y}-${MONTHS[m]}` !== last12[11]; ) {
+          months.push(`${y}-${MONTHS[m]}`);
+          if (++m > 11) { m = 0; y++; }
+        }
+        months.push(last12[11]);
+        const values = Trend.compute(months.map(key => Number.isFinite(data[key]) ? data[key] : null), trend,
+          months.map(key => MONTHS.indexOf(key.split('-')[1])), 'month');
+        return values.slice(-12);
+      }
+      const solgtTrend = trend ? trendLast12(solgtData) : null;
+      const lagtUtTrend = trend ? trendLast12(lagtUtData) : null;
+
+      // Summary subheader, unless a saved version sets its own text
+      const subheaderEl = document.getElementById('chartSubheader');
+      if (subheaderEl && !(vc && vc.subheader && vc.subheader.text)) {
+        const totalSolgt = solgtValues.reduce((sum, val) => sum + (val || 0), 0);
+        const totalLagtUt = lagtUtValues.reduce((sum, val) => sum + (val || 0), 0);
+        const diff = totalLagtUt - totalSolgt;
+        subheaderEl.textContent = `De siste 12 månedene er det solgt ${totalSolgt.toLocaleString('nb-NO')} og lagt ut for salg ${totalLagtUt.toLocaleString('nb-NO')} – Det er lagt ut ${diff.toLocaleString('nb-NO')} flere enn det er solgt`;
+      }
+
+      function fillTrace(values, name, fillcolor) {
+        return {
+          x: dates,
+          y: values,
+          type: 'scatter',
+          mode: 'none',
+          name: name,
+          fill: 'tozeroy',
+          fillcolor: fillcolor,
+          line: { shape: 'spline', smoothing: 1.2 },
+          hoverinfo: 'skip',
+          showlegend: false
+        };
+      }
+
+      function lineTrace(values, name, color) {
+        return {
+          x: dates,
+          y: values,
+          type: 'scatter',
+          mode: 'lines+markers',
+          name: name,
+          line: { color: color, width: 3, shape: 'spline', smoothing: 1.2 },
+          marker: { size: 8, color: color },
+          hoverinfo: 'none'
+        };
+      }
+
+      function trendTrace(values, name, color) {
+        return {
+          x: dates,
+          y: values,
+          type: 'scatter',
+          mode: 'lines',
+          name: name,
+          line: { color: color, width: 2, dash: 'dash', shape: 'spline', smoothing: 1.2 },
+          hoverinfo: 'none'
+        };
+      }
+
+      // Order: envelopes first (back to front), then lines (back to front), then trend lines
+      const traces = [
+        fillTrace(lagtUtValues, 'Lagt ut fill', withAlpha(seriesColors.lagtUt, 0.25)),
+        fillTrace(solgtValues, 'Solgt fill', withAlpha(seriesColors.solgt, 0.35)),
+        lineTrace(lagtUtValues, 'Lagt ut', seriesColors.lagtUt),
+        lineTrace(solgtValues, 'Solgt', seriesColors.solgt)
+      ];
+      if (trend) {
+        traces.push(trendTrace(lagtUtTrend, `Lagt ut ${Trend.shortLabel(trend)}`, seriesColors.lagtUt));
+        traces.push(trendTrace(solgtTrend, `Solgt ${Trend.shortLabel(trend)}`, seriesColors.solgt));
+      }
+
+      const layout = {
+        paper_bgcolor: ctx.bgColor,
+        plot_bgcolor: ctx.bgColor,
+        font: { family: theme.font.family, color: colors.text, size: theme.font.size },
+        margin: { l: 0, r: 20, t: 30, b: 80 },
+        xaxis: {
+          showgrid: false,
+          showline: true,
+          linecolor: colors.line,
+          tickfont: { color: colors.muted, size: 11 },
+          tickangle: -45,
+          zeroline: false,
+          ticks: '',
+          tickcolor: colors.line,
+          mirror: false
+        },
+        yaxis: {
+          showgrid: true,
+          gridcolor: colors.grid,
+          showline: true,
+          linecolor: colors.line,
+          tickfont: { color: colors.muted },
+          zeroline: false,
+          ticks: 'outside',
+          ticklen: 8,
+          tickcolor: 'rgba(0,0,0,0)',
+          mirror: false,
+          automargin: true
+        },
+        showlegend: false,
+        hovermode: 'x unified'
+      };
+
+      // Trace order: [0: envelopeLagtUt, 1: envelopeSolgt, 2: traceLagtUt, 3: traceSolgt, 4: trendLagtUt, 5: trendSolgt]
+      const series = [
+        { name: 'Solgt', tooltipLabel: 'Solgt', color: seriesColors.solgt, values: solgtValues, trend: solgtTrend, lineIdx: 3, envIdx: 1, trendIdx: 5 },
+        { name: 'Lagt ut for salg', tooltipLabel: 'Lagt ut', color: seriesColors.lagtUt, values: lagtUtValues, trend: lagtUtTrend, lineIdx: 2, envIdx: 0, trendIdx: 4 }
+      ];
+      const visibleTraces = new Set([0, 1, 2, 3]);
+      const traceIndices = s => trend ? [s.lineIdx, s.envIdx, s.trendIdx] : [s.lineIdx, s.envIdx];
+
+      series.forEach(s => {
+        const div = document.createElement('div');
+        div.className = 'legend-item';
+        div.dataset.lineIdx = s.lineIdx;
+        div.dataset.envIdx = s.envIdx;
+        div.innerHTML = `<div class="legend-line" style="background:${s.color}"></div><span>${s.name}</span>`;
+        els.legend.appendChild(div);
+      });
+      if (trend) els.legend.appendChild(trendLegendItem(trend, 'month', colors.text));
+
+      const trendValue = (s, idx) => s.trend && Number.isFinite(s.trend[idx]) ? s.trend[idx] : null;
+
+      function buildTooltip(idx) {
+        return buildTooltipHTML(dates[idx], series.filter(s => visibleTraces.has(s.lineIdx)).map(s => {
+          const value = formatNumberNO(s.values[idx], undefined, '-');
+          const t = trendValue(s, idx);
+          return {
+            color: s.color,
+            label: s.tooltipLabel,
+            value: t === null ? value
+              : `${value} <span style="opacity:0.6">(${Trend.shortLabel(trend)} ${formatNumberNO(Math.round(t))})</span>`
+          };
+        }));
+      }
+
+      return Plotly.newPlot(els.chart, traces, layout, PLOTLY_CONFIG).then(gd => {
+        hideDefaultHover(gd);
+
+        function setSeriesVisible(item, show) {
+          const lineIdx = parseInt(item.dataset.lineIdx);
+          const envIdx = parseInt(item.dataset.envIdx);
+          [lineIdx, envIdx].forEach(i => show ? visibleTraces.add(i) : visibleTraces.delete(i));
+          item.classList.toggle('disabled', !show);
+          item.setAttribute('aria-pressed', String(show));
+          return Plotly.restyle(gd, { visible: show }, traceIndices(series.find(s => s.lineIdx === lineIdx)));
+        }
+
+        const legendItems = Array.from(els.legend.querySelectorAll('.legend-item[data-line-idx]'));
+        legendItems.forEach(item => {
+          makeToggleAccessible(item, true);
+          item.addEventListener('click', () => {
+            const lineIdx = parseInt(item.dataset.lineIdx);
+            const show = !visibleTraces.has(lineIdx);
+            setSeriesVisible(item, show);
+            seriesToggled(ctx, { name: series.find(s => s.lineIdx === lineIdx).name, visible: show });
+          });
+        });
+
+        gd.on('plotly_hover', e => {
+          const pt = e.points && e.points[0];
+          if (!pt) return;
+          els.tip.innerHTML = buildTooltip(pt.pointIndex);
+          els.tip.style.display = 'block';
+          positionTooltip(els.tip, e.event || window.event);
+          emitEvent('hover', {
+            label: dates[pt.pointIndex],
+            values: series.filter(s => visibleTraces.has(s.lineIdx)).map(s => ({ name: s.name, value: s.values[pt.pointIndex] }))
+          });
+        });
+
+        gd.on('plotly_unhover', () => {
+          els.tip.style.display = 'none';
+          emitEvent('unhover');
+        });
+
+        ctx.gd = gd;
+        ctx.controls = {
+          series: () => series.map(s => ({ name: s.name, visible: visibleTraces.has(s.lineIdx) })),
+          setVisible(names) {
+            const wanted = nameFilter(names);
+            legendItems.forEach(item => {
+              const s = series.find(x => x.lineIdx === parseInt(item.dataset.lineIdx));
+              setSeriesVisible(item, wanted(s.name) || wanted(s.tooltipLabel));
+            });
+          },
+          // Accepts the legend name or the tooltip label ('Lagt ut for salg' or 'Lagt ut')
+          highlight(name) {
+            const match = name === null ? null : series.find(s =>
+              [s.name, s.tooltipLabel].some(n => n.toLowerCase() === String(name).toLowerCase()));
+            if (name !== null && !match) throw new Error(`Ukjent serie: ${name}`);
+            const indices = [];
+            const opacities = [];
+            series.forEach(s => {
+              const opacity = !match || s === match ? 1 : DIMMED_OPACITY;
+              traceIndices(s).forEach(i => {
+                indices.push(i);
+                opacities.push(opacity);
+              });
+            });
+            return Plotly.restyle(gd, { opacity: opacities }, indices);
+          }
+        };
+
+        ctx.table = () => {
+          const shown = series.filter(s => visibleTraces.has(s.lineIdx));
+          const trendColumns = trend ? shown.map(s => ({ name: `${s.name} (${Trend.label(trend, 'month').toLowerCase()})` })) : [];
+          return {
+            columns: [{ name: 'Måned' }, ...shown.map(s => ({ name: s.name })), ...trendColumns],
+            rows: dates.map((date, i) => ({
+              label: date,
+              values: [
+                ...shown.map(s => s.values[i]),
+                ...(trend ? shown.map(s => trendValue(s, i) === null ? null : Math.round(trendValue(s, i))) : [])
+              ]
+            }))
+          };
+        };
+
+        ctx.summary = () => {
+          const total = values => values.reduce((sum, val) => sum + (val || 0), 0);
+          const last = dates.length - 1;
+          const month = i => dates[i].toLowerCase();
+          return `De siste 12 månedene (${month(0)}–${month(last)}) er det solgt ${formatNumberNO(total(solgtValues))} ` +
+            `og lagt ut for salg ${formatNumberNO(total(lagtUtValues))} boliger. ` +
+            `I ${month(last)}: solgt ${formatNumberNO(solgtValues[last], undefined, 'ingen tall')}, ` +
+            `lagt ut ${formatNumberNO(lagtUtValues[last], undefined, 'ingen tall')}.` + trendSummary();
+        };
+
+        // e.g. " Sesongjustert: solgt 1 234 i oktober 2024, ned 2,1 % fra september 2024; lagt ut …"
+        function trendSummary() {
+          if (!trend) return '';
+          const parts = series.map(s => {
+            let i = dates.length - 1;
+            while (i >= 0 && trendValue(s, i) === null) i--;
+            if (i < 0) return null;
+            const change = i > 0 && trendValue(s, i - 1) !== null
+              ? describeChange(percentChange(trendValue(s, i - 1), trendValue(s, i)), 'opp', 'ned', 'uendret') : null;
+            return `${s.tooltipLabel.toLowerCase()} ${formatNumberNO(Math.round(trendValue(s, i)))} i ${dates[i].toLowerCase()}` +
+              (change ? `, ${change} fra ${dates[i - 1].toLowerCase()}` : '');
+          }).filter(Boolean);
+          return parts.length ? ` ${Trend.label(trend, 'month')}: ${parts.join('; ')}.` : '';
+        }
+
+        gd.addEventListener('mousemove', evt => {
+          if (els.tip.style.display === 'block') positionTooltip(els.tip, evt);
+        });
+
+        observeChartResize(els.chart, () => {
+          Plotly.Plots.resize(gd);
+        });
+      });
+    });
+  }
+
+  // market-balance.js is loaded with the first market-balance chart
+  function loadMarketBalance() {
+    if (window.MarketBalance) return Promise.resolve();
+    return loadScript(ROOT_URL ? ROOT_URL + 'market-balance.js' : 'market-balance.js');
+  }
+
+  /**
+   * Derived sold/listed metric over time (market-balance.js): ratio, estimated months of
+   * inventory, rolling 12-month sums or change from the same month last year, from the same
+   * two monthly CSVs as market-12m. opts.metric picks the metric, the version's months the range
+   * (default the last 3 years, 0 for the whole history).
+   */
+  function renderMarketBalance(ctx) {
+    const { opts, settings, theme, colors, els } = ctx;
+    const seriesColors = Object.assign({ ratio: colors.avg, ratio12: colors.series.solgt, inventory: colors.avg }, colors.series);
+    const sourceColumns = opts.sourceColumns || {};
+
+    return Promise.all([
+      fetch(withCacheBust(opts.dataUrls.solgt)).then(r => r.text()),
+      fetch(withCacheBust(opts.dataUrls.lagtUt)).then(r => r.text()),
+      loadMarketBalance()
+    ]).then(([solgtCsv, lagtUtCsv]) => {
+      const metric = MarketBalance.METRICS[opts.metric] ? opts.metric : 'ratio';
+      const def = MarketBalance.METRICS[metric];
+
+      // The two files name their columns differently (Måned,År vs MonthNameShort,Year)
+      const read = (csvText, names) => {
+        const { headers, rows } = parseCSV(csvText);
+        const cols = findColumns(headers, PERIODS.month.match, names);
+        return MarketBalance.parseMonthly(headers, rows, {
+          period: headers[cols.period], year: headers[cols.year], value: headers[cols.value]
+        });
+      };
+      const aligned = MarketBalance.align(read(solgtCsv, sourceColumns.solgt), read(lagtUtCsv, sourceColumns.lagtUt));
+
+      // Metrics are computed over the whole history, then cut to the chosen number of months
+      const allSeries = MarketBalance.compute(aligned, metric);
+      const firstValue = s => {
+        const idx = s.values.findIndex(v => v !== null);
+        return idx < 0 ? aligned.keys.length : idx;
+      };
+      let first = Math.min(aligned.keys.length, ...allSeries.map(firstValue));
+      const months = settings.months === null ? 36 : settings.months;
+      if (months > 0) first = Math.max(first, aligned.keys.length - months);
+      const keys = aligned.keys.slice(first);
+      const series = allSeries.map(s => Object.assign({}, s, { values: s.values.slice(first), color: seriesColors[s.id] }));
+
+      if (keys.length === 0) {
+        els.chart.innerHTML = `<p style="color:${colors.muted}">Ingen måneder med data for både solgt og lagt ut.</p>`;
+        return;
+      }
+
+      const monthTitle = key => {
+        const [y, m] = key.split('-');
+        return `${MONTH_NAMES[m]} ${y}`;
+      };
+      const dates = keys.map(monthTitle);
+      const formatValue = v => {
+        if (v === null || v === undefined) return '-';
+        const text = def.decimals ? formatNumberNO(v, def.decimals) : formatNumberNO(Math.round(v));
+        return def.signed && v > 0 ? '+' + text : text;
+      };
+
+      const traces = series.map(s => def.chart === 'bars' ? {
+        x: dates,
+        y: s.values,
+        type: 'bar',
+        name: s.name,
+        marker: { color: s.color },
+        hoverinfo: 'none'
+      } : {
+        x: dates,
+        y: s.values,
+        type: 'scatter',
+        mode: 'lines',
+        name: s.name,
+        line: { color: s.color, width: 3, shape: 'spline', smoothing: 0.6 },
+        hoverinfo: 'none'
+      });
+
+      const layout = {
+        paper_bgcolor: ctx.bgColor,
+        plot_bgcolor: ctx.bgColor,
+        font: { family: theme.font.family, color: colors.text, size: theme.font.size },
+        margin: { l: 0, r: 20, t: 30, b: 80 },
+        barmode: 'group',
+        bargap: 0.2,
+        xaxis: {
+          type: 'category',
+          showgrid: false,
+          showline: true,
+          linecolor: colors.line,
+          tickfont: { color: colors.muted, size: 11 },
+          tickangle: -45,
+          nticks: 12,
+          zeroline: false,
+          ticks: ''
+        },
+        yaxis: {
+          title: { text: def.axis, font: { color: colors.muted, size: 12 } },
+          showgrid: true,
+          gridcolor: colors.grid,
+          showline: true,
+          linecolor: colors.line,
+          tickfont: { color: colors.muted },
+          zeroline: !!def.signed,
+          zerolinecolor: colors.line,
+          ticks: 'outside',
+          ticklen: 8,
+          tickcolor: 'rgba(0,0,0,0)',
+          automargin: true
+        },
+        showlegend: false,
+        hovermode: 'x unified'
+      };
+
+      const visible = new Set(series.map(s => s.id));
+
+      if (els.legend) {
+        series.forEach((s, idx) => {
+          const div = document.createElement('div');
+          div.className = 'legend-item';
+          div.dataset.traceIdx = idx;
+          div.innerHTML = def.chart === 'bars'
+            ? `<div class="legend-dot" style="background:${s.color}"></div><span>${s.name}</span>`
+            : `<div class="legend-line" style="background:${s.color}"></div><span>${s.name}</span>`;
+          els.legend.appendChild(div);
+        });
+      }
+
+      function buildTooltip(idx) {
+        return buildTooltipHTML(dates[idx], series.filter(s => visible.has(s.id)).map(s => ({
+          color: s.color,
+          label: s.name,
+          value: formatValue(s.values[idx])
+        })));
+      }
+
+      return Plotly.newPlot(els.chart, traces, layout, PLOTLY_CONFIG).then(gd => {
+        hideDefaultHover(gd);
+
+        function setSeriesVisible(item, show) {
+          const idx = parseInt(item.dataset.traceIdx);
+          if (show) visible.add(series[idx].id);
+          else visible.delete(series[idx].id);
+          item.classList.toggle('disabled', !show);
+          item.setAttribute('aria-pressed', String(show));
+          return Plotly.restyle(gd, { visible: show }, [idx]);
+        }
+
+        const legendItems = els.legend ? Array.from(els.legend.querySelectorAll('.legend-item')) : [];
+        legendItems.forEach(item => {
+          makeToggleAccessible(item, true);
+          item.addEventListener('click', () => {
+            const s = series[parseInt(item.dataset.traceIdx)];
+            const show = !visible.has(s.id);
+            setSeriesVisible(item, show);
+            seriesToggled(ctx, { name: s.name, visible: show });
+          });
+        });
+
+        gd.on('plotly_hover', e => {
+          const pt = e.points && e.points[0];
+          if (!pt) return;
+          els.tip.innerHTML = buildTooltip(pt.pointIndex);
+          els.tip.style.display = 'block';
+          positionTooltip(els.tip, e.event || window.event);
+          emitEvent('hover', {
+            label: dates[pt.pointIndex],
+            values: series.filter(s => visible.has(s.id)).map(s => ({ name: s.name, value: s.values[pt.pointIndex] }))
+          });
+        });
+
+        gd.on('plotly_unhover', () => {
+          els.tip.style.display = 'none';
+          emitEvent('unhover');
+        });
+
+        ctx.gd = gd;
+        ctx.controls = {
+          series: () => series.map(s => ({ name: s.name, visible: visible.has(s.id) })),
+          setVisible(names) {
+            const wanted = nameFilter(names);
+            legendItems.forEach(item => setSeriesVisible(item, wanted(series[parseInt(item.dataset.traceIdx)].name)));
+          },
+          highlight(name) {
+            const match = name === null ? null : series.find(s => s.name.toLowerCase() === String(name).toLowerCase());
+            if (name !== null && !match) throw new Error(`Ukjent serie: ${name}`);
+            return Plotly.restyle(gd, { opacity: series.map(s => !match || s === match ? 1 : DIMMED_OPACITY) }, series.map((_, i) => i));
+          }
+        };
+
+        ctx.table = () => {
+          const shown = series.filter(s => visible.has(s.id));
+          const round = v => v === null || v === undefined ? null : Math.round(v * Math.pow(10, def.decimals)) / Math.pow(10, def.decimals);
+          return {
+            columns: [{ name: 'Måned' }, ...shown.map(s => ({ name: s.name }))],
+            rows: dates.map((date, i) => ({ label: date, values: shown.map(s => round(s.values[i])) }))
+          };
+        };
+
+        ctx.summary = () => summarizeMarketBalance(metric, keys, series, monthTitle, formatValue);
+
+        gd.addEventListener('mousemove', evt => {
+          if (els.tip.style.display === 'block') positionTooltip(els.tip, evt);
+        });
+
+        observeChartResize(els.chart, () => {
+          Plotly.Plots.resize(gd);
+        });
+      });
+    });
+  }
+
+  // Text summary of the latest month, per metric
+  function summarizeMarketBalance(metric, keys, series, monthTitle, formatValue) {
+    const last = keys.length - 1;
+    const month = monthTitle(keys[last]).toLowerCase();
+    const lastYear = last >= 12 ? monthTitle(keys[last - 12]).toLowerCase() : null;
+    const byId = id => series.find(s => s.id === id);
+    const value = (id, i) => {
+      const s = byId(id);
+      return s && s.values[i] !== null && s.values[i] !== undefined ? s.values[i] : null;
+    };
+
+    switch (metric) {
+      case 'ratio': {
+        let text = `I ${month} ble det solgt ${formatValue(value('ratio', last))} boliger per 100 lagt ut for salg.`;
+        if (value('ratio12', last) !== null) {
+          text += ` Siste 12 måneder: ${formatValue(value('ratio12', last))}`;
+          text += lastYear && value('ratio12', last - 12) !== null ? `, mot ${formatValue(value('ratio12', last - 12))} året før.` : '.';
+        }
+        return text;
+      }
+      case 'inventory': {
+        const text = `Estimert tilbud i ${month}: ${formatValue(value('inventory', last))} måneder med salg`;
+        return text + (lastYear && value('inventory', last - 12) !== null
+          ? `, mot ${formatValue(value('inventory', last - 12))} i ${lastYear}.` : '.');
+      }
+      case 'rolling12': {
+        const text = `Siste 12 måneder til og med ${month}: solgt ${formatValue(value('solgt', last))}, ` +
+          `lagt ut for salg ${formatValue(value('lagtUt', last))}.`;
+        return text + (lastYear && value('solgt', last - 12) !== null
+          ? ` Året før: solgt ${formatValue(value('solgt', last - 12))}, lagt ut ${formatValue(value('lagtUt', last - 12))}.` : '');
+      }
+      default: {
+        const change = id => {
+          const v = value(id, last);
+          if (v === null) return 'ingen tall';
+          return v === 0 ? 'like mange' : `${formatNumberNO(Math.abs(v))} ${v > 0 ? 'flere' : 'færre'}`;
+        };
+        return `I ${month} ble det solgt ${change('solgt')} og lagt ut ${change('lagtUt')} boliger enn i samme måned i fjor.`;
+      }
+    }
+  }
+
+  const KINDS = {
+    'year-bars': renderYearBars,
+    'index-lines': renderIndexLines,
+    'market-12m': renderMarket12m,
+    'market-balance': renderMarketBalance
+  };
+
+  // ---- Public API ----
+
+  const Grafer = {
+
+    /**
+     * Render a public chart page.
+     * options: {
+     *   kind: 'year-bars' | 'index-lines' | 'market-12m' | 'market-balance',
+     *   dataUrl, dataUrls, layoutUrl, configUrl,  // data sources (per kind)
+     *   cpiUrl,          // KPI series for real prices (index-lines, ?real= / version real)
+     *   versionsUrl,     // versions.json for ?v= support (omit to disable)
+     *                    // with ?ref=<branch>, data and versions are read from that branch
+     *   config,          // inline version config, used instead of ?v= (generators)
+     *   columns,         // { period, year, value } column names (year-bars; default: sniffed from headers)
+     *   sourceColumns,   // { solgt: columns, lagtUt: columns } for dataUrls (market-12m, market-balance)
+     *   metric,          // 'ratio' | 'inventory' | 'rolling12' | 'yoy' (market-balance)
+     *   period,          // 'month' | 'week' (year-bars; the version's weekly picks the week view)
+     *   defaultAspect,   // aspect ratio when neither version nor URL sets one
+     *   yDtick, yMin     // optional axis overrides
+     * }
+     */
+    renderChart(options) {
+      const opts = Object.assign({ defaultAspect: '1.78' }, options);
+      const render = KINDS[opts.kind];
+      if (!render) throw new Error('Ukjent graftype: ' + opts.kind);
+
+      lastOptions = options;
+      applyPageModes();
+      initEmbedResize();
+      initEmbedApi();
+      initLinkListener();
+      linkState = opts.config ? null : readLinkState();
+
+      const urlParams = new URLSearchParams(window.location.search);
+      const ref = urlParams.get('ref');
+      if (ref && /^[\w.\/-]+$/.test(ref)) applyRef(opts, ref);
+
+      const versionId = opts.versionsUrl ? urlParams.get('v') : null;
+      const versionPromise = opts.config ? Promise.resolve(opts.config)
+        : versionId ? loadVersionConfig(opts.versionsUrl, versionId).then(vc => upgradeVersionConfig(opts.kind, vc))
+        : Promise.resolve(null);
+
+      const rendered = versionPromise
+        .then(vc => {
+          const settings = resolveSettings(vc, urlParams, opts);
+          if (embedState.theme) settings.theme = embedState.theme;
+          return loadTheme(settings).then(theme => ({ vc: vc, settings: settings, theme: theme }));
+        })
+        .then(({ vc, settings, theme }) => {
+          applyBasicSettings(vc || {}, settings, theme);
+
+          const ctx = {
+            opts: opts,
+            vc: vc,
+            settings: settings,
+            theme: theme,
+            colors: theme.colors,
+            bgColor: settings.transparent ? 'rgba(0,0,0,0)' : theme.colors.bg,
+            els: {
+              chart: document.getElementById('chart'),
+              tip: document.getElementById('miTooltip'),
+              legend: document.getElementById('legendContainer')
+            }
+          };
+          if (!ctx.els.chart || !ctx.els.tip) return null;
+          if (ctx.els.legend) ctx.els.legend.innerHTML = '';
+
+          // Render functions set ctx.gd (and optionally ctx.controls) once the plot exists
+          return whenPlotlyReady().then(() => render(ctx)).then(() => ctx.gd ? ctx : null);
+        });
+
+      currentChart = rendered.catch(() => null);
+      return rendered
+        .then(ctx => {
+          if (!ctx) return null;
+          initAccessibleData(ctx);
+          return onChartReady(ctx).then(() => urlParams.get('snapshot') === '1' ? writeSnapshot(ctx) : null);
+        })
+        .catch(err => console.error('Error loading data:', err));
+    },
+
+    registerKind(name, render) {
+      KINDS[name] = render;
+    },
+
+    MONTHS: MONTHS,
+    MONTH_NAMES: MONTH_NAMES,
+    formatNumberNO: formatNumberNO,
+    getMaxYearsToShow: getMaxYearsToShow,
+    buildTooltipHTML: buildTooltipHTML,
+    positionTooltip: positionTooltip,
+    sendHeight: sendHeight
+  };
+
+  window.Grafer = Grafer;
+})();
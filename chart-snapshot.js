@@ -0,0 +1,82 @@
+/**
+ * Chart Snapshot Module
+ * Static PNG and SVG images of a rendered chart, for social cards, newsletters and print.
+ * The image is the Plotly figure at a fixed width and the version's aspect ratio, with the page's
+ * header and subheader as title and Plotly's own legend in place of the HTML one.
+ * Used by version-manager.js (committed with each saved version) and by chart-runtime.js in
+ * ?snapshot=1 mode (render_snapshots.py).
+ */
+
+(function () {
+  'use strict';
+
+  const WIDTH = 1200;
+  const DEFAULT_ASPECT = 1.78;
+
+  // Plotly titles are pseudo-HTML
+  function escapeText(str) {
+    return String(str).replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+  }
+
+  function textOf(selector) {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.trim() : '';
+  }
+
+  /**
+   * Figure for the snapshot: a copy of the chart's data and layout, sized and titled.
+   * options: { aspect, title, subtitle } - title/subtitle default to the page's header/subheader
+   */
+  function figure(gd, options = {}) {
+    const aspect = parseFloat(options.aspect) > 0 ? parseFloat(options.aspect) : DEFAULT_ASPECT;
+    const data = JSON.parse(JSON.stringify(gd.data));
+    const layout = JSON.parse(JSON.stringify(gd.layout));
+    const title = options.title !== undefined ? options.title : textOf('.chart-header');
+    const subtitle = options.subtitle !== undefined ? options.subtitle : textOf('.chart-subheader');
+    const textColor = (layout.font && layout.font.color) || '#1a1a2e';
+
+    layout.width = WIDTH;
+    layout.height = Math.round(WIDTH / aspect);
+    layout.margin = Object.assign({ l: 0, r: 0, b: 40 }, layout.margin, { t: subtitle ? 100 : 70 });
+    layout.title = {
+      text: `<b>${escapeText(title)}</b>` + (subtitle ? `<br><span style="font-size:15px">${escapeText(subtitle)}</span>` : ''),
+      x: 0,
+      xanchor: 'left',
+      xref: 'paper',
+      y: 0.98,
+      yanchor: 'top',
+      yref: 'container',
+      font: { size: 24, color: textColor }
+    };
+    layout.showlegend = true;
+    layout.legend = { orientation: 'h', x: 0, xanchor: 'left', y: -0.08, yanchor: 'top', font: { color: textColor } };
+
+    return { data: data, layout: layout, config: { staticPlot: true } };
+  }
+
+  /**
+   * Render the snapshot images.
+   * @returns {Promise<{png: string, svg: string, width: number, height: number}>}
+   *   png is base64 (no data: prefix), svg is the SVG markup
+   */
+  async function render(gd, options) {
+    if (!gd || !gd.data || !gd.layout) throw new Error('Fant ingen graf å lage bilde av');
+    const fig = figure(gd, options);
+    const size = { width: fig.layout.width, height: fig.layout.height };
+
+    const pngUrl = await Plotly.toImage(fig, Object.assign({ format: 'png' }, size));
+    const svgUrl = await Plotly.toImage(fig, Object.assign({ format: 'svg' }, size));
+    return {
+      png: pngUrl.slice(pngUrl.indexOf(',') + 1),
+      svg: decodeURIComponent(svgUrl.slice(svgUrl.indexOf(',') + 1)),
+      width: size.width,
+      height: size.height
+    };
+  }
+
+  window.ChartSnapshot = {
+    WIDTH: WIDTH,
+    figure: figure,
+    render: render
+  };
+})();
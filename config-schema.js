@@ -0,0 +1,242 @@
+/**
+ * Config Schema Module
+ * Schema for the version configs in versions.json, per chart kind: which settings a kind has,
+ * their defaults and allowed values, and the schema version (stored as schemaVersion).
+ * Configs saved before schemas have no schemaVersion and count as version 0.
+ * upgrade() runs the migrations from the config's version to the current one, then validates:
+ * missing settings get the default, invalid ones are replaced by it (with a warning).
+ * Settings a schema does not know are kept, so page-specific extras survive.
+ * When a generator renames or changes a setting, bump the kind's version and add a migration
+ * to MIGRATIONS that rewrites older configs.
+ * Used by chart-runtime.js (configs loaded with ?v=) and version-manager.js (loading, saving
+ * and "Oppgrader alle versjoner").
+ */
+
+(function () {
+  'use strict';
+
+  const ASPECTS = ['1.78', '2.0', '1.33', '1.25', '0.75'];
+
+  // Field specs: { type, default, values?, min?, max?, fields? }
+  // type: 'string' | 'number' | 'boolean' | 'object' (with fields) | 'list' (array) | 'map' (any keys)
+  // default null: the page decides, and the setting is left out when missing
+  const text = (value = '') => ({ type: 'string', default: value });
+  const number = (value, min, max) => ({ type: 'number', default: value, min: min, max: max });
+  const flag = value => ({ type: 'boolean', default: value });
+  const oneOf = (values, value) => ({ type: 'string', default: value, values: values });
+  const group = (fields, value = {}) => ({ type: 'object', default: value, fields: fields });
+  const list = () => ({ type: 'list', default: null });
+  const map = () => ({ type: 'map', default: {} });
+
+  const side = () => group({ width: number(1, 0, 20), style: oneOf(['solid', 'dashed', 'dotted'], 'solid'), color: text('#cccccc') });
+
+  // Page-level settings every generator saves (margins and border only in the per-chart generators,
+  // months only in chart-generer.html, which saves the same settings for every kind)
+  const COMMON = {
+    theme: text('dark'),
+    aspect: oneOf(ASPECTS, null),
+    transparent: flag(false),
+    header: group({ text: text(), fontSize: number(22, 8, 72) }),
+    subheader: group({ text: text(), fontSize: number(14, 8, 48) }),
+    fontInherit: flag(false),
+    source: group({ text: text() }),
+    months: number(null, 0, 600),
+    margins: group({ top: number(0, 0, 200), right: number(0, 0, 200), bottom: number(0, 0, 200), left: number(0, 0, 200) }, null),
+    border: group({ enabled: flag(false), top: side(), right: side(), bottom: side(), left: side() }, null)
+  };
+
+  const TREND = group({
+    type: oneOf(['none', 'centered', 'trailing', 'seasonal'], 'none'),
+    window: number(null, 2, 52)
+  });
+
+  const SCHEMAS = {
+    'year-bars': {
+      version: 1,
+      fields: Object.assign({}, COMMON, {
+        opacity: number(0.7, 0, 1),
+        palette: text('default'),
+        avg: group({ enabled: flag(true), color: text(null), lineWidth: number(3, 0.5, 10), dashed: flag(true) }),
+        trend: TREND,
+        weekly: group({ view: oneOf(['overlay', 'month', 'date'], 'overlay'), align: oneOf(['week', 'date'], 'week') }),
+        customYearColors: map(),
+        selectedYears: list(),
+        selectedMonths: list(),
+        selectedWeeks: list()
+      })
+    },
+    'index-lines': {
+      version: 1,
+      fields: Object.assign({}, COMMON, {
+        opacity: number(0.85, 0, 1),
+        lineWidth: number(2.4, 0.5, 10),
+        customAreaColors: map(),
+        visibleAreas: list(),
+        startYear: number(null, 1900, 2100),
+        selectedMonths: list(),
+        transform: group({ type: oneOf(['none', 'rebase', 'cumulative', 'yoy', 'qoq'], 'none'), date: text(null) }),
+        real: group({ enabled: flag(false), baseYear: number(null, 1900, 2100) }),
+        highlightColor: text(null)
+      })
+    },
+    'market-12m': {
+      version: 1,
+      fields: Object.assign({}, COMMON, {
+        opacity: number(1, 0, 1),
+        palette: text('default'),
+        lineWidth: number(3, 0.5, 10),
+        showMarkers: flag(true),
+        trend: TREND,
+        highlightedLine: oneOf(['solgt', 'lagtut'], null),
+        highlightColor: text(null),
+        selectedXIndices: list()
+      })
+    },
+    'market-balance': {
+      version: 1,
+      fields: Object.assign({}, COMMON, {
+        opacity: number(0.7, 0, 1),
+        palette: text('default')
+      })
+    }
+  };
+
+  // MIGRATIONS[kind][n] turns a version n config into version n + 1 (on a copy)
+  const fromUnversioned = config => {
+    // chart-generer.html read a missing fontInherit as on, every other page as off
+    if (config.fontInherit === undefined) config.fontInherit = false;
+    return config;
+  };
+
+  const MIGRATIONS = {
+    'year-bars': [fromUnversioned],
+    'index-lines': [fromUnversioned],
+    'market-12m': [fromUnversioned],
+    'market-balance': [fromUnversioned]
+  };
+
+  function schemaFor(kind) {
+    const schema = SCHEMAS[kind];
+    if (!schema) throw new Error(`Ukjent graftype: ${kind}`);
+    return schema;
+  }
+
+  function currentVersion(kind) {
+    return schemaFor(kind).version;
+  }
+
+  function versionOf(config) {
+    return config && Number.isInteger(config.schemaVersion) ? config.schemaVersion : 0;
+  }
+
+  function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // A value as the spec's type, or undefined if it can't be
+  function coerce(spec, value) {
+    switch (spec.type) {
+      case 'number': {
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof n !== 'number' || !Number.isFinite(n)) return undefined;
+        if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) return undefined;
+        return n;
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? value : undefined;
+      case 'string':
+        if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+        return !spec.values || spec.values.includes(String(value)) ? String(value) : undefined;
+      case 'list':
+        return Array.isArray(value) ? value : undefined;
+      case 'map':
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  // Fill defaults and replace invalid values in an object, per its field specs
+  function validateFields(fields, target, path, warnings) {
+    Object.keys(fields).forEach(key => {
+      const spec = fields[key];
+      const name = path ? `${path}.${key}` : key;
+      const value = target[key];
+
+      if (value === undefined || value === null) {
+        if (spec.default === null) delete target[key];
+        else target[key] = copy(spec.default);
+      } else {
+        const valid = coerce(spec, value);
+        if (valid === undefined) {
+          warnings.push(`Ugyldig verdi for ${name}: ${JSON.stringify(value)}`);
+          if (spec.default === null) delete target[key];
+          else target[key] = copy(spec.default);
+        } else {
+          target[key] = valid;
+        }
+      }
+      if (spec.type === 'object' && target[key]) validateFields(spec.fields, target[key], name, warnings);
+    });
+  }
+
+  /**
+   * Validate a config against the kind's current schema (no migrations).
+   * @returns {{config: Object, warnings: string[]}} A copy with defaults filled in
+   */
+  function validate(kind, config) {
+    const result = copy(config || {});
+    const warnings = [];
+    validateFields(schemaFor(kind).fields, result, '', warnings);
+    result.schemaVersion = currentVersion(kind);
+    return { config: result, warnings: warnings };
+  }
+
+  /**
+   * Bring a saved config up to the kind's current schema: migrations, then validate().
+   * Configs from a newer schema than this page knows are only validated.
+   * @param {string} kind - Chart kind (charts.json kind)
+   * @param {Object} config - Version config
+   * @returns {{config: Object, from: number, to: number, changed: boolean, warnings: string[]}}
+   */
+  function upgrade(kind, config) {
+    const target = currentVersion(kind);
+    const from = versionOf(config);
+    let migrated = copy(config || {});
+    const warnings = [];
+
+    if (from > target) {
+      warnings.push(`Versjonen er lagret med skjemaversjon ${from}, men siden kjenner bare til ${target}`);
+    } else {
+      for (let v = from; v < target; v++) {
+        migrated = MIGRATIONS[kind][v](migrated) || migrated;
+      }
+    }
+
+    const validated = validate(kind, migrated);
+    if (from > target) validated.config.schemaVersion = from;
+    return {
+      config: validated.config,
+      from: from,
+      to: validated.config.schemaVersion,
+      changed: JSON.stringify(validated.config) !== JSON.stringify(config),
+      warnings: warnings.concat(validated.warnings)
+    };
+  }
+
+  // True if the config is saved with an older schema than the kind's current one
+  function isOutdated(kind, config) {
+    return versionOf(config) < currentVersion(kind);
+  }
+
+  window.ConfigSchema = {
+    SCHEMAS: SCHEMAS,
+    MIGRATIONS: MIGRATIONS,
+    currentVersion: currentVersion,
+    versionOf: versionOf,
+    validate: validate,
+    upgrade: upgrade,
+    isOutdated: isOutdated
+  };
+})();
@@ -0,0 +1,256 @@
+/**
+ * CSV Parser Module
+ * Shared CSV parsing for the admin pages: delimiter sniffing (comma, semicolon, tab),
+ * RFC 4180 quoting (quoted delimiters, line breaks and "" escapes) and Norwegian
+ * number formats such as "1 234,5" (space or non-breaking space as thousand separator).
+ * Dates in the date-keyed files (prisindeks, KPI) are normalized to the month: "2024-01-01".
+ */
+
+(function () {
+  'use strict';
+
+  const DELIMITERS = [',', ';', '\t'];
+
+  // \s also covers non-breaking (U+00A0) and narrow non-breaking (U+202F) spaces
+  const THOUSAND_SPACES = /\s/g;
+
+  function stripBOM(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  }
+
+  /**
+   * Guess the delimiter from the first non-empty line, ignoring quoted text.
+   * Norwegian Excel exports use ';' because ',' is the decimal separator.
+   */
+  function sniffDelimiter(text) {
+    const firstLine = stripBOM(text).split(/\r?\n/).find(l => l.trim()) || '';
+    const counts = {};
+    DELIMITERS.forEach(d => counts[d] = 0);
+
+    let inQuotes = false;
+    for (const char of firstLine) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    return DELIMITERS.reduce((best, d) => counts[d] > counts[best] ? d : best, ',');
+  }
+
+  /**
+   * Split text into records of raw fields. Returns [{ line, fields, error }],
+   * where line is the 1-based line number the record starts on.
+   */
+  function tokenize(text, delimiter) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+    let error = null;
+    let line = 1;
+    let recordLine = 1;
+
+    function endField() {
+      fields.push(wasQuoted ? field : field.trim());
+      field = '';
+      wasQuoted = false;
+    }
+
+    function endRecord() {
+      endField();
+      const empty = fields.length === 1 && fields[0] === '';
+      if (!empty) records.push({ line: recordLine, fields: fields, error: error });
+      fields = [];
+      error = null;
+      recordLine = line;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        if (field.trim() === '' && !wasQuoted) {
+          field = '';
+          inQuotes = true;
+          wasQuoted = true;
+        } else {
+          // Stray quote inside an unquoted field: keep it, but flag the row
+          field += char;
+          error = error || 'Uventet anførselstegn';
+        }
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        line++;
+        endRecord();
+      } else if (wasQuoted) {
+        // Text after a closing quote, e.g. "abc"def
+        if (char.trim()) error = error || 'Tekst etter avsluttende anførselstegn';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) error = 'Anførselstegn er ikke lukket';
+    if (field !== '' || fields.length > 0 || wasQuoted) endRecord();
+
+    return records;
+  }
+
+  /**
+   * Parse CSV text into header names and row objects.
+   * @param {string} text
+   * @param {{delimiter?: string}} [options] - delimiter is sniffed when omitted
+   * @returns {{headers: string[], data: Object[], delimiter: string,
+   *            errors: Array<{row: number, line: number, message: string}>}}
+   *   row is the 1-based data row (header excluded), as shown in the processing log
+   */
+  function parse(text, options = {}) {
+    text = stripBOM(String(text || ''));
+    const delimiter = options.delimiter || sniffDelimiter(text);
+    const records = tokenize(text, delimiter);
+    const errors = [];
+
+    if (records.length === 0) {
+      return { headers: [], data: [], delimiter: delimiter, errors: errors };
+    }
+
+    const headers = records[0].fields.map(h => h.trim());
+    const data = [];
+
+    for (let i = 1; i < records.length; i++) {
+      const record = records[i];
+      const rowNumber = i;
+
+      if (record.error) {
+        errors.push({ row: rowNumber, line: record.line, message: record.error });
+      }
+
+      // Trailing empty fields (e.g. "a;b;;") are not an error
+      let fields = record.fields;
+      while (fields.length > headers.length && fields[fields.length - 1] === '') {
+        fields = fields.slice(0, -1);
+      }
+      if (fields.length !== headers.length) {
+        errors.push({
+          row: rowNumber,
+          line: record.line,
+          message: `Forventet ${headers.length} kolonner, fant ${fields.length}`
+        });
+      }
+
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = fields[index] !== undefined ? fields[index] : '';
+      });
+      data.push(row);
+    }
+
+    return { headers: headers, data: data, delimiter: delimiter, errors: errors };
+  }
+
+  /**
+   * Normalize a number written in Norwegian or English style to a plain
+   * "1234.5" string, keeping the digits as written.
+   * Accepts "1 234,5", "1.234,5", "1,234.5", "1234.5", "-12", "−12" and "12 %".
+   * Returns '' for empty input and null if the value is not a number.
+   */
+  function normalizeNumber(raw) {
+    if (raw === null || raw === undefined) return '';
+    let str = String(raw).replace(THOUSAND_SPACES, '').replace(/^−/, '-').replace(/%$/, '');
+    if (str === '') return '';
+
+    const lastComma = str.lastIndexOf(',');
+    const lastDot = str.lastIndexOf('.');
+
+    if (lastComma >= 0 && lastDot >= 0) {
+      // Both present: whichever comes last is the decimal separator
+      if (lastComma > lastDot) {
+        str = str.replace(/\./g, '').replace(',', '.');
+      } else {
+        str = str.replace(/,/g, '');
+      }
+    } else if (lastComma >= 0) {
+      // Only commas: one is a decimal comma, several are thousand separators
+      str = str.split(',').length > 2 ? str.replace(/,/g, '') : str.replace(',', '.');
+    } else if (lastDot >= 0 && str.split('.').length > 2) {
+      // Several dots: thousand separators ("1.234.567")
+      str = str.replace(/\./g, '');
+    }
+
+    return /^-?\d+(\.\d+)?$/.test(str) || /^-?\.\d+$/.test(str) ? str : null;
+  }
+
+  /**
+   * Parse a number (see normalizeNumber).
+   * Returns null for empty input and NaN if the value is not a number.
+   */
+  function parseNumber(raw) {
+    const normalized = normalizeNumber(raw);
+    if (normalized === '') return null;
+    if (normalized === null) return NaN;
+    return parseFloat(normalized);
+  }
+
+  function monthDate(year, month) {
+    const m = parseInt(month, 10);
+    return m >= 1 && m <= 12 ? `${year}-${String(m).padStart(2, '0')}-01` : null;
+  }
+
+  /**
+   * Normalize a date from the formats SSB tables and spreadsheets use to "YYYY-MM-01"
+   * (the first day of the month or quarter, as in the date-keyed data files).
+   * Accepts "2024-01-15" (also with a time), "2024-01", "15.01.2024", "2024M01", "2024K1",
+   * "2024-K1", "Q1 2024", "1. kvartal 2024" and Excel date serials.
+   * Returns null if the value is not a date.
+   */
+  function normalizeDate(raw) {
+    if (raw === null || raw === undefined) return null;
+    const str = String(raw).trim();
+    let match;
+
+    // ISO date, optionally with a time: 2024-01-01 / 2024-01-01 00:00:00
+    if ((match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) return monthDate(match[1], match[2]);
+    // Norwegian: 01.01.2024
+    if ((match = str.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) return monthDate(match[3], match[2]);
+    // SSB month: 2024M01
+    if ((match = str.match(/^(\d{4})\s*M\s*(\d{1,2})$/i))) return monthDate(match[1], match[2]);
+    // Quarter: 2024K1, 2024-K1, Q1 2024, 1. kvartal 2024
+    if ((match = str.match(/(\d{4})\s*-?\s*[KQ]\s*([1-4])/i))) return monthDate(match[1], (match[2] - 1) * 3 + 1);
+    if ((match = str.match(/[KQ]\s*([1-4])\s*(\d{4})/i))) return monthDate(match[2], (match[1] - 1) * 3 + 1);
+    if ((match = str.match(/([1-4])\.\s*kvartal\s*(\d{4})/i))) return monthDate(match[2], (match[1] - 1) * 3 + 1);
+    // Year and month: 2024-01
+    if ((match = str.match(/^(\d{4})-(\d{1,2})$/))) return monthDate(match[1], match[2]);
+
+    // Excel date serial
+    if (/^\d+$/.test(str) && parseInt(str, 10) > 30000) {
+      const date = new Date((parseInt(str, 10) - 25569) * 86400 * 1000);
+      return monthDate(date.getUTCFullYear(), date.getUTCMonth() + 1);
+    }
+    return null;
+  }
+
+  window.CsvParser = {
+    parse: parse,
+    sniffDelimiter: sniffDelimiter,
+    normalizeNumber: normalizeNumber,
+    parseNumber: parseNumber,
+    normalizeDate: normalizeDate
+  };
+})();
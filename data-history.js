@@ -0,0 +1,322 @@
+/**
+ * Data History Module
+ * "Historikk" panel for the admin pages: lists earlier revisions of the dataset CSV,
+ * previews a revision as a chart overlay and diff against the current data, and restores
+ * it as a new commit. Uses server.py (/git-log, /git-show) locally and the GitHub
+ * commits/contents API on GitHub Pages. Load after github-save.js.
+ */
+
+(function () {
+  'use strict';
+
+  const PLOTLY_URL = 'https://cdn.plot.ly/plotly-2.30.0.min.js';
+  const LIMIT = 30;
+
+  let _plotlyPromise = null;
+
+  function loadPlotly() {
+    if (window.Plotly) return Promise.resolve(window.Plotly);
+    if (_plotlyPromise) return _plotlyPromise;
+
+    _plotlyPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = PLOTLY_URL;
+      script.onload = () => resolve(window.Plotly);
+      script.onerror = () => {
+        _plotlyPromise = null;
+        reject(new Error('Kunne ikke laste Plotly'));
+      };
+      document.head.appendChild(script);
+    });
+    return _plotlyPromise;
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  function formatDate(iso) {
+    const d = new Date(iso);
+    return isNaN(d) ? iso : d.toLocaleString('nb-NO', { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  function splitPath(path) {
+    const idx = path.lastIndexOf('/');
+    return { folder: idx < 0 ? '' : path.slice(0, idx), filename: path.slice(idx + 1) };
+  }
+
+  function useGitHubApi() {
+    return window.GitHubSave && GitHubSave.isGitHubPages;
+  }
+
+  function apiToken() {
+    return window.GitHubSave ? GitHubSave.getToken() : '';
+  }
+
+  async function postJSON(url, body) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (e) {
+      throw new Error('Historikk krever at siden kjøres via server.py eller GitHub Pages.');
+    }
+    const result = await resp.json().catch(() => ({}));
+    if (!resp.ok || !result.success) throw new Error(result.message || `Serverfeil: ${resp.status}`);
+    return result;
+  }
+
+  /**
+   * Revisions of a file, newest first.
+   * @returns {Promise<Array<{sha: string, date: string, author: string, message: string}>>}
+   */
+  async function listRevisions(config, limit = LIMIT) {
+    if (!useGitHubApi()) {
+      const result = await postJSON('/git-log', { path: config.filePath, limit: limit });
+      return result.commits;
+    }
+
+    const resp = await GitHubCommit.request(`/repos/${config.owner}/${config.repo}/commits` +
+      `?path=${encodeURIComponent(config.filePath)}&sha=main&per_page=${limit}`, { token: apiToken() });
+    if (!resp.ok) throw new Error(`Kunne ikke hente historikk: ${resp.status}`);
+    const commits = await resp.json();
+    return commits.map(c => ({
+      sha: c.sha,
+      date: c.commit.author.date,
+      author: c.commit.author.name,
+      message: c.commit.message.split('\n')[0]
+    }));
+  }
+
+  // File content at a revision
+  async function getRevision(config, sha) {
+    if (!useGitHubApi()) {
+      const result = await postJSON('/git-show', { path: config.filePath, sha: sha });
+      return result.content;
+    }
+
+    const file = await GitHubCommit.readFile(config.owner, config.repo, config.filePath, { ref: sha, token: apiToken() });
+    if (!file) throw new Error(`${config.filePath} finnes ikke i ${sha.slice(0, 7)}`);
+    return file.content;
+  }
+
+  // Write a revision's content back as a new commit
+  async function restore(config, revision, content) {
+    const message = `Gjenopprettet ${config.filePath} fra ${revision.sha.slice(0, 7)} (${revision.date.slice(0, 10)})`;
+
+    if (!useGitHubApi()) {
+      const { folder, filename } = splitPath(config.filePath);
+      await postJSON('/save-csv', { csv: content, folder: folder, filename: filename });
+      const result = await postJSON('/git-push', { message: message, folder: folder, filename: filename });
+      return result.message;
+    }
+
+    const token = GitHubSave.getToken();
+    if (!token) throw new Error('Sett opp GitHub-token i innstillinger øverst på siden.');
+    const result = await GitHubSave.saveToGitHub(config.owner, config.repo, config.filePath, content, message, token);
+    return result.message;
+  }
+
+  // Current data and revision as lines, one series at a time
+  async function plotOverlay(chartEl, config, currentRows, revisionRows, column, revisionLabel) {
+    const Plotly = await loadPlotly();
+
+    const all = new Map();
+    currentRows.concat(revisionRows).forEach(row => all.set(config.key(row), row));
+    const ordered = Array.from(all.values()).sort(config.compare);
+    const x = ordered.map(config.label);
+
+    const series = rows => {
+      const byKey = new Map(rows.map(row => [config.key(row), row]));
+      return ordered.map(row => {
+        const match = byKey.get(config.key(row));
+        return match ? CsvParser.parseNumber(match[column]) : null;
+      });
+    };
+
+    const traces = [
+      { x: x, y: series(currentRows), name: 'Gjeldende', mode: 'lines', line: { color: '#60a5fa', width: 2 } },
+      { x: x, y: series(revisionRows), name: revisionLabel, mode: 'lines', line: { color: '#f59e0b', width: 2, dash: 'dot' } }
+    ];
+
+    await Plotly.newPlot(chartEl, traces, {
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(0,0,0,0)',
+      font: { color: '#e4e4e7' },
+      margin: { t: 20, r: 20, b: 60, l: 60 },
+      xaxis: { type: 'category', nticks: 12, gridcolor: 'rgba(255,255,255,0.05)' },
+      yaxis: { gridcolor: 'rgba(255,255,255,0.1)' },
+      legend: { orientation: 'h', y: 1.1 }
+    }, { displayModeBar: false, responsive: true });
+  }
+
+  function createPanel(config) {
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.id = 'historyPanel';
+    panel.innerHTML = `
+      <h2>Historikk</h2>
+      <p>Tidligere versjoner av <strong>${escapeHTML(config.filePath)}</strong>.
+        Forhåndsvis en versjon mot gjeldende data, eller gjenopprett den som en ny commit.</p>
+      <button class="btn" id="historyLoadBtn">Vis historikk</button>
+      <div class="data-preview" id="historyList"></div>
+      <div class="hidden" id="historyPreview">
+        <h2 id="historyPreviewTitle" style="margin-top: 1.5rem;"></h2>
+        <div class="column-mapping" id="historySeriesPicker">
+          <div class="mapping-item">
+            <label>Serie</label>
+            <select id="historySeries"></select>
+          </div>
+        </div>
+        <div id="historyChart" style="height: 360px; margin-top: 1rem;"></div>
+        <div class="data-preview" id="historyDiff"></div>
+        <div style="margin-top: 1rem;">
+          <button class="btn btn-warning" id="historyRestoreBtn">Gjenopprett denne versjonen</button>
+        </div>
+      </div>
+      <div class="status" id="historyStatus"></div>
+    `;
+    return panel;
+  }
+
+  /**
+   * Add the history panel to the page (appended to .container).
+   * config: { owner, repo, filePath, columns, key, compare, label, getCurrentRows, onRestore }
+   *   columns  - value columns (the overlay shows one at a time)
+   *   key/compare/label - period key, sort order and display label of a row
+   *   getCurrentRows    - rows of the current (published) CSV
+   *   onRestore         - called after a successful restore, e.g. to reload current data
+   */
+  function initHistoryPanel(config) {
+    const container = document.querySelector('.container');
+    if (!container) return;
+
+    const panel = createPanel(config);
+    container.appendChild(panel);
+
+    const loadBtn = panel.querySelector('#historyLoadBtn');
+    const list = panel.querySelector('#historyList');
+    const preview = panel.querySelector('#historyPreview');
+    const previewTitle = panel.querySelector('#historyPreviewTitle');
+    const seriesSelect = panel.querySelector('#historySeries');
+    const chartEl = panel.querySelector('#historyChart');
+    const diffEl = panel.querySelector('#historyDiff');
+    const restoreBtn = panel.querySelector('#historyRestoreBtn');
+    const status = panel.querySelector('#historyStatus');
+
+    let revisions = [];
+    let selected = null;   // { revision, content, rows }
+
+    function showStatus(message, type) {
+      status.textContent = message;
+      status.className = `status show ${type}`;
+    }
+
+    seriesSelect.innerHTML = config.columns.map(col => `<option value="${escapeHTML(col)}">${escapeHTML(col)}</option>`).join('');
+    if (config.columns.length < 2) panel.querySelector('#historySeriesPicker').classList.add('hidden');
+
+    async function loadList() {
+      showStatus('Henter historikk...', 'info');
+      try {
+        revisions = await listRevisions(config);
+      } catch (e) {
+        showStatus(`Feil: ${e.message}`, 'error');
+        return;
+      }
+
+      if (revisions.length === 0) {
+        list.innerHTML = '<p>Ingen tidligere versjoner funnet.</p>';
+      } else {
+        let html = '<table><thead><tr><th>Dato</th><th>Forfatter</th><th>Melding</th><th></th></tr></thead><tbody>';
+        revisions.forEach((rev, i) => {
+          html += `<tr>
+            <td>${escapeHTML(formatDate(rev.date))}</td>
+            <td>${escapeHTML(rev.author)}</td>
+            <td>${escapeHTML(rev.message)}${i === 0 ? ' <em>(gjeldende)</em>' : ''}</td>
+            <td><button class="btn" data-index="${i}" style="padding: 0.375rem 0.75rem;">Forhåndsvis</button></td>
+          </tr>`;
+        });
+        list.innerHTML = html + '</tbody></table>';
+      }
+      showStatus(`${revisions.length} versjoner`, 'success');
+    }
+
+    async function renderPreview() {
+      if (!selected) return;
+      const label = `${selected.revision.sha.slice(0, 7)} (${formatDate(selected.revision.date)})`;
+      await plotOverlay(chartEl, config, config.getCurrentRows(), selected.rows, seriesSelect.value, label);
+    }
+
+    async function previewRevision(index) {
+      const revision = revisions[index];
+      showStatus(`Henter ${revision.sha.slice(0, 7)}...`, 'info');
+
+      try {
+        const content = await getRevision(config, revision.sha);
+        const { data } = CsvParser.parse(content);
+        selected = { revision: revision, content: content, rows: data };
+
+        previewTitle.textContent = `Versjon ${revision.sha.slice(0, 7)}: ${revision.message}`;
+        preview.classList.remove('hidden');
+
+        // What restoring would change compared to the current data
+        const diff = DataMerge.merge(config.getCurrentRows(), data, {
+          key: config.key,
+          columns: config.columns,
+          compare: config.compare,
+          replace: true
+        });
+        DataMerge.renderDiff(diffEl, diff, { columns: config.columns, label: config.label });
+
+        await renderPreview();
+        showStatus(`Viser ${revision.sha.slice(0, 7)}: ${diff.added.length} rader kommer tilbake, ` +
+          `${diff.changed.length} endres og ${diff.removed.length} fjernes ved gjenoppretting.`, 'info');
+      } catch (e) {
+        showStatus(`Feil: ${e.message}`, 'error');
+      }
+    }
+
+    loadBtn.addEventListener('click', loadList);
+
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-index]');
+      if (btn) previewRevision(parseInt(btn.dataset.index, 10));
+    });
+
+    seriesSelect.addEventListener('change', () => {
+      renderPreview().catch(e => showStatus(`Feil: ${e.message}`, 'error'));
+    });
+
+    restoreBtn.addEventListener('click', async () => {
+      if (!selected) return;
+      const { revision, content } = selected;
+      const ok = window.confirm(`Gjenopprette ${config.filePath} fra ${formatDate(revision.date)} (${revision.sha.slice(0, 7)})?\n\nDette lagres som en ny commit.`);
+      if (!ok) return;
+
+      restoreBtn.disabled = true;
+      showStatus('Gjenoppretter...', 'info');
+      try {
+        const message = await restore(config, revision, content);
+        preview.classList.add('hidden');
+        selected = null;
+        if (config.onRestore) await config.onRestore();
+        await loadList();
+        showStatus(`Gjenopprettet fra ${revision.sha.slice(0, 7)}. ${message}`, 'success');
+      } catch (e) {
+        showStatus(`Feil: ${e.message}`, 'error');
+      } finally {
+        restoreBtn.disabled = false;
+      }
+    });
+  }
+
+  window.DataHistory = {
+    listRevisions: listRevisions,
+    getRevision: getRevision,
+    restore: restore,
+    initHistoryPanel: initHistoryPanel
+  };
+})();
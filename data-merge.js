@@ -0,0 +1,209 @@
+/**
+ * Data Merge Module
+ * Combines uploaded rows with the currently published CSV, keyed on period
+ * (date, year+month or year+week), and renders the diff for review before saving.
+ * Changes to periods before the latest published one are marked as revisions,
+ * so restated history is easy to spot.
+ */
+
+(function () {
+  'use strict';
+
+  function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  // Numbers compare by value ("1234" equals 1234 and "1234.0"), everything else as trimmed text
+  function sameValue(a, b) {
+    if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+    const na = CsvParser.normalizeNumber(a);
+    const nb = CsvParser.normalizeNumber(b);
+    if (na && nb) return parseFloat(na) === parseFloat(nb);
+    return String(a).trim() === String(b).trim();
+  }
+
+  /**
+   * Merge uploaded rows into the current rows.
+   * @param {Object[]} currentRows - Rows of the published CSV
+   * @param {Object[]} uploadedRows - Cleaned rows from the upload (same column names)
+   * @param {Object} options
+   * @param {function(Object): string} options.key - Period key of a row
+   * @param {string[]} options.columns - Value columns to compare
+   * @param {function(Object, Object): number} options.compare - Sort order (by period)
+   * @param {boolean} [options.replace] - Replace all current rows instead of merging
+   * @returns {{rows: Object[], entries: Object[], added: Object[], changed: Object[],
+   *            unchanged: Object[], removed: Object[], duplicates: string[]}}
+   *   entries: { status: 'added'|'changed'|'unchanged'|'removed', revision, row, old, columns }
+   *   sorted by period; changed also lists the changed columns.
+   */
+  function merge(currentRows, uploadedRows, options) {
+    const { key, columns, compare, replace } = options;
+
+    const currentMap = new Map();
+    currentRows.forEach(row => currentMap.set(key(row), row));
+
+    // Latest published period; changes before it are revisions
+    const latest = currentRows.reduce((max, row) => (!max || compare(row, max) > 0 ? row : max), null);
+
+    // Later rows in the upload win over earlier rows for the same period
+    const uploadMap = new Map();
+    const duplicates = [];
+    uploadedRows.forEach(row => {
+      const k = key(row);
+      if (uploadMap.has(k)) duplicates.push(k);
+      uploadMap.set(k, row);
+    });
+
+    const entries = [];
+    const merged = new Map(replace ? [] : currentMap);
+
+    uploadMap.forEach((row, k) => {
+      const old = currentMap.get(k);
+      if (!old) {
+        entries.push({ status: 'added', revision: false, row: row, old: null, columns: [] });
+        merged.set(k, row);
+        return;
+      }
+
+      // Empty cells in the upload keep the published value (except in replace mode)
+      const next = replace ? Object.assign({}, row) : Object.assign({}, old);
+      const changedColumns = [];
+      columns.forEach(col => {
+        if (isEmpty(row[col]) && !replace) return;
+        if (!sameValue(row[col], old[col])) changedColumns.push(col);
+        next[col] = row[col];
+      });
+
+      if (changedColumns.length > 0) {
+        const revision = latest !== null && compare(old, latest) < 0;
+        entries.push({ status: 'changed', revision: revision, row: next, old: old, columns: changedColumns });
+        merged.set(k, next);
+      } else {
+        entries.push({ status: 'unchanged', revision: false, row: old, old: old, columns: [] });
+        merged.set(k, old);
+      }
+    });
+
+    if (replace) {
+      currentMap.forEach((old, k) => {
+        if (!uploadMap.has(k)) entries.push({ status: 'removed', revision: false, row: old, old: old, columns: [] });
+      });
+    } else {
+      // Published rows the upload doesn't mention are kept as they are
+      currentMap.forEach((old, k) => {
+        if (!uploadMap.has(k)) entries.push({ status: 'unchanged', revision: false, row: old, old: old, columns: [] });
+      });
+    }
+
+    entries.sort((a, b) => compare(a.row, b.row));
+    const rows = Array.from(merged.values()).sort(compare);
+
+    return {
+      rows: rows,
+      entries: entries,
+      added: entries.filter(e => e.status === 'added').map(e => e.row),
+      changed: entries.filter(e => e.status === 'changed'),
+      unchanged: entries.filter(e => e.status === 'unchanged').map(e => e.row),
+      removed: entries.filter(e => e.status === 'removed').map(e => e.row),
+      duplicates: duplicates
+    };
+  }
+
+  // Counts for commit/pull request descriptions
+  function summarize(diff) {
+    return {
+      added: diff.added.length,
+      changed: diff.changed.length,
+      revisions: diff.changed.filter(e => e.revision).length,
+      removed: diff.removed.length
+    };
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  // Long decimals (index values) are shown with two decimals; the saved value is untouched
+  function formatValue(value) {
+    if (isEmpty(value)) return '';
+    const str = String(value);
+    return /^-?\d+\.\d{3,}$/.test(str) ? parseFloat(str).toFixed(2) : str;
+  }
+
+  const STATUS_LABELS = {
+    added: 'Ny',
+    changed: 'Endret',
+    revision: 'Revisjon',
+    removed: 'Fjernes',
+    unchanged: 'Uendret'
+  };
+
+  const STATUS_CLASSES = {
+    added: 'new-row',
+    changed: 'updated-row',
+    revision: 'revision-row',
+    removed: 'removed-row',
+    unchanged: ''
+  };
+
+  function diffRowHTML(entry, columns, label) {
+    const status = entry.revision ? 'revision' : entry.status;
+    let html = `<tr class="${STATUS_CLASSES[status]}"><td>${STATUS_LABELS[status]}</td><td>${escapeHTML(label(entry.row))}</td>`;
+    columns.forEach(col => {
+      if (entry.columns.includes(col)) {
+        html += `<td class="changed-cell">${escapeHTML(formatValue(entry.old[col]) || '–')} → ${escapeHTML(formatValue(entry.row[col]) || '–')}</td>`;
+      } else {
+        html += `<td>${escapeHTML(formatValue(entry.row[col]))}</td>`;
+      }
+    });
+    return html + '</tr>';
+  }
+
+  function tableHTML(entries, columns, label) {
+    let html = '<table><thead><tr><th>Status</th><th>Periode</th>';
+    columns.forEach(col => html += `<th>${escapeHTML(col)}</th>`);
+    html += '</tr></thead><tbody>';
+    entries.forEach(entry => html += diffRowHTML(entry, columns, label));
+    return html + '</tbody></table>';
+  }
+
+  /**
+   * Render the diff: added, changed and removed rows first, unchanged rows folded away.
+   * Changed cells show "old → new".
+   * @param {HTMLElement} container
+   * @param {Object} diff - From merge()
+   * @param {{columns: string[], label: function(Object): string}} options
+   */
+  function renderDiff(container, diff, options) {
+    const { columns, label } = options;
+    const changes = diff.entries.filter(e => e.status !== 'unchanged');
+    const unchanged = diff.entries.filter(e => e.status === 'unchanged');
+    const revisions = diff.changed.filter(e => e.revision).length;
+
+    let html = '';
+    if (changes.length === 0) {
+      html += '<p>Ingen endringer mot publiserte data.</p>';
+    } else {
+      html += '<p>Endringer mot publiserte data (grønn = ny, gul = endret, rød = revisjon av tidligere periode):</p>';
+      if (revisions > 0) {
+        html += `<div class="status show error">${revisions} tidligere ${revisions === 1 ? 'periode er' : 'perioder er'} revidert. Sjekk om kilden har endret historikken.</div>`;
+      }
+      html += tableHTML(changes, columns, label);
+    }
+
+    if (unchanged.length > 0) {
+      html += `<details style="margin-top: 1rem;"><summary>Vis ${unchanged.length} uendrede rader</summary>`;
+      html += tableHTML(unchanged, columns, label);
+      html += '</details>';
+    }
+
+    container.innerHTML = html;
+  }
+
+  window.DataMerge = {
+    merge: merge,
+    renderDiff: renderDiff,
+    summarize: summarize,
+    sameValue: sameValue
+  };
+})();
@@ -0,0 +1,291 @@
+/**
+ * Data Validator Module
+ * Checks the CSV an admin page is about to save against the dataset schema from charts.json:
+ * expected headers, duplicate periods, gaps in the month/week/date sequence, invalid or
+ * negative values, empty series and large period-over-period jumps.
+ * Errors block the save; warnings must be confirmed by the user.
+ * Needs csv-parser.js and calendar.js (window.Calendar: which years have an ISO week 53),
+ * loaded before this file.
+ */
+
+(function () {
+  'use strict';
+
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
+
+  // Relative change between two consecutive periods that triggers a warning
+  const JUMP_THRESHOLDS = {
+    date: 0.1,    // price index (quarterly) and KPI
+    month: 1.5,   // monthly volumes are seasonal (July, December)
+    week: 2.0     // weekly volumes dip hard around Christmas and Easter
+  };
+
+  const MAX_CONFIRM_LINES = 10;
+
+  /**
+   * Build a schema for a registry entry (charts.json). Area columns ({ role: 'areas', from })
+   * are expanded from the `colors` of the referenced config.json. Datasets keyed on a date
+   * column (index-lines charts, the prisutvikling KPI) use the 'date' period.
+   * @param {Object} entry - Registry entry (or dataset such as entry.cpi) with data, kind, period and columns
+   * @param {string} rootUrl - Path from the current page to the repo root
+   */
+  async function schemaFor(entry, rootUrl = '') {
+    const columns = [];
+    const roles = {};
+
+    for (const col of entry.columns || []) {
+      if (col.role === 'areas') {
+        const resp = await fetch(`${rootUrl}${col.from}?t=${Date.now()}`);
+        if (!resp.ok) throw new Error(`Kunne ikke laste ${col.from}: ${resp.status}`);
+        const config = await resp.json();
+        const areas = Object.keys(config.colors || {});
+        columns.push(...areas);
+        roles.areas = areas;
+      } else if (col.name) {
+        columns.push(col.name);
+        roles[col.role] = col.name;
+      }
+    }
+
+    const period = entry.kind === 'index-lines' || roles.date ? 'date' : (entry.period || 'month');
+    return {
+      name: (entry.data || '').split('/').pop(),
+      columns: columns,
+      period: period,
+      dateColumn: roles.date,
+      periodColumn: roles.period,
+      yearColumn: roles.year,
+      valueColumns: roles.areas || (roles.value ? [roles.value] : []),
+      jumpThreshold: entry.jumpThreshold || JUMP_THRESHOLDS[period]
+    };
+  }
+
+  // { key, ordinal, label } for a row, or null if the period cannot be read
+  function periodOf(row, schema) {
+    if (schema.period === 'date') {
+      const match = String(row[schema.dateColumn] || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (!match) return null;
+      const year = parseInt(match[1], 10);
+      const month = parseInt(match[2], 10);
+      return { key: match[0], year: year, ordinal: year * 12 + month - 1, label: match[0] };
+    }
+
+    const year = parseInt(row[schema.yearColumn], 10);
+    if (!/^\d{4}$/.test(String(row[schema.yearColumn] || '').trim())) return null;
+    const raw = String(row[schema.periodColumn] || '').trim().toLowerCase();
+
+    if (schema.period === 'week') {
+      const week = parseInt(raw, 10);
+      // Week 53 only exists in some years; the weekly chart drops it in the others
+      if (!/^\d+$/.test(raw) || !Calendar.isValidWeek(year, week)) return null;
+      return { key: `${year}-W${week}`, year: year, week: week, ordinal: year * 53 + week, label: `uke ${week} ${year}` };
+    }
+
+    let month = MONTHS.indexOf(raw);
+    if (month < 0 && /^\d+$/.test(raw)) month = parseInt(raw, 10) - 1;
+    if (month < 0 || month > 11) return null;
+    return { key: `${year}-${month + 1}`, year: year, ordinal: year * 12 + month, label: `${MONTHS[month]} ${year}` };
+  }
+
+  // Whether `next` directly follows `prev`. A year's last week is 52 or 53 by the ISO calendar,
+  // so a missing week 53 (2020, 2026) is a gap.
+  function isNextPeriod(prev, next, schema, step) {
+    if (schema.period === 'week') {
+      if (next.year === prev.year) return next.week === prev.week + 1;
+      return next.year === prev.year + 1 && next.week === 1 && prev.week >= Calendar.weeksInYear(prev.year);
+    }
+    return next.ordinal - prev.ordinal === step;
+  }
+
+  // Most common distance between dates (3 for quarterly index data)
+  function dateStep(periods) {
+    const counts = {};
+    for (let i = 1; i < periods.length; i++) {
+      const diff = periods[i].ordinal - periods[i - 1].ordinal;
+      counts[diff] = (counts[diff] || 0) + 1;
+    }
+    const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    return best ? parseInt(best, 10) : 1;
+  }
+
+  function formatValue(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  function formatPercent(change) {
+    const pct = Math.round(change * 100);
+    return `${pct > 0 ? '+' : ''}${pct} %`;
+  }
+
+  /**
+   * Validate CSV text (as produced by generateCSV) against a schema.
+   * @param {string} csv
+   * @param {Object} schema - From schemaFor()
+   * @param {{changedRows?: Object[]}} [options] - Rows that are new or updated in this upload.
+   *   Empty values and jumps are only reported for these; without it every row is checked.
+   * @returns {{errors: string[], warnings: string[], rowCount: number}}
+   */
+  function validate(csv, schema, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const { headers, data, errors: parseErrors } = CsvParser.parse(csv);
+
+    parseErrors.forEach(err => errors.push(`Rad ${err.row}: ${err.message}`));
+
+    // Headers
+    schema.columns.filter(col => !headers.includes(col))
+      .forEach(col => errors.push(`Mangler kolonne "${col}" i ${schema.name}`));
+    headers.filter(col => !schema.columns.includes(col))
+      .forEach(col => errors.push(`Uventet kolonne "${col}" i ${schema.name}`));
+
+    if (data.length === 0) {
+      errors.push('Ingen datarader å lagre');
+      return { errors: errors, warnings: warnings, rowCount: 0 };
+    }
+
+    const changedKeys = options.changedRows
+      ? new Set(options.changedRows.map(row => periodOf(row, schema)).filter(Boolean).map(p => p.key))
+      : null;
+    const isChanged = period => !changedKeys || changedKeys.has(period.key);
+
+    // Periods: invalid and duplicate
+    const periods = [];
+    const seen = {};
+    data.forEach((row, index) => {
+      const period = periodOf(row, schema);
+      if (!period) {
+        const raw = schema.period === 'date' ? row[schema.dateColumn] : `${row[schema.periodColumn]} ${row[schema.yearColumn]}`;
+        errors.push(`Rad ${index + 1}: Ugyldig periode "${raw}"`);
+        return;
+      }
+      if (seen[period.key] !== undefined) {
+        errors.push(`Duplikat periode ${period.label} (rad ${seen[period.key] + 1} og ${index + 1})`);
+        return;
+      }
+      seen[period.key] = index;
+      periods.push(Object.assign(period, { row: row, index: index }));
+    });
+
+    periods.sort((a, b) => a.ordinal - b.ordinal);
+
+    // Gaps in the sequence
+    const step = schema.period === 'date' ? dateStep(periods) : 1;
+    for (let i = 1; i < periods.length; i++) {
+      if (!isNextPeriod(periods[i - 1], periods[i], schema, step)) {
+        warnings.push(`Hull i serien mellom ${periods[i - 1].label} og ${periods[i].label}`);
+      }
+    }
+
+    // Values per series
+    schema.valueColumns.filter(col => headers.includes(col)).forEach(col => {
+      let filled = 0;
+      let changedFilled = 0;
+      let changedCount = 0;
+      let prev = null;
+
+      periods.forEach(period => {
+        const raw = period.row[col];
+        const value = CsvParser.parseNumber(raw);
+        const changed = isChanged(period);
+        if (changed) changedCount++;
+
+        if (value === null) {
+          if (changed && changedKeys) warnings.push(`${col} mangler verdi for ${period.label}`);
+          prev = null;
+          return;
+        }
+        filled++;
+        if (changed) changedFilled++;
+
+        if (isNaN(value)) {
+          errors.push(`${col}: Ugyldig verdi "${raw}" for ${period.label}`);
+          prev = null;
+          return;
+        }
+        if (value < 0) {
+          errors.push(`${col}: Negativ verdi ${raw} for ${period.label}`);
+        }
+
+        // Jump from the directly preceding period
+        if (prev && prev.value > 0 && changed && isNextPeriod(prev.period, period, schema, step)) {
+          const change = (value - prev.value) / prev.value;
+          if (Math.abs(change) > schema.jumpThreshold) {
+            warnings.push(`Stort hopp i ${col}: ${prev.period.label} → ${period.label} (${formatValue(prev.value)} → ${formatValue(value)}, ${formatPercent(change)})`);
+          }
+        }
+        prev = { value: value, period: period };
+      });
+
+      if (filled === 0) {
+        errors.push(`Kolonnen "${col}" er tom`);
+      } else if (changedKeys && changedCount > 0 && changedFilled === 0) {
+        errors.push(`Ingen verdier for "${col}" i de nye/oppdaterte radene. Sjekk kolonnemappingen.`);
+      }
+    });
+
+    return { errors: errors, warnings: warnings, rowCount: data.length };
+  }
+
+  /**
+   * Render a report as log entries (uses the admin pages' .log/.log-entry styles).
+   */
+  function render(report, container) {
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+
+    const add = (message, type) => {
+      const entry = document.createElement('div');
+      entry.className = `log-entry ${type}`;
+      entry.textContent = message;
+      container.appendChild(entry);
+    };
+
+    if (report.errors.length === 0 && report.warnings.length === 0) {
+      add(`Validering OK: ${report.rowCount} rader`, 'success');
+      return;
+    }
+
+    if (report.errors.length > 0) {
+      add(`Validering: ${report.errors.length} feil - lagring er blokkert`, 'error');
+    } else {
+      add(`Validering: ${report.warnings.length} advarsler - må bekreftes ved lagring`, 'warning');
+    }
+    report.errors.forEach(msg => add(msg, 'error'));
+    report.warnings.forEach(msg => add(msg, 'warning'));
+  }
+
+  /**
+   * Gate for save buttons: false on errors (or no report), asks for confirmation on warnings.
+   * @param {Object|null} report - From validate()
+   * @param {HTMLElement} [statusElement] - Status element for the blocking message
+   */
+  function confirmSave(report, statusElement) {
+    const block = message => {
+      if (statusElement) {
+        statusElement.textContent = message;
+        statusElement.className = 'status show error';
+      }
+      return false;
+    };
+
+    if (!report) return block('Prosesser og valider data før lagring.');
+    if (report.errors.length > 0) {
+      return block(`Lagring stoppet: ${report.errors.length} feil i dataene. Se valideringsrapporten.`);
+    }
+    if (report.warnings.length === 0) return true;
+
+    let list = report.warnings.slice(0, MAX_CONFIRM_LINES).map(w => `- ${w}`).join('\n');
+    if (report.warnings.length > MAX_CONFIRM_LINES) {
+      list += `\n... og ${report.warnings.length - MAX_CONFIRM_LINES} til`;
+    }
+    return window.confirm(`Dataene har ${report.warnings.length} advarsler:\n\n${list}\n\nLagre likevel?`);
+  }
+
+  window.DataValidator = {
+    JUMP_THRESHOLDS: JUMP_THRESHOLDS,
+    schemaFor: schemaFor,
+    validate: validate,
+    render: render,
+    confirmSave: confirmSave
+  };
+})();
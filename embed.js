@@ -1,36 +1,264 @@
+/**
+ * Grafer Embed
+ * Turns <div class="grafer-embed" data-src="..."> elements into auto-sizing chart iframes and
+ * lets the host page talk to the charts.
+ *
+ * Embed markup (from VersionManager.getEmbedCode):
+ *   <div class="grafer-embed" data-src="<chart url>" data-aspect="1.78" data-title="..."
+ *        data-preview="<png url>">
+ *     <a href="<chart url>"><img src="<png url>" alt="..."></a>   (fallback for RSS, AMP and no-JS)
+ *     <script src=".../embed.js"><\/script>
+ *   </div>
+ * A chart loads when it comes near the viewport (data-loading="eager" loads it at once). Until
+ * it is ready, its space is reserved with the version's aspect ratio (data-aspect) and filled
+ * with the preview image (data-preview, or the fallback <img>); the fallback itself is hidden.
+ *
+ * Host pages can follow the article text:
+ *
+ *   const chart = GraferEmbed.get(document.querySelector('.grafer-embed'));
+ *   chart.setAreas(['Frogner']);
+ *   chart.highlight('Frogner');
+ *   chart.on('hover', detail => console.log(detail.label, detail.values));
+ *
+ * Methods (promises; they load the chart, wait until it is ready and reject with its error):
+ *   load()                  start loading now instead of near the viewport (returns nothing)
+ *   setTheme(id)            a theme from theme.js: 'dark', 'light', 'print' or 'partner'
+ *   setAreas(names)         index-lines: show only these bydeler (null: all)
+ *   setYears(years)         year-bars: show these years; index-lines: [from, to] zooms the time axis
+ *                           (null: default)
+ *   highlight(name)         emphasise one bydel, year or series ('Solgt', 'Lagt ut'); null clears
+ *   toPNG({ scale })        PNG of the plot as a data URL
+ *   getState()              { kind, theme, series: [{ name, visible }] }
+ * Selections and highlight resolve to getState().
+ *
+ * Events (on/off):
+ *   ready          { kind, theme, series } - after every render, also after setTheme
+ *   hover          { label, values: [{ name, value }] } (+ date, area for index-lines)
+ *   unhover
+ *   legend-toggle  { name, visible } - when the reader shows or hides a series
+ *
+ * Protocol (window.postMessage):
+ *   host → chart  { type: 'grafer-command', id, command, args }
+ *   chart → host  { type: 'grafer-reply', id, result } or { type: 'grafer-reply', id, error }
+ *   chart → host  { type: 'grafer-event', event, detail }
+ *   chart → host  { type: 'grafer-resize', height }
+ * This script only accepts messages from an iframe's own window and origin, and posts commands
+ * to that origin only. The chart only talks to the page embedding it: the iframes get
+ * referrerpolicy="origin" so the chart can tell which origin that is.
+ *
+ * The embed snippet includes this script once per chart, so running it again only picks up
+ * new containers. GraferEmbed.scan() does the same for containers added later.
+ */
+
 (function() {
-    // Find all embed containers
-    const containers = document.querySelectorAll('.grafer-embed');
+    if (window.GraferEmbed) {
+        window.GraferEmbed.scan();
+        return;
+    }
+
+    // Commands are rejected if the chart doesn't answer (or isn't ready) within this time
+    const COMMAND_TIMEOUT = 15000;
+    // Charts start loading this far before they scroll into view
+    const LAZY_MARGIN = '400px 0px';
+    // Show charts that never report ready (no parent origin) this long after the iframe loaded
+    const REVEAL_FALLBACK = 3000;
+    const DEFAULT_ASPECT = 1.78;
+
+    const embeds = new Map();         // iframe window → embed
+    const byElement = new WeakMap();  // container or iframe → public API
+
+    const lazyObserver = 'IntersectionObserver' in window ? new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            lazyObserver.unobserve(entry.target);
+            byElement.get(entry.target).load();
+        });
+    }, { rootMargin: LAZY_MARGIN }) : null;
+
+    // Reserve the chart's space with the preview image until the iframe is ready
+    function createPlaceholder(container) {
+        const fallbackImg = container.querySelector('img');
+        const preview = container.dataset.preview || (fallbackImg ? fallbackImg.src : '');
+        Array.from(container.children).forEach(child => {
+            if (child.tagName !== 'SCRIPT') child.style.display = 'none';
+        });
+
+        const aspect = parseFloat(container.dataset.aspect);
+        const placeholder = document.createElement('div');
+        placeholder.className = 'grafer-embed-placeholder';
+        placeholder.style.aspectRatio = String(aspect > 0 ? aspect : DEFAULT_ASPECT);
+        placeholder.style.background = 'rgba(128, 128, 128, 0.08)';
+
+        if (preview) {
+            const img = document.createElement('img');
+            img.src = preview;
+            img.alt = container.dataset.title || '';
+            img.style.cssText = 'display: block; width: 100%; height: 100%; object-fit: contain;';
+            // Versions saved before snapshots existed may not have one yet
+            img.addEventListener('error', () => img.remove());
+            placeholder.appendChild(img);
+        }
+
+        container.appendChild(placeholder);
+        return placeholder;
+    }
 
-    containers.forEach(container => {
+    function createEmbed(container) {
         const src = container.dataset.src;
-        if (!src) return;
+        const origin = new URL(src, window.location.href).origin;
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+        const placeholder = createPlaceholder(container);
+        let iframe = null;
+        let revealed = false;
+        let height = 0;
 
-        // Create iframe
-        const iframe = document.createElement('iframe');
-        iframe.src = src;
-        iframe.style.width = '100%';
-        iframe.style.border = 'none';
-        iframe.style.display = 'block';
-        iframe.style.overflow = 'hidden';
-        iframe.scrolling = 'no';
+        // The iframe renders hidden on top of the placeholder and swaps in once the chart is ready,
+        // so the page only changes height once
+        function load() {
+            if (iframe) return;
+            iframe = document.createElement('iframe');
+            iframe.src = src;
+            iframe.style.width = '100%';
+            iframe.style.border = 'none';
+            iframe.style.display = 'block';
+            iframe.style.overflow = 'hidden';
+            iframe.style.position = 'absolute';
+            iframe.style.top = '0';
+            iframe.style.left = '0';
+            // Transparent rather than hidden, so browsers don't throttle it while it renders
+            iframe.style.opacity = '0';
+            iframe.style.pointerEvents = 'none';
+            iframe.style.height = placeholder.offsetHeight + 'px';
+            iframe.scrolling = 'no';
+            iframe.referrerPolicy = 'origin';
+            iframe.title = container.dataset.title || 'Graf';
+            iframe.addEventListener('load', () => setTimeout(reveal, REVEAL_FALLBACK));
 
-        // Set initial height (generous to avoid cut-off)
-        iframe.style.height = '600px';
+            container.appendChild(iframe);
+            api.iframe = iframe;
+            embeds.set(iframe.contentWindow, { origin: origin, receive: receive });
+            byElement.set(iframe, api);
+        }
 
-        container.appendChild(iframe);
-    });
+        function reveal() {
+            if (revealed) return;
+            revealed = true;
+            if (height) iframe.style.height = height + 'px';
+            iframe.style.position = '';
+            iframe.style.opacity = '';
+            iframe.style.pointerEvents = '';
+            placeholder.remove();
+        }
 
-    // Listen for height messages from iframes
-    window.addEventListener('message', function(e) {
-        if (e.data && e.data.type === 'grafer-resize') {
-            const iframes = document.querySelectorAll('.grafer-embed iframe');
-            iframes.forEach(iframe => {
-                if (iframe.contentWindow === e.source) {
-                    // Add small buffer to ensure nothing is cut off
-                    iframe.style.height = (e.data.height + 5) + 'px';
+        const listeners = {};
+        const pending = new Map();
+        let nextId = 1;
+        let markReady;
+        const ready = new Promise(resolve => { markReady = resolve; });
+
+        function fire(event, detail) {
+            (listeners[event] || []).forEach(fn => {
+                try {
+                    fn(detail);
+                } catch (e) {
+                    console.error(e);
                 }
             });
         }
+
+        function send(command, args) {
+            load();
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`Grafen svarte ikke på ${command}`));
+                }, COMMAND_TIMEOUT);
+                pending.set(id, { resolve: resolve, reject: reject, timer: timer });
+
+                ready.then(() => {
+                    if (!pending.has(id)) return;
+                    iframe.contentWindow.postMessage({ type: 'grafer-command', id: id, command: command, args: args }, origin);
+                });
+            });
+        }
+
+        function receive(msg) {
+            if (msg.type === 'grafer-resize') {
+                // Add small buffer to ensure nothing is cut off
+                height = msg.height + 5;
+                if (revealed) iframe.style.height = height + 'px';
+            } else if (msg.type === 'grafer-reply') {
+                const call = pending.get(msg.id);
+                if (!call) return;
+                pending.delete(msg.id);
+                clearTimeout(call.timer);
+                if (msg.error) call.reject(new Error(msg.error));
+                else call.resolve(msg.result);
+            } else if (msg.type === 'grafer-event') {
+                if (msg.event === 'ready') {
+                    markReady();
+                    reveal();
+                }
+                fire(msg.event, msg.detail);
+            }
+        }
+
+        const api = {
+            element: container,
+            iframe: null,
+            ready: ready,
+            load: load,
+            on(event, fn) {
+                (listeners[event] = listeners[event] || []).push(fn);
+                return api;
+            },
+            off(event, fn) {
+                listeners[event] = (listeners[event] || []).filter(f => f !== fn);
+                return api;
+            },
+            setTheme: theme => send('setTheme', [theme]),
+            setAreas: names => send('setAreas', [names]),
+            setYears: years => send('setYears', [years]),
+            highlight: name => send('highlight', [name]),
+            toPNG: options => send('toPNG', [options || {}]),
+            getState: () => send('getState', [])
+        };
+
+        byElement.set(container, api);
+        if (lazyObserver && container.dataset.loading !== 'eager') lazyObserver.observe(container);
+        else load();
+        return api;
+    }
+
+    // Embed all containers that don't have a chart yet
+    function scan() {
+        document.querySelectorAll('.grafer-embed').forEach(container => {
+            if (byElement.has(container) || !container.dataset.src) return;
+            createEmbed(container);
+        });
+    }
+
+    // Route messages to the iframe they came from, if they come from its origin
+    window.addEventListener('message', function(e) {
+        const embed = embeds.get(e.source);
+        if (!embed || e.origin !== embed.origin) return;
+        if (e.data && typeof e.data.type === 'string') embed.receive(e.data);
     });
+
+    window.GraferEmbed = {
+        /**
+         * API for an embedded chart (also before it has loaded).
+         * @param {Element|string} el - The .grafer-embed container (or its iframe), or a selector
+         * @returns {Object|null}
+         */
+        get(el) {
+            if (typeof el === 'string') el = document.querySelector(el);
+            if (el && !byElement.has(el)) el = el.closest ? el.closest('.grafer-embed') : null;
+            return (el && byElement.get(el)) || null;
+        },
+        scan: scan
+    };
+
+    scan();
 })();
@@ -0,0 +1,424 @@
+/**
+ * GitHub Auth Module
+ * Token handling for the admin and generator pages. The token lives in sessionStorage (gone
+ * when the tab closes), optionally backed by a copy in localStorage encrypted with a passphrase
+ * (PBKDF2 + AES-GCM) that has to be unlocked once per session. Fine-grained tokens limited to
+ * this repo are preferred; a GitHub login through the OAuth device flow is offered when an
+ * OAuth app is configured. The app is set up where the OAuth proxy runs: server.py reads its
+ * client id from GITHUB_OAUTH_CLIENT_ID and serves it at /github-oauth/config; on GitHub Pages,
+ * OAUTH_PROXY_URL points at a proxy with the same endpoints (config, device-code, access-token).
+ * GitHubAuth.configure({ clientId, scope, oauthProxy }) overrides both for a page.
+ * The token itself is never written into the page.
+ * API calls go through github-commit.js.
+ */
+
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'github_token';
+  const ENCRYPTED_KEY = 'github_token_encrypted';
+  const LEGACY_KEY = 'github_pat';
+  const PBKDF2_ITERATIONS = 250000;
+  const NEW_TOKEN_URL = 'https://github.com/settings/personal-access-tokens/new';
+  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+
+  // Device flow proxy for the hosted site (e.g. server.py run elsewhere); empty: tokens only
+  const OAUTH_PROXY_URL = '';
+
+  const settings = {
+    // OAuth app with device flow enabled; empty takes it from the proxy's /config
+    clientId: '',
+    scope: '',
+    // github.com/login/* has no CORS, so the device flow goes through a proxy:
+    // server.py locally, or OAUTH_PROXY_URL on other hosts
+    oauthProxy: isLocalhost ? '/github-oauth' : (OAUTH_PROXY_URL || null)
+  };
+
+  let _oauthConfig = null;
+
+  function configure(options) {
+    Object.assign(settings, options);
+    _oauthConfig = null;
+  }
+
+  // A plain-text token from before this module existed moves to the session and is removed
+  // from localStorage, so it no longer outlives the browser tab.
+  let _migrated = false;
+  const legacy = localStorage.getItem(LEGACY_KEY);
+  if (legacy) {
+    if (!sessionStorage.getItem(SESSION_KEY)) sessionStorage.setItem(SESSION_KEY, legacy);
+    localStorage.removeItem(LEGACY_KEY);
+    _migrated = true;
+  }
+
+  function getToken() {
+    return sessionStorage.getItem(SESSION_KEY) || '';
+  }
+
+  function hasEncryptedToken() {
+    return !!localStorage.getItem(ENCRYPTED_KEY);
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  // ---- Encrypted store ----
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function encrypt(token, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(token));
+    return JSON.stringify({ v: 1, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) });
+  }
+
+  async function decrypt(stored, passphrase) {
+    const { salt, iv, data } = JSON.parse(stored);
+    const key = await deriveKey(passphrase, fromBase64(salt));
+    try {
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+      return new TextDecoder().decode(plain);
+    } catch (e) {
+      throw new Error('Feil passord');
+    }
+  }
+
+  /**
+   * Use a token for this session. With a passphrase it is also kept encrypted on this machine.
+   */
+  async function setToken(token, passphrase) {
+    token = token.trim();
+    if (passphrase) {
+      localStorage.setItem(ENCRYPTED_KEY, await encrypt(token, passphrase));
+    }
+    sessionStorage.setItem(SESSION_KEY, token);
+  }
+
+  async function unlock(passphrase) {
+    const stored = localStorage.getItem(ENCRYPTED_KEY);
+    if (!stored) throw new Error('Ingen lagret token');
+    const token = await decrypt(stored, passphrase);
+    sessionStorage.setItem(SESSION_KEY, token);
+    return token;
+  }
+
+  // End the session; an encrypted token stays and can be unlocked again
+  function lock() {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+
+  function forget() {
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(ENCRYPTED_KEY);
+  }
+
+  // ---- Token details ----
+
+  function tokenType(token) {
+    if (token.startsWith('github_pat_')) return 'fine-grained';
+    if (token.startsWith('ghp_')) return 'classic';
+    if (token.startsWith('gho_') || token.startsWith('ghu_')) return 'oauth';
+    return 'unknown';
+  }
+
+  // "2026-11-18 10:00:00 +0100" or "... UTC" (github-authentication-token-expiration)
+  function parseExpiration(value) {
+    const match = value && value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) (UTC|[+-]\d{4})$/);
+    if (!match) return null;
+    const zone = match[3] === 'UTC' ? 'Z' : `${match[3].slice(0, 3)}:${match[3].slice(3)}`;
+    return new Date(`${match[1]}T${match[2]}${zone}`);
+  }
+
+  /**
+   * Who the token belongs to and what it may do, from the API response headers.
+   * @returns {Promise<{login: string, type: string, scopes: string[]|null, expiresAt: Date|null, canPush: boolean|null}>}
+   *   scopes is null for fine-grained tokens (their permissions are per repo, see canPush)
+   */
+  async function inspect(token, owner, repo) {
+    const resp = await GitHubCommit.request('/user', { token: token });
+    if (resp.status === 401) throw new Error('Ugyldig eller utløpt token');
+    if (!resp.ok) throw new Error(`Kunne ikke sjekke token: ${resp.status}`);
+    const user = await resp.json();
+    const scopes = resp.headers.get('x-oauth-scopes');
+
+    let canPush = null;
+    if (owner && repo) {
+      const repoResp = await GitHubCommit.request(`/repos/${owner}/${repo}`, { token: token });
+      if (repoResp.ok) {
+        const data = await repoResp.json();
+        canPush = !!(data.permissions && data.permissions.push);
+      } else {
+        canPush = false;
+      }
+    }
+
+    return {
+      login: user.login,
+      type: tokenType(token),
+      scopes: scopes === null ? null : scopes.split(',').map(s => s.trim()).filter(Boolean),
+      expiresAt: parseExpiration(resp.headers.get('github-authentication-token-expiration')),
+      canPush: canPush
+    };
+  }
+
+  // ---- OAuth device flow ----
+
+  // { clientId, scope } for the device flow, or null when no OAuth app is configured
+  function oauthConfig() {
+    if (!_oauthConfig) {
+      const fromProxy = settings.clientId || settings.oauthProxy === null ? Promise.resolve({})
+        : fetch(`${settings.oauthProxy}/config`).then(r => r.ok ? r.json() : {}).catch(() => ({}));
+      _oauthConfig = fromProxy.then(config => {
+        const clientId = settings.clientId || config.clientId;
+        if (!clientId || settings.oauthProxy === null) return null;
+        return { clientId: clientId, scope: settings.scope || config.scope || 'repo' };
+      });
+    }
+    return _oauthConfig;
+  }
+
+  async function oauthPost(path, body) {
+    const resp = await fetch(`${settings.oauthProxy}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.message || `GitHub-innlogging feilet: ${resp.status}`);
+    return data;
+  }
+
+  /**
+   * Log in with the device flow. onCode({ userCode, verificationUri }) is called once the user
+   * has a code to enter on github.com; resolves with the token when they have approved it.
+   */
+  async function deviceLogin(onCode) {
+    const config = await oauthConfig();
+    if (!config) throw new Error('GitHub-innlogging er ikke satt opp. Bruk en fine-grained token.');
+    const code = await oauthPost('device-code', { client_id: config.clientId, scope: config.scope });
+    onCode({ userCode: code.user_code, verificationUri: code.verification_uri });
+
+    let interval = (code.interval || 5) * 1000;
+    const deadline = Date.now() + (code.expires_in || 900) * 1000;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      const result = await oauthPost('access-token', {
+        client_id: config.clientId,
+        device_code: code.device_code,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+      });
+      if (result.access_token) return result.access_token;
+      if (result.error === 'slow_down') interval += 5000;
+      else if (result.error === 'access_denied') throw new Error('Innlogging avbrutt');
+      else if (result.error !== 'authorization_pending') throw new Error(result.error_description || result.error || 'Innlogging feilet');
+    }
+    throw new Error('Koden er utløpt. Prøv igjen.');
+  }
+
+  // ---- Settings UI ----
+
+  const TYPE_LABELS = {
+    'fine-grained': 'fine-grained token',
+    'classic': 'klassisk token',
+    'oauth': 'GitHub-innlogging',
+    'unknown': 'token'
+  };
+
+  function describeToken(info, repo) {
+    const parts = [`Innlogget som <strong>${escapeHTML(info.login)}</strong> (${TYPE_LABELS[info.type]})`];
+    if (info.expiresAt) {
+      const days = Math.ceil((info.expiresAt - Date.now()) / 86400000);
+      parts.push(`utløper ${info.expiresAt.toLocaleDateString('nb-NO')} (om ${days} ${days === 1 ? 'dag' : 'dager'})`);
+    } else if (info.type !== 'oauth') {
+      parts.push('<span style="color: #f59e0b;">ingen utløpsdato</span>');
+    }
+    if (info.scopes) parts.push(`scopes: ${escapeHTML(info.scopes.join(', ') || 'ingen')}`);
+    if (info.canPush !== null) {
+      parts.push(info.canPush
+        ? `skrivetilgang til ${escapeHTML(repo)}`
+        : `<span style="color: #ef4444;">mangler skrivetilgang til ${escapeHTML(repo)}</span>`);
+    }
+
+    let html = parts.join(' · ');
+    if (info.type === 'classic') {
+      html += `<br><span style="color: #f59e0b;">Klassiske tokens gir tilgang til alle dine repoer. Lag heller en
+        <a href="${NEW_TOKEN_URL}" target="_blank" style="color: #60a5fa;">fine-grained token</a> kun for ${escapeHTML(repo)}.</span>`;
+    }
+    return html;
+  }
+
+  const INPUT_STYLE = 'flex: 1; min-width: 200px; background: #1f2937; color: #e4e4e7; border: 1px solid rgba(255,255,255,0.1); padding: 0.5rem 0.75rem; border-radius: 6px; font-size: 0.875rem;';
+
+  /**
+   * Render login/unlock/status controls into a container. Re-renders itself on every change.
+   * options: { owner, repo, onChange }
+   */
+  function renderSettings(container, options) {
+    const { owner, repo, onChange } = options;
+    const repoName = `${owner}/${repo}`;
+    const token = getToken();
+
+    const done = () => {
+      renderSettings(container, options);
+      if (onChange) onChange();
+    };
+
+    if (token) {
+      container.innerHTML = `
+        <div data-role="info" style="font-size: 0.875rem;">Sjekker token...</div>
+        <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem; flex-wrap: wrap;">
+          ${hasEncryptedToken() ? '<button class="btn" type="button" data-role="lock">Lås</button>' : ''}
+          <button class="btn" type="button" data-role="forget" style="background: #ef4444;">Logg ut og glem token</button>
+        </div>
+      `;
+      const info = container.querySelector('[data-role="info"]');
+      inspect(token, owner, repo)
+        .then(details => { info.innerHTML = describeToken(details, repoName); })
+        .catch(e => { info.innerHTML = `<span style="color: #ef4444;">${escapeHTML(e.message)}</span>`; });
+      container.querySelector('[data-role="lock"]')?.addEventListener('click', () => { lock(); done(); });
+      container.querySelector('[data-role="forget"]').addEventListener('click', () => { forget(); done(); });
+      return;
+    }
+
+    if (hasEncryptedToken()) {
+      container.innerHTML = `
+        <p style="font-size: 0.875rem; color: #a1a1aa; margin-bottom: 0.5rem;">Det finnes en kryptert token på denne maskinen. Lås opp med passordet ditt.</p>
+        <form data-role="unlockForm" style="display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap;">
+          <input type="password" data-role="passphrase" placeholder="Passord" autocomplete="current-password" style="${INPUT_STYLE}">
+          <button class="btn" type="submit">Lås opp</button>
+          <button class="btn" type="button" data-role="forget" style="background: #ef4444;">Glem lagret token</button>
+        </form>
+        <div data-role="status" style="margin-top: 0.5rem; font-size: 0.875rem;"></div>
+      `;
+      const status = container.querySelector('[data-role="status"]');
+      container.querySelector('[data-role="unlockForm"]').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        status.innerHTML = '<span style="color: #60a5fa;">Låser opp...</span>';
+        try {
+          await unlock(container.querySelector('[data-role="passphrase"]').value);
+          done();
+        } catch (err) {
+          status.innerHTML = `<span style="color: #ef4444;">${escapeHTML(err.message)}</span>`;
+        }
+      });
+      container.querySelector('[data-role="forget"]').addEventListener('click', () => { forget(); done(); });
+      return;
+    }
+
+    container.innerHTML = `
+      <p style="font-size: 0.875rem; color: #a1a1aa; margin-bottom: 0.5rem;">
+        Lag en <a href="${NEW_TOKEN_URL}" target="_blank" style="color: #60a5fa;">fine-grained token</a>
+        med tilgang kun til <strong>${escapeHTML(repoName)}</strong> og <em>Contents: Read and write</em>
+        (og <em>Pull requests: Read and write</em> for godkjenning), med kort utløpstid.
+        Tokenet glemmes når fanen lukkes, med mindre du lagrer det kryptert.
+      </p>
+      ${_migrated ? '<p style="font-size: 0.875rem; color: #f59e0b; margin-bottom: 0.5rem;">Et token lagret i klartekst er fjernet fra nettleseren.</p>' : ''}
+      <form data-role="tokenForm">
+        <div style="display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap;">
+          <input type="password" data-role="token" placeholder="github_pat_..." autocomplete="off" style="${INPUT_STYLE}">
+          <button class="btn" type="submit">Bruk token</button>
+          <button class="btn" type="button" data-role="device" style="display: none;">Logg inn med GitHub</button>
+        </div>
+        <label style="display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem; font-size: 0.875rem; cursor: pointer;">
+          <input type="checkbox" data-role="remember"> Husk på denne maskinen, kryptert med passord
+        </label>
+        <input type="password" data-role="passphrase" placeholder="Passord (minst 8 tegn)" autocomplete="new-password"
+               style="${INPUT_STYLE} display: none; margin-top: 0.5rem;">
+      </form>
+      <div data-role="status" style="margin-top: 0.5rem; font-size: 0.875rem;"></div>
+    `;
+
+    const form = container.querySelector('[data-role="tokenForm"]');
+    const tokenInput = container.querySelector('[data-role="token"]');
+    const remember = container.querySelector('[data-role="remember"]');
+    const passphrase = container.querySelector('[data-role="passphrase"]');
+    const status = container.querySelector('[data-role="status"]');
+
+    remember.addEventListener('change', () => {
+      passphrase.style.display = remember.checked ? 'block' : 'none';
+    });
+
+    const useToken = async (value) => {
+      if (remember.checked && passphrase.value.length < 8) {
+        status.innerHTML = '<span style="color: #ef4444;">Passordet må ha minst 8 tegn</span>';
+        return;
+      }
+      status.innerHTML = '<span style="color: #60a5fa;">Verifiserer...</span>';
+      try {
+        await inspect(value, owner, repo);
+        await setToken(value, remember.checked ? passphrase.value : null);
+        tokenInput.value = '';
+        passphrase.value = '';
+        done();
+      } catch (err) {
+        status.innerHTML = `<span style="color: #ef4444;">${escapeHTML(err.message)}</span>`;
+      }
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const value = tokenInput.value.trim();
+      if (!value) {
+        status.innerHTML = '<span style="color: #ef4444;">Skriv inn en token</span>';
+        return;
+      }
+      useToken(value);
+    });
+
+    // Shown once the proxy confirms an OAuth app is configured
+    const deviceBtn = container.querySelector('[data-role="device"]');
+    oauthConfig().then(config => {
+      if (config) deviceBtn.style.display = '';
+    });
+
+    deviceBtn.addEventListener('click', async () => {
+      try {
+        const value = await deviceLogin(({ userCode, verificationUri }) => {
+          status.innerHTML = `Gå til <a href="${escapeHTML(verificationUri)}" target="_blank" style="color: #60a5fa;">${escapeHTML(verificationUri)}</a>
+            og skriv inn koden <strong style="font-family: monospace; font-size: 1rem;">${escapeHTML(userCode)}</strong>`;
+        });
+        await useToken(value);
+      } catch (err) {
+        status.innerHTML = `<span style="color: #ef4444;">${escapeHTML(err.message)}</span>`;
+      }
+    });
+  }
+
+  window.GitHubAuth = {
+    configure: configure,
+    getToken: getToken,
+    setToken: setToken,
+    hasEncryptedToken: hasEncryptedToken,
+    unlock: unlock,
+    lock: lock,
+    forget: forget,
+    inspect: inspect,
+    deviceLogin: deviceLogin,
+    renderSettings: renderSettings
+  };
+})();
@@ -0,0 +1,291 @@
+/**
+ * GitHub Commit Module
+ * Shared commit layer for github-save.js and version-manager.js. Commits one or more files
+ * as a single commit through the Git Data API (ref → tree → commit → fast-forward ref).
+ * If the branch moved in the meantime, the files are re-read and the commit is rebuilt;
+ * update() callbacks get the fresh content on every attempt, so concurrent edits can be
+ * merged instead of overwritten. Waits on GitHub's rate-limit headers when the wait is short.
+ * The API base can be pointed at a local mock with GitHubCommit.configure({ apiBase });
+ * github-mock.js has one and checks commitFiles() and mergeById() against it (node github-mock.js).
+ */
+
+(function () {
+  'use strict';
+
+  const settings = {
+    apiBase: 'https://api.github.com',
+    maxAttempts: 4,          // first try + 3 retries when the branch moved
+    retryDelay: 500,         // ms, grows with each attempt
+    maxRateLimitWait: 60000  // ms; longer waits fail with the time the limit resets
+  };
+
+  let _rateLimit = null;
+
+  function configure(options) {
+    Object.assign(settings, options);
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function apiError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+
+  // UTF-8 safe base64 decoding
+  function base64ToUtf8(base64) {
+    const binary = atob(base64.replace(/\n/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+  }
+
+  function encodePath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+  }
+
+  function formatClock(date) {
+    return date.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function readRateLimit(resp) {
+    const remaining = resp.headers.get('x-ratelimit-remaining');
+    if (remaining === null) return;
+    const reset = parseInt(resp.headers.get('x-ratelimit-reset'), 10);
+    _rateLimit = {
+      limit: parseInt(resp.headers.get('x-ratelimit-limit'), 10) || null,
+      remaining: parseInt(remaining, 10),
+      reset: isNaN(reset) ? null : new Date(reset * 1000)
+    };
+  }
+
+  // How long to wait before repeating a rate-limited request, or null if it wasn't rate limited
+  function rateLimitWait(resp) {
+    if (resp.status !== 403 && resp.status !== 429) return null;
+    const retryAfter = parseInt(resp.headers.get('retry-after'), 10);
+    if (!isNaN(retryAfter)) return retryAfter * 1000;
+    if (resp.headers.get('x-ratelimit-remaining') === '0') {
+      const reset = parseInt(resp.headers.get('x-ratelimit-reset'), 10);
+      return isNaN(reset) ? settings.maxRateLimitWait : Math.max(0, reset * 1000 - Date.now()) + 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Call the GitHub API. Rate-limited responses are repeated after the wait GitHub asks for,
+   * as long as it is short; other responses are returned as they are.
+   * @param {string} path - Path below the API base (e.g. /repos/owner/repo/git/ref/heads/main)
+   * @param {{token?: string, method?: string, body?: Object, accept?: string}} [options]
+   * @returns {Promise<Response>}
+   */
+  async function request(path, options = {}) {
+    const { token, method = 'GET', body, accept } = options;
+    const headers = { 'Accept': accept || 'application/vnd.github+json' };
+    if (token) headers['Authorization'] = `token ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    for (let attempt = 1; ; attempt++) {
+      const resp = await fetch(settings.apiBase + path, {
+        method: method,
+        headers: headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      readRateLimit(resp);
+
+      const wait = rateLimitWait(resp);
+      if (wait === null) return resp;
+      if (wait > settings.maxRateLimitWait || attempt >= 3) {
+        throw apiError(`GitHub API-grensen er nådd. Prøv igjen etter kl. ${formatClock(new Date(Date.now() + wait))}.`, resp.status);
+      }
+      await sleep(wait);
+    }
+  }
+
+  // Parsed JSON body of a successful response; throws with a readable message otherwise
+  async function check(resp, action) {
+    if (resp.ok) return resp.status === 204 ? null : resp.json();
+    const err = await resp.json().catch(() => ({}));
+    if (resp.status === 401) throw apiError('Ugyldig eller utløpt token. Oppdater token i innstillinger.', 401);
+    throw apiError(`${action}: ${err.message || resp.status}`, resp.status);
+  }
+
+  /**
+   * Read a file from the repo.
+   * @param {{ref?: string, token?: string}} [options] - ref defaults to main
+   * @returns {Promise<{sha: string, content: string}|null>} null if the file does not exist
+   */
+  async function readFile(owner, repo, path, options = {}) {
+    const { ref = 'main', token } = options;
+    const resp = await request(`/repos/${owner}/${repo}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`, { token: token });
+    if (resp.status === 404) return null;
+    const data = await check(resp, `Kunne ikke hente ${path}`);
+
+    // Files over 1 MB come without content; read them as a blob instead
+    if (data.encoding !== 'base64') {
+      const blob = await check(await request(`/repos/${owner}/${repo}/git/blobs/${data.sha}`, { token: token }), `Kunne ikke hente ${path}`);
+      return { sha: data.sha, content: base64ToUtf8(blob.content) };
+    }
+    return { sha: data.sha, content: base64ToUtf8(data.content) };
+  }
+
+  async function exists(owner, repo, path, ref, token) {
+    const resp = await request(`/repos/${owner}/${repo}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`, { token: token });
+    if (resp.status === 404) return false;
+    await check(resp, `Kunne ikke hente ${path}`);
+    return true;
+  }
+
+  /**
+   * Commit files to a branch in one commit.
+   * @param {Object} options
+   * @param {string} options.owner
+   * @param {string} options.repo
+   * @param {string} options.token
+   * @param {string} options.message
+   * @param {Array<{path: string, content?: string, encoding?: string, update?: function(?string): string, delete?: boolean}>} options.files
+   *   content replaces the file; with encoding 'base64' it is binary content (e.g. a PNG).
+   *   update(current) gets the file's content at the branch head (null if it doesn't exist) and
+   *   returns the new content; it runs again on every retry. delete removes the file if it exists.
+   * @param {string} [options.branch='main']
+   * @returns {Promise<{sha: string|null, commitUrl: string, files: Object<string, string>, attempts: number}>}
+   *   files holds the committed content per path (null for deleted files). sha is null if nothing
+   *   changed (no commit made).
+   */
+  async function commitFiles(options) {
+    const { owner, repo, token, message, files, branch = 'main' } = options;
+    const base = `/repos/${owner}/${repo}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const ref = await check(await request(`${base}/git/ref/heads/${branch}`, { token: token }), `Kunne ikke lese ${branch}`);
+      const headSha = ref.object.sha;
+      const head = await check(await request(`${base}/git/commits/${headSha}`, { token: token }), `Kunne ikke lese ${branch}`);
+
+      const contents = {};
+      const tree = [];
+      for (const file of files) {
+        if (file.delete) {
+          contents[file.path] = null;
+          if (await exists(owner, repo, file.path, headSha, token)) {
+            tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+          }
+          continue;
+        }
+        if (file.encoding === 'base64') {
+          const blob = await check(await request(`${base}/git/blobs`, {
+            token: token, method: 'POST', body: { content: file.content, encoding: 'base64' }
+          }), `Kunne ikke lagre ${file.path}`);
+          contents[file.path] = file.content;
+          tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+          continue;
+        }
+
+        let content = file.content;
+        let current = null;
+        if (file.update) {
+          current = await readFile(owner, repo, file.path, { ref: headSha, token: token });
+          content = file.update(current ? current.content : null);
+        }
+        contents[file.path] = content;
+        if (current && content === current.content) continue;
+        tree.push({ path: file.path, mode: '100644', type: 'blob', content: content });
+      }
+
+      if (tree.length === 0) {
+        return { sha: null, commitUrl: '', files: contents, attempts: attempt };
+      }
+
+      const newTree = await check(await request(`${base}/git/trees`, {
+        token: token, method: 'POST', body: { base_tree: head.tree.sha, tree: tree }
+      }), 'Kunne ikke lagre filene');
+      const commit = await check(await request(`${base}/git/commits`, {
+        token: token, method: 'POST', body: { message: message, tree: newTree.sha, parents: [headSha] }
+      }), 'Kunne ikke lage commit');
+
+      // Fails with 422 if someone else pushed after we read the branch head
+      const resp = await request(`${base}/git/refs/heads/${branch}`, {
+        token: token, method: 'PATCH', body: { sha: commit.sha, force: false }
+      });
+      if (resp.ok) {
+        return { sha: commit.sha, commitUrl: commit.html_url || '', files: contents, attempts: attempt };
+      }
+
+      if (resp.status === 409 || resp.status === 422) {
+        if (attempt >= settings.maxAttempts) {
+          throw apiError('Konflikt - filene ble endret av andre flere ganger mens vi lagret. Prøv igjen.', resp.status);
+        }
+        await sleep(settings.retryDelay * attempt * (1 + Math.random()));
+        continue;
+      }
+      await check(resp, 'Kunne ikke oppdatere branch');
+    }
+  }
+
+  function freeId(id, taken) {
+    let i = 2;
+    while (taken.has(`${id}-${i}`)) i++;
+    return `${id}-${i}`;
+  }
+
+  /**
+   * Three-way merge of objects keyed by id (e.g. the versions in versions.json).
+   * An entry changed on one side only takes that side. Changed on both sides, ours wins,
+   * except that our deletion never removes someone else's edit. An id added on both sides
+   * with different content keeps theirs, and ours moves to a free id (its `id` field follows).
+   * @param {Object} base - Entries as they were when we read them
+   * @param {Object} ours - base with our changes
+   * @param {Object} theirs - Entries as they are now
+   * @returns {{result: Object, renamed: Object<string, string>, conflicts: string[]}}
+   *   conflicts lists ids changed on both sides.
+   */
+  function mergeById(base, ours, theirs) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const result = {};
+    const renamed = {};
+    const conflicts = [];
+    const ids = new Set(Object.keys(base).concat(Object.keys(ours), Object.keys(theirs)));
+
+    ids.forEach(id => {
+      const b = base[id];
+      const o = ours[id];
+      const t = theirs[id];
+      let value;
+
+      if (same(o, b)) value = t;
+      else if (same(t, b) || same(o, t)) value = o;
+      else {
+        conflicts.push(id);
+        if (o === undefined) value = t;
+        else if (t === undefined || b !== undefined) value = o;
+        else {
+          value = t;
+          renamed[id] = null;
+        }
+      }
+      if (value !== undefined) result[id] = value;
+    });
+
+    Object.keys(renamed).forEach(id => {
+      const newId = freeId(id, ids);
+      ids.add(newId);
+      renamed[id] = newId;
+      result[newId] = Object.assign({}, ours[id], 'id' in ours[id] ? { id: newId } : {});
+    });
+
+    return { result: result, renamed: renamed, conflicts: conflicts };
+  }
+
+  window.GitHubCommit = {
+    configure: configure,
+    request: request,
+    check: check,
+    readFile: readFile,
+    commitFiles: commitFiles,
+    mergeById: mergeById,
+    rateLimit: () => _rateLimit
+  };
+})();
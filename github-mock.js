@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * GitHub Mock
+ * In-memory mock of the parts of the GitHub Contents and Git Data API that github-commit.js uses,
+ * and a check of GitHubCommit.commitFiles() and mergeById() against it (Node script, not loaded by
+ * the pages). Run after changing github-commit.js: node github-mock.js
+ *
+ * The mock keeps branches, commits and flat trees in memory. Tests can make someone else commit
+ * between our read and our ref update (409/422 and retry), answer with rate limits (403 with
+ * x-ratelimit-remaining: 0, or 429 with retry-after) and return files over 1 MB without content.
+ * createMock() is exported for other checks: GitHubCommit.configure({ apiBase: mock.apiBase }) and
+ * fetch = mock.fetch.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const API_BASE = 'https://github.mock';
+const OWNER = 'owner';
+const REPO = 'repo';
+
+/**
+ * @param {Object<string, string>} files - Initial content of main, by path
+ * @returns {Object} { apiBase, fetch, files(branch), commitOther(path, content), requests, before }
+ *   before[`${method} ${route}`] runs before a request is answered (route without /repos/owner/repo);
+ *   rateLimit = { count, headers } answers the next count requests with 403/429 and those headers
+ */
+function createMock(files) {
+  const objects = {};
+  const branches = {};
+  let counter = 0;
+
+  const newSha = () => (++counter).toString(16).padStart(40, '0');
+
+  function addCommit(tree, parents, message) {
+    const sha = newSha();
+    objects[sha] = { type: 'commit', tree: tree, parents: parents, message: message };
+    return sha;
+  }
+
+  function addTree(entries) {
+    const sha = newSha();
+    objects[sha] = { type: 'tree', files: entries };
+    return sha;
+  }
+
+  function filesAt(ref) {
+    const sha = branches[ref] || ref;
+    const commit = objects[sha];
+    return commit && commit.type === 'commit' ? objects[commit.tree].files : null;
+  }
+
+  const mock = {
+    apiBase: API_BASE,
+    requests: [],
+    before: {},
+    rateLimit: null,
+
+    files(branch = 'main') {
+      return filesAt(branch);
+    },
+
+    // Someone else commits one file to main
+    commitOther(filePath, content, message = 'Annen endring') {
+      const tree = addTree(Object.assign({}, filesAt('main'), { [filePath]: content }));
+      branches.main = addCommit(tree, [branches.main], message);
+    }
+  };
+
+  branches.main = addCommit(addTree(Object.assign({}, files)), [], 'Init');
+
+  function respond(status, body, headers = {}) {
+    return new Response(body === null ? null : JSON.stringify(body), {
+      status: status,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+    });
+  }
+
+  function route(method, route, query, body) {
+    let m;
+    if (method === 'GET' && (m = route.match(/^\/git\/ref\/heads\/(.+)$/))) {
+      return branches[m[1]] ? respond(200, { object: { sha: branches[m[1]] } }) : respond(404, { message: 'Not Found' });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/commits\/(\w+)$/))) {
+      const commit = objects[m[1]];
+      return commit ? respond(200, { sha: m[1], tree: { sha: commit.tree } }) : respond(404, { message: 'Not Found' });
+    }
+    if (method === 'GET' && (m = route.match(/^\/contents\/(.+)$/))) {
+      const tree = filesAt(query.get('ref') || 'main');
+      const filePath = decodeURIComponent(m[1]);
+      if (!tree || tree[filePath] === undefined) return respond(404, { message: 'Not Found' });
+      const blob = newSha();
+      objects[blob] = { type: 'blob', content: tree[filePath] };
+      // The Contents API leaves out the content of files over 1 MB
+      if (tree[filePath].length > 1024 * 1024) return respond(200, { sha: blob, encoding: 'none', content: '' });
+      return respond(200, { sha: blob, encoding: 'base64', content: Buffer.from(tree[filePath]).toString('base64') });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/blobs\/(\w+)$/))) {
+      const blob = objects[m[1]];
+      return respond(200, { sha: m[1], encoding: 'base64', content: Buffer.from(blob.content).toString('base64') });
+    }
+    if (method === 'POST' && route === '/git/blobs') {
+      const sha = newSha();
+      objects[sha] = { type: 'blob', content: Buffer.from(body.content, 'base64').toString('latin1'), base64: body.content };
+      return respond(201, { sha: sha });
+    }
+    if (method === 'POST' && route === '/git/trees') {
+      const entries = Object.assign({}, objects[body.base_tree].files);
+      body.tree.forEach(entry => {
+        if (entry.sha === null) delete entries[entry.path];
+        else entries[entry.path] = entry.sha ? objects[entry.sha].content : entry.content;
+      });
+      return respond(201, { sha: addTree(entries) });
+    }
+    if (method === 'POST' && route === '/git/commits') {
+      const sha = addCommit(body.tree, body.parents, body.message);
+      return respond(201, { sha: sha, html_url: `https://github.com/${OWNER}/${REPO}/commit/${sha}` });
+    }
+    if (method === 'PATCH' && (m = route.match(/^\/git\/refs\/heads\/(.+)$/))) {
+      if (!body.force && objects[body.sha].parents[0] !== branches[m[1]]) {
+        return respond(422, { message: 'Update is not a fast forward' });
+      }
+      branches[m[1]] = body.sha;
+      return respond(200, { object: { sha: body.sha } });
+    }
+    return respond(404, { message: `Ingen mock for ${method} ${route}` });
+  }
+
+  mock.fetch = async (url, options = {}) => {
+    const u = new URL(url);
+    const method = options.method || 'GET';
+    const prefix = `/repos/${OWNER}/${REPO}`;
+    if (u.origin !== API_BASE || !u.pathname.startsWith(prefix)) throw new Error(`Uventet kall: ${url}`);
+    const routePath = u.pathname.slice(prefix.length);
+    mock.requests.push(`${method} ${routePath}`);
+
+    const hook = Object.keys(mock.before).find(key => `${method} ${routePath}`.startsWith(key));
+    if (hook) mock.before[hook]();
+
+    if (mock.rateLimit && mock.rateLimit.count > 0) {
+      mock.rateLimit.count--;
+      return respond(mock.rateLimit.status || 403, { message: 'API rate limit exceeded' }, mock.rateLimit.headers);
+    }
+    return route(method, routePath, u.searchParams, options.body ? JSON.parse(options.body) : null);
+  };
+
+  return mock;
+}
+
+// github-commit.js in a sandbox that calls the mock instead of the network
+function loadGitHubCommit(mock) {
+  const context = { fetch: mock.fetch, atob, btoa, TextDecoder, setTimeout, Date, Math, JSON, URL, console };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, 'github-commit.js'), 'utf8'), context);
+  context.GitHubCommit.configure({ apiBase: mock.apiBase, retryDelay: 1 });
+  return context.GitHubCommit;
+}
+
+const versionsJSON = versions => JSON.stringify({ versions: versions }, null, 2);
+
+const CHECKS = {
+  async 'commits several files in one commit'() {
+    const mock = createMock({ 'a/data.csv': 'x\n1\n', 'a/old.png': 'old' });
+    const gh = loadGitHubCommit(mock);
+    const result = await gh.commitFiles({
+      owner: OWNER, repo: REPO, token: 't', message: 'Test',
+      files: [
+        { path: 'a/data.csv', content: 'x\n2\n' },
+        { path: 'a/new.png', content: Buffer.from('png').toString('base64'), encoding: 'base64' },
+        { path: 'a/old.png', delete: true },
+        { path: 'a/missing.png', delete: true }
+      ]
+    });
+    assert.strictEqual(result.attempts, 1);
+    assert.deepStrictEqual(mock.files(), { 'a/data.csv': 'x\n2\n', 'a/new.png': 'png' });
+  },
+
+  async 'makes no commit when nothing changes'() {
+    const mock = createMock({ 'a/data.csv': 'x\n1\n' });
+    const gh = loadGitHubCommit(mock);
+    const result = await gh.commitFiles({
+      owner: OWNER, repo: REPO, token: 't', message: 'Test',
+      files: [{ path: 'a/data.csv', update: current => current }]
+    });
+    assert.strictEqual(result.sha, null);
+    assert.ok(!mock.requests.some(r => r.startsWith('POST /git/commits')));
+  },
+
+  async 'retries with fresh content when the branch moved (422)'() {
+    const mock = createMock({ 'list.txt': 'a\n' });
+    const gh = loadGitHubCommit(mock);
+    let moved = false;
+    mock.before['PATCH /git/refs/heads/main'] = () => {
+      if (!moved) mock.commitOther('list.txt', 'a\nb\n');
+      moved = true;
+    };
+    const seen = [];
+    const result = await gh.commitFiles({
+      owner: OWNER, repo: REPO, token: 't', message: 'Legg til c',
+      files: [{ path: 'list.txt', update: current => { seen.push(current); return current + 'c\n'; } }]
+    });
+    assert.strictEqual(result.attempts, 2);
+    assert.deepStrictEqual(seen, ['a\n', 'a\nb\n']);
+    assert.strictEqual(mock.files()['list.txt'], 'a\nb\nc\n');
+  },
+
+  async 'gives up after maxAttempts conflicts'() {
+    const mock = createMock({ 'list.txt': 'a\n' });
+    const gh = loadGitHubCommit(mock);
+    let n = 0;
+    mock.before['PATCH /git/refs/heads/main'] = () => mock.commitOther('list.txt', `other ${n++}\n`);
+    await assert.rejects(
+      gh.commitFiles({ owner: OWNER, repo: REPO, token: 't', message: 'Test', files: [{ path: 'list.txt', content: 'ours\n' }] }),
+      err => err.status === 422 && /Konflikt/.test(err.message)
+    );
+    assert.strictEqual(n, 4);
+  },
+
+  async 'waits on a short rate limit and repeats the request'() {
+    const mock = createMock({ 'f.txt': '1' });
+    const gh = loadGitHubCommit(mock);
+    mock.rateLimit = { count: 1, status: 429, headers: { 'retry-after': '0' } };
+    const file = await gh.readFile(OWNER, REPO, 'f.txt', { token: 't' });
+    assert.strictEqual(file.content, '1');
+    assert.strictEqual(mock.requests.filter(r => r.startsWith('GET /contents/')).length, 2);
+  },
+
+  async 'fails with the reset time on a long rate limit'() {
+    const mock = createMock({ 'f.txt': '1' });
+    const gh = loadGitHubCommit(mock);
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    mock.rateLimit = { count: 1, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': String(reset) } };
+    await assert.rejects(gh.readFile(OWNER, REPO, 'f.txt', { token: 't' }), err => err.status === 403 && /API-grensen/.test(err.message));
+    assert.strictEqual(gh.rateLimit().remaining, 0);
+  },
+
+  async 'reads files over 1 MB through the blob API'() {
+    const big = 'x'.repeat(1024 * 1024 + 1);
+    const mock = createMock({ 'big.csv': big });
+    const gh = loadGitHubCommit(mock);
+    const file = await gh.readFile(OWNER, REPO, 'big.csv', { token: 't' });
+    assert.strictEqual(file.content.length, big.length);
+    assert.ok(mock.requests.some(r => r.startsWith('GET /git/blobs/')));
+  },
+
+  async 'merges concurrent version edits by id'() {
+    const base = { a: { id: 'a', name: 'A' }, b: { id: 'b', name: 'B' }, c: { id: 'c', name: 'C' } };
+    const mock = createMock({ 'v/versions.json': versionsJSON(base) });
+    const gh = loadGitHubCommit(mock);
+    // Ours: edit a, delete c, add d. Theirs (committed meanwhile): edit b, edit c, add d.
+    const ours = { a: { id: 'a', name: 'A2' }, b: base.b, d: { id: 'd', name: 'Vår D' } };
+    mock.before['GET /git/ref/heads/main'] = () => {
+      mock.before = {};
+      mock.commitOther('v/versions.json', versionsJSON({ a: base.a, b: { id: 'b', name: 'B2' }, c: { id: 'c', name: 'C2' }, d: { id: 'd', name: 'Deres D' } }));
+    };
+    let merge = null;
+    await gh.commitFiles({
+      owner: OWNER, repo: REPO, token: 't', message: 'Versjoner',
+      files: [{
+        path: 'v/versions.json',
+        update: current => {
+          merge = gh.mergeById(base, ours, JSON.parse(current).versions);
+          return versionsJSON(merge.result);
+        }
+      }]
+    });
+    const saved = JSON.parse(mock.files()['v/versions.json']).versions;
+    assert.strictEqual(saved.a.name, 'A2');
+    assert.strictEqual(saved.b.name, 'B2');
+    assert.strictEqual(saved.c.name, 'C2', 'our delete must not remove their edit');
+    assert.strictEqual(saved.d.name, 'Deres D');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(merge.renamed)), { d: 'd-2' });
+    assert.deepStrictEqual(saved['d-2'], { id: 'd-2', name: 'Vår D' });
+  },
+
+  async 'mergeById: both sides changed the same entry, ours wins'() {
+    const gh = loadGitHubCommit(createMock({}));
+    const merge = gh.mergeById({ a: { v: 1 } }, { a: { v: 2 } }, { a: { v: 3 } });
+    assert.strictEqual(merge.result.a.v, 2);
+    assert.deepStrictEqual(Array.from(merge.conflicts), ['a']);
+  },
+
+  async 'reports an invalid token'() {
+    const mock = createMock({});
+    const gh = loadGitHubCommit(mock);
+    mock.rateLimit = { count: 1, status: 401, headers: {} };
+    await assert.rejects(gh.readFile(OWNER, REPO, 'f.txt', { token: 'bad' }), err => err.status === 401 && /Ugyldig/.test(err.message));
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (const name of Object.keys(CHECKS)) {
+    try {
+      await CHECKS[name]();
+      console.log(`ok    ${name}`);
+    } catch (e) {
+      failed++;
+      console.log(`FEIL  ${name}\n      ${e.message}`);
+    }
+  }
+  console.log(failed ? `${failed} av ${Object.keys(CHECKS).length} feilet` : `Alle ${Object.keys(CHECKS).length} sjekker ok`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = { createMock: createMock, loadGitHubCommit: loadGitHubCommit };
+
+if (require.main === module) main();
@@ -0,0 +1,260 @@
+/**
+ * GitHub Review Module
+ * Optional "send til godkjenning" publishing. Instead of committing straight to main, changes
+ * go to a per-user branch (godkjenning/<login>) with a pull request that a second person
+ * reviews and merges. The pull request describes the change (rows, versions, files) and links
+ * to a preview of the branch (chart pages accept ?ref=<branch>).
+ * Used by github-save.js and version-manager.js; load after github-commit.js.
+ */
+
+(function () {
+  'use strict';
+
+  const REVIEW_MODE_KEY = 'github_review_mode';
+  const BRANCH_PREFIX = 'godkjenning/';
+  const GITHUB_PAGES_BASE = 'https://tskjelde-bit.github.io/grafer';
+  const BASE_BRANCH = 'main';
+  const LIST_LIMIT = 20;
+
+  let _login = null;
+
+  function isEnabled() {
+    return localStorage.getItem(REVIEW_MODE_KEY) === 'true';
+  }
+
+  function setEnabled(enabled) {
+    if (enabled) {
+      localStorage.setItem(REVIEW_MODE_KEY, 'true');
+    } else {
+      localStorage.removeItem(REVIEW_MODE_KEY);
+    }
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  async function currentLogin(token) {
+    if (_login) return _login;
+    const user = await GitHubCommit.check(await GitHubCommit.request('/user', { token: token }), 'Kunne ikke hente GitHub-bruker');
+    _login = user.login;
+    return _login;
+  }
+
+  function branchFor(login) {
+    return BRANCH_PREFIX + login.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  }
+
+  // Public page (repo-relative path, may include ?v=) showing the branch instead of main
+  function previewUrl(pagePath, branch) {
+    const sep = pagePath.includes('?') ? '&' : '?';
+    return `${GITHUB_PAGES_BASE}/${pagePath}${sep}ref=${encodeURIComponent(branch)}`;
+  }
+
+  async function findOpenPull(owner, repo, branch, token) {
+    const resp = await GitHubCommit.request(
+      `/repos/${owner}/${repo}/pulls?state=open&head=${owner}:${encodeURIComponent(branch)}`, { token: token });
+    const pulls = await GitHubCommit.check(resp, 'Kunne ikke hente pull requests');
+    return pulls[0] || null;
+  }
+
+  // Create the branch from main, or reset it to main if its last pull request is closed.
+  // With an open pull request the branch is kept, so new changes are added to the same request.
+  async function prepareBranch(owner, repo, branch, token) {
+    const base = `/repos/${owner}/${repo}/git`;
+    const open = await findOpenPull(owner, repo, branch, token);
+    if (open) return open;
+
+    const main = await GitHubCommit.check(await GitHubCommit.request(`${base}/ref/heads/${BASE_BRANCH}`, { token: token }), `Kunne ikke lese ${BASE_BRANCH}`);
+    const existing = await GitHubCommit.request(`${base}/ref/heads/${branch}`, { token: token });
+
+    if (existing.status === 404) {
+      await GitHubCommit.check(await GitHubCommit.request(`${base}/refs`, {
+        token: token, method: 'POST', body: { ref: `refs/heads/${branch}`, sha: main.object.sha }
+      }), 'Kunne ikke lage branch');
+    } else {
+      await GitHubCommit.check(existing, 'Kunne ikke lese branch');
+      await GitHubCommit.check(await GitHubCommit.request(`${base}/refs/heads/${branch}`, {
+        token: token, method: 'PATCH', body: { sha: main.object.sha, force: true }
+      }), 'Kunne ikke oppdatere branch');
+    }
+    return null;
+  }
+
+  function plural(n, one, many) {
+    return `${n} ${n === 1 ? one : many}`;
+  }
+
+  /**
+   * Markdown description of a change for the pull request.
+   * summary: { rows?: {added, changed, revisions, removed}, versions?: {added, updated, deleted} (names),
+   *            files: string[], preview?: string (public page URL) }
+   */
+  function describe(summary, commitUrl) {
+    const lines = [];
+    const rows = summary.rows;
+    if (rows) {
+      let text = `- Rader: ${plural(rows.added, 'ny', 'nye')}, ${rows.changed} endret, ${rows.removed} fjernet`;
+      if (rows.revisions > 0) text += ` (**${plural(rows.revisions, 'revisjon', 'revisjoner')} av tidligere perioder**)`;
+      lines.push(text);
+    }
+    const versions = summary.versions;
+    if (versions) {
+      if (versions.added.length) lines.push(`- Nye versjoner: ${versions.added.join(', ')}`);
+      if (versions.updated.length) lines.push(`- Oppdaterte versjoner: ${versions.updated.join(', ')}`);
+      if (versions.deleted.length) lines.push(`- Slettede versjoner: ${versions.deleted.join(', ')}`);
+    }
+    lines.push(`- Filer: ${summary.files.map(f => '`' + f + '`').join(', ')}`);
+    if (summary.preview) lines.push(`- Forhåndsvisning: ${summary.preview}`);
+    if (commitUrl) lines.push(`- Commit: ${commitUrl}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Commit files the way the user has chosen: straight to main, or (review mode) to the user's
+   * branch with a pull request. Takes the options of GitHubCommit.commitFiles plus:
+   *   summary: { rows?, versions?, preview? } - preview is a repo-relative public page path;
+   *     may be a function returning it, called after the commit (e.g. when the preview needs an
+   *     id that is only known once update() has run)
+   * @returns {Promise<Object>} The commitFiles result plus { review, branch, pullUrl, pullNumber }
+   */
+  async function publish(options) {
+    if (!isEnabled()) {
+      const result = await GitHubCommit.commitFiles(options);
+      return Object.assign(result, { review: false });
+    }
+
+    const { owner, repo, token, message, files } = options;
+    const login = await currentLogin(token);
+    const branch = branchFor(login);
+    const open = await prepareBranch(owner, repo, branch, token);
+
+    const result = await GitHubCommit.commitFiles(Object.assign({}, options, { branch: branch }));
+    const given = typeof options.summary === 'function' ? options.summary() : options.summary;
+    const summary = Object.assign({}, given, { files: files.map(f => f.path) });
+    if (summary.preview) summary.preview = previewUrl(summary.preview, branch);
+    const description = describe(summary, result.commitUrl);
+
+    let pull = open;
+    if (!result.sha) {
+      // Nothing changed; don't open an empty pull request
+    } else if (pull) {
+      await GitHubCommit.check(await GitHubCommit.request(`/repos/${owner}/${repo}/issues/${pull.number}/comments`, {
+        token: token, method: 'POST', body: { body: `**${message}**\n\n${description}` }
+      }), 'Kunne ikke oppdatere pull request');
+    } else {
+      pull = await GitHubCommit.check(await GitHubCommit.request(`/repos/${owner}/${repo}/pulls`, {
+        token: token,
+        method: 'POST',
+        body: {
+          title: message,
+          head: branch,
+          base: BASE_BRANCH,
+          body: `Sendt til godkjenning av @${login} fra admin-sidene. Publiseres når pull requesten merges.\n\n${description}`
+        }
+      }), 'Kunne ikke opprette pull request');
+    }
+
+    return Object.assign(result, {
+      review: true,
+      branch: branch,
+      pullUrl: pull ? pull.html_url : '',
+      pullNumber: pull ? pull.number : null
+    });
+  }
+
+  // Latest review per reviewer decides: any "changes requested" wins over approvals
+  function reviewStatus(reviews) {
+    const latest = {};
+    reviews.forEach(r => {
+      if (r.state === 'APPROVED' || r.state === 'CHANGES_REQUESTED') latest[r.user.login] = r.state;
+    });
+    const states = Object.values(latest);
+    if (states.includes('CHANGES_REQUESTED')) return { label: 'Endringer ønsket', type: 'error' };
+    if (states.includes('APPROVED')) return { label: 'Godkjent, ikke publisert', type: 'success' };
+    return { label: 'Venter på godkjenning', type: 'info' };
+  }
+
+  /**
+   * Recent "send til godkjenning" pull requests with their status, open ones first.
+   * @returns {Promise<Array<{number, title, url, author, branch, updatedAt, open, status: {label, type}}>>}
+   */
+  async function listRequests(owner, repo, token) {
+    const resp = await GitHubCommit.request(
+      `/repos/${owner}/${repo}/pulls?state=all&base=${BASE_BRANCH}&sort=updated&direction=desc&per_page=${LIST_LIMIT}`, { token: token });
+    const pulls = (await GitHubCommit.check(resp, 'Kunne ikke hente pull requests'))
+      .filter(p => p.head && p.head.ref.startsWith(BRANCH_PREFIX));
+
+    const requests = [];
+    for (const p of pulls) {
+      let status;
+      if (p.merged_at) status = { label: 'Publisert', type: 'success' };
+      else if (p.state === 'closed') status = { label: 'Avvist', type: 'error' };
+      else {
+        const reviews = await GitHubCommit.check(await GitHubCommit.request(
+          `/repos/${owner}/${repo}/pulls/${p.number}/reviews`, { token: token }), 'Kunne ikke hente godkjenninger');
+        status = reviewStatus(reviews);
+      }
+      requests.push({
+        number: p.number,
+        title: p.title,
+        url: p.html_url,
+        author: p.user ? p.user.login : '',
+        branch: p.head.ref,
+        updatedAt: p.updated_at,
+        open: p.state === 'open',
+        status: status
+      });
+    }
+    return requests.sort((a, b) => b.open - a.open);
+  }
+
+  const STATUS_COLORS = { success: '#10b981', error: '#ef4444', info: '#60a5fa' };
+
+  /**
+   * Render the list of requests into a container, with a button to (re)load it.
+   * options: { owner, repo, getToken }
+   */
+  function renderRequests(container, options) {
+    container.innerHTML = `
+      <button class="btn" type="button" data-role="load">Vis forespørsler</button>
+      <div data-role="list" style="margin-top: 0.5rem; font-size: 0.875rem;"></div>
+    `;
+    const loadBtn = container.querySelector('[data-role="load"]');
+    const list = container.querySelector('[data-role="list"]');
+
+    loadBtn.addEventListener('click', async () => {
+      loadBtn.disabled = true;
+      list.textContent = 'Henter...';
+      try {
+        const requests = await listRequests(options.owner, options.repo, options.getToken());
+        if (requests.length === 0) {
+          list.textContent = 'Ingen forespørsler om godkjenning.';
+          return;
+        }
+        list.innerHTML = requests.map(r => `
+          <div style="display: flex; gap: 0.5rem; align-items: baseline; padding: 0.25rem 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+            <span style="color: ${STATUS_COLORS[r.status.type]}; min-width: 11rem;">${escapeHTML(r.status.label)}</span>
+            <a href="${escapeHTML(r.url)}" target="_blank" style="color: inherit;">#${r.number} ${escapeHTML(r.title)}</a>
+            <span style="color: #a1a1aa;">${escapeHTML(r.author)}, ${new Date(r.updatedAt).toLocaleDateString('nb-NO')}</span>
+          </div>
+        `).join('');
+      } catch (e) {
+        list.textContent = `Feil: ${e.message}`;
+      } finally {
+        loadBtn.disabled = false;
+      }
+    });
+  }
+
+  window.GitHubReview = {
+    isEnabled: isEnabled,
+    setEnabled: setEnabled,
+    branchFor: branchFor,
+    previewUrl: previewUrl,
+    describe: describe,
+    publish: publish,
+    listRequests: listRequests,
+    renderRequests: renderRequests
+  };
+})();
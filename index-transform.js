@@ -0,0 +1,210 @@
+/**
+ * Index Transform Module
+ * Transforms for index series ("Date,<area>,<area>..." with ISO dates): rebase to 100 at a chosen
+ * date, cumulative % change from a start date, and year-over-year / quarter-over-quarter % change.
+ * Stored in the version config as transform: { type, date }.
+ * Also deflates series to real terms with a KPI series (kpi.csv), stored as real: { enabled, baseYear }.
+ * Deflation comes first, so the transforms then show real changes.
+ * Used by prisutvikling/generer.html and by chart-runtime.js (index-lines).
+ */
+
+(function () {
+  'use strict';
+
+  const TYPES = {
+    none: { name: 'Indeks', percent: false, needsDate: false },
+    rebase: { name: 'Rebasert indeks', percent: false, needsDate: true },
+    cumulative: { name: 'Endring siden dato', percent: true, needsDate: true },
+    yoy: { name: 'Endring fra året før', percent: true, needsDate: false, months: 12 },
+    qoq: { name: 'Endring fra kvartalet før', percent: true, needsDate: false, months: 3 }
+  };
+
+  const valid = v => v !== null && v !== undefined && !Number.isNaN(v);
+
+  // { type, date } with unknown types as 'none'
+  function normalize(transform) {
+    const type = transform && TYPES[transform.type] ? transform.type : 'none';
+    return { type: type, date: (transform && transform.date) || null };
+  }
+
+  function isActive(transform) {
+    return normalize(transform).type !== 'none';
+  }
+
+  function isPercent(transform) {
+    return TYPES[normalize(transform).type].percent;
+  }
+
+  function formatDate(iso) {
+    const [y, m, d] = String(iso).slice(0, 10).split('-');
+    return `${d}.${m}.${y}`;
+  }
+
+  // ISO date the given number of months later (earlier if negative), same day of month
+  function addMonths(iso, months) {
+    const [y, m, d] = iso.slice(0, 10).split('-').map(Number);
+    const total = y * 12 + (m - 1) + months;
+    const month = String(total % 12 + 1).padStart(2, '0');
+    return `${Math.floor(total / 12)}-${month}-${String(d).padStart(2, '0')}`;
+  }
+
+  function monthsBetween(from, to) {
+    const [y1, m1] = from.split('-').map(Number);
+    const [y2, m2] = to.split('-').map(Number);
+    return (y2 - y1) * 12 + (m2 - m1);
+  }
+
+  function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  // Index of the first date on or after the wanted one (the last date if all are before)
+  function baseIndex(dates, date) {
+    if (!dates.length) return -1;
+    if (!date) return 0;
+    const idx = dates.findIndex(d => d >= date);
+    return idx >= 0 ? idx : dates.length - 1;
+  }
+
+  // The date the transform is measured from, as it occurs in the data
+  function baseDate(dates, transform) {
+    const t = normalize(transform);
+    if (!TYPES[t.type].needsDate) return null;
+    const idx = baseIndex(dates, t.date);
+    return idx >= 0 ? dates[idx] : null;
+  }
+
+  /**
+   * Transform one series. Points without a comparison value become null.
+   * @param {string[]} dates - ISO dates, ascending
+   * @param {Array<number|null>} values
+   * @param {{type: string, date?: string}} transform
+   */
+  function apply(dates, values, transform) {
+    const t = normalize(transform);
+
+    if (t.type === 'none') return values.slice();
+
+    if (t.type === 'rebase' || t.type === 'cumulative') {
+      const base = values[baseIndex(dates, t.date)];
+      if (!valid(base) || base === 0) return values.map(() => null);
+      return values.map(v => !valid(v) ? null
+        : t.type === 'rebase' ? v / base * 100 : (v / base - 1) * 100);
+    }
+
+    const dateIndex = Object.create(null);
+    dates.forEach((d, i) => dateIndex[d] = i);
+    return values.map((v, i) => {
+      const prevIdx = dateIndex[addMonths(dates[i], -TYPES[t.type].months)];
+      const prev = prevIdx !== undefined ? values[prevIdx] : null;
+      return valid(v) && valid(prev) && prev !== 0 ? (v / prev - 1) * 100 : null;
+    });
+  }
+
+  // Transform every series in { area: values }
+  function applyAll(dates, seriesByName, transform) {
+    const result = {};
+    Object.keys(seriesByName).forEach(name => result[name] = apply(dates, seriesByName[name], transform));
+    return result;
+  }
+
+  // ---- Real prices ----
+
+  // KPI CSV rows ("Date,KPI") as { dates, values }
+  function parseCPI(rows) {
+    const cpi = { dates: [], values: [] };
+    rows.forEach(cells => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(cells[0] || '')) return;
+      cpi.dates.push(cells[0]);
+      cpi.values.push(cells[1] === '' || cells[1] === undefined ? null : parseFloat(cells[1]));
+    });
+    return cpi;
+  }
+
+  // Years with KPI values, ascending
+  function cpiYears(cpi) {
+    const years = new Set();
+    cpi.dates.forEach((d, i) => { if (valid(cpi.values[i])) years.add(parseInt(d.slice(0, 4), 10)); });
+    return Array.from(years).sort((a, b) => a - b);
+  }
+
+  /**
+   * Deflator per date: average KPI in the base year over average KPI in the months the date
+   * covers (up to the next observation, so quarterly series use the quarter's average).
+   * @param {string[]} dates - ISO dates of the series, ascending
+   * @param {{dates: string[], values: Array<number|null>}} cpi - Monthly or quarterly KPI
+   * @param {number} [baseYear] - Defaults to the latest year with KPI data
+   * @returns {Array<number|null>} null where KPI is missing
+   */
+  function cpiFactors(dates, cpi, baseYear) {
+    const byMonth = Object.create(null);
+    cpi.dates.forEach((d, i) => { if (valid(cpi.values[i])) byMonth[d.slice(0, 7)] = cpi.values[i]; });
+
+    const year = baseYear || cpiYears(cpi).pop();
+    const baseValues = Object.keys(byMonth).filter(m => m.startsWith(year + '-')).map(m => byMonth[m]);
+    if (!baseValues.length) return dates.map(() => null);
+    const base = mean(baseValues);
+
+    const step = dates.length > 1 ? Math.max(1, monthsBetween(dates[0], dates[1])) : 1;
+    return dates.map(d => {
+      const covered = [];
+      for (let k = 0; k < step; k++) {
+        const v = byMonth[addMonths(d, k).slice(0, 7)];
+        if (v !== undefined) covered.push(v);
+      }
+      return covered.length ? base / mean(covered) : null;
+    });
+  }
+
+  // Series in base-year prices, from cpiFactors()
+  function deflate(values, factors) {
+    return values.map((v, i) => valid(v) && factors[i] !== null ? v * factors[i] : null);
+  }
+
+  // { enabled, baseYear } (baseYear null = latest KPI year)
+  function normalizeReal(real) {
+    const baseYear = real ? parseInt(real.baseYear, 10) : NaN;
+    return { enabled: !!(real && real.enabled), baseYear: Number.isNaN(baseYear) ? null : baseYear };
+  }
+
+  // Axis / caption text, e.g. "Indeks (01.01.2020 = 100)" or "Endring siden 01.01.2020 (%)",
+  // with ", KPI-justert (2024-kroner)" for real prices (baseYear given)
+  function label(dates, transform, baseYear) {
+    const t = normalize(transform);
+    const base = baseDate(dates, t);
+    const real = baseYear ? `, KPI-justert (${baseYear}-kroner)` : '';
+    switch (t.type) {
+      case 'rebase': return `Indeks (${formatDate(base)} = 100)${real}`;
+      case 'cumulative': return `Endring siden ${formatDate(base)} (%)${real}`;
+      case 'yoy': return `Endring fra året før (%)${real}`;
+      case 'qoq': return `Endring fra kvartalet før (%)${real}`;
+      default: return `Indeks${real}`;
+    }
+  }
+
+  // Tooltip / table value: "123,45" for index values, "+4,2 %" for changes
+  function formatValue(value, transform) {
+    if (value === null || value === undefined || Number.isNaN(value)) return '';
+    if (!isPercent(transform)) return value.toFixed(2).replace('.', ',');
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded < 0 ? '−' : '+'}${Math.abs(rounded).toFixed(1).replace('.', ',')} %`;
+  }
+
+  window.IndexTransform = {
+    TYPES: TYPES,
+    normalize: normalize,
+    isActive: isActive,
+    isPercent: isPercent,
+    baseDate: baseDate,
+    apply: apply,
+    applyAll: applyAll,
+    label: label,
+    formatValue: formatValue,
+    formatDate: formatDate,
+    parseCPI: parseCPI,
+    cpiYears: cpiYears,
+    cpiFactors: cpiFactors,
+    deflate: deflate,
+    normalizeReal: normalizeReal
+  };
+})();
@@ -0,0 +1,158 @@
+/**
+ * Market Balance Module
+ * Derived metrics from the monthly listed (data_lagt_ut.csv) and sold (data_solgt.csv) volumes:
+ * sold/listed ratio, estimated months of inventory, rolling 12-month sums and the difference
+ * from the same month last year. The two files name their columns differently, so they are
+ * read with the column names from their charts.json entries and aligned on year + month.
+ * Used by chart-runtime.js (market-balance).
+ */
+
+(function () {
+  'use strict';
+
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
+
+  // Months of sales used as the current sales pace for months of inventory
+  const PACE_MONTHS = 3;
+
+  const METRICS = {
+    ratio: { name: 'Salgsrate', axis: 'Solgt per 100 lagt ut', decimals: 1, chart: 'lines' },
+    inventory: { name: 'Estimert tilbud', axis: 'Måneder med salg', decimals: 1, chart: 'lines' },
+    rolling12: { name: 'Rullerende 12 måneder', axis: 'Antall siste 12 mnd', decimals: 0, chart: 'lines' },
+    yoy: { name: 'Endring fra samme måned i fjor', axis: 'Endring i antall', decimals: 0, chart: 'bars', signed: true }
+  };
+
+  const valid = v => v !== null && v !== undefined && Number.isFinite(v);
+
+  function sum(values) {
+    return values.every(valid) ? values.reduce((a, b) => a + b, 0) : null;
+  }
+
+  function monthIndex(key) {
+    const [year, month] = key.split('-');
+    return parseInt(year, 10) * 12 + MONTHS.indexOf(month);
+  }
+
+  function monthKey(index) {
+    return `${Math.floor(index / 12)}-${MONTHS[index % 12]}`;
+  }
+
+  /**
+   * Monthly counts from CSV rows as { 'YYYY-mmm': count }.
+   * @param {string[]} headers
+   * @param {string[][]} rows
+   * @param {{period: string, year: string, value: string}} columns - Column names from charts.json
+   */
+  function parseMonthly(headers, rows, columns) {
+    const idx = {
+      period: headers.indexOf(columns.period),
+      year: headers.indexOf(columns.year),
+      value: headers.indexOf(columns.value)
+    };
+    const missing = Object.keys(idx).filter(role => idx[role] < 0);
+    if (missing.length) throw new Error(`Fant ikke kolonnen ${missing.map(role => columns[role]).join(', ')}`);
+
+    const data = {};
+    rows.forEach(cells => {
+      const month = (cells[idx.period] || '').trim().toLowerCase();
+      const year = (cells[idx.year] || '').trim();
+      const value = parseInt(cells[idx.value], 10);
+      if (MONTHS.includes(month) && /^\d{4}$/.test(year) && !Number.isNaN(value)) data[`${year}-${month}`] = value;
+    });
+    return data;
+  }
+
+  /**
+   * Consecutive months where both series have data (from the later start to the earlier end).
+   * Months missing in between are null.
+   * @returns {{keys: string[], sold: Array<number|null>, listed: Array<number|null>}}
+   */
+  function align(sold, listed) {
+    const range = data => {
+      const indices = Object.keys(data).map(monthIndex);
+      return indices.length ? [Math.min(...indices), Math.max(...indices)] : null;
+    };
+    const soldRange = range(sold);
+    const listedRange = range(listed);
+    const aligned = { keys: [], sold: [], listed: [] };
+    if (!soldRange || !listedRange) return aligned;
+
+    for (let i = Math.max(soldRange[0], listedRange[0]); i <= Math.min(soldRange[1], listedRange[1]); i++) {
+      const key = monthKey(i);
+      aligned.keys.push(key);
+      aligned.sold.push(valid(sold[key]) ? sold[key] : null);
+      aligned.listed.push(valid(listed[key]) ? listed[key] : null);
+    }
+    return aligned;
+  }
+
+  // Sum of the window ending at each point (null until the window is full or when it has a gap)
+  function rollingSum(values, window) {
+    return values.map((_, i) => i < window - 1 ? null : sum(values.slice(i - window + 1, i + 1)));
+  }
+
+  // Difference from the value 12 months earlier
+  function yearOverYear(values) {
+    return values.map((v, i) => i >= 12 && valid(v) && valid(values[i - 12]) ? v - values[i - 12] : null);
+  }
+
+  function ratio(sold, listed) {
+    return sold.map((s, i) => valid(s) && valid(listed[i]) && listed[i] > 0 ? s / listed[i] * 100 : null);
+  }
+
+  /**
+   * Estimated months of inventory: listings from the last 12 months that have not been matched
+   * by a sale, divided by the average sales of the last PACE_MONTHS months. A rough estimate,
+   * since there is no stock count; listings older than 12 months are assumed sold or withdrawn.
+   */
+  function inventory(sold, listed) {
+    const listed12 = rollingSum(listed, 12);
+    const sold12 = rollingSum(sold, 12);
+    const pace = rollingSum(sold, PACE_MONTHS);
+    return sold.map((_, i) => {
+      if (!valid(listed12[i]) || !valid(sold12[i]) || !valid(pace[i]) || pace[i] <= 0) return null;
+      return Math.max(0, listed12[i] - sold12[i]) / (pace[i] / PACE_MONTHS);
+    });
+  }
+
+  /**
+   * Series for a metric over the aligned months.
+   * @param {{sold: Array, listed: Array}} aligned - From align()
+   * @param {string} metric - Key in METRICS
+   * @returns {Array<{id: string, name: string, values: Array<number|null>}>}
+   */
+  function compute(aligned, metric) {
+    const { sold, listed } = aligned;
+    switch (metric) {
+      case 'ratio':
+        return [
+          { id: 'ratio', name: 'Per måned', values: ratio(sold, listed) },
+          { id: 'ratio12', name: 'Siste 12 mnd', values: ratio(rollingSum(sold, 12), rollingSum(listed, 12)) }
+        ];
+      case 'inventory':
+        return [{ id: 'inventory', name: 'Måneder med tilbud', values: inventory(sold, listed) }];
+      case 'rolling12':
+        return [
+          { id: 'solgt', name: 'Solgt', values: rollingSum(sold, 12) },
+          { id: 'lagtUt', name: 'Lagt ut for salg', values: rollingSum(listed, 12) }
+        ];
+      case 'yoy':
+        return [
+          { id: 'solgt', name: 'Solgt', values: yearOverYear(sold) },
+          { id: 'lagtUt', name: 'Lagt ut for salg', values: yearOverYear(listed) }
+        ];
+      default:
+        throw new Error(`Ukjent nøkkeltall: ${metric}`);
+    }
+  }
+
+  window.MarketBalance = {
+    METRICS: METRICS,
+    PACE_MONTHS: PACE_MONTHS,
+    parseMonthly: parseMonthly,
+    align: align,
+    rollingSum: rollingSum,
+    yearOverYear: yearOverYear,
+    compute: compute
+  };
+})();
@@ -0,0 +1,160 @@
+#!/usr/bin/env python3
+"""
+Regenerate the PNG/SVG snapshots of all saved chart versions with headless Chrome.
+Run after the data CSVs change: python3 render_snapshots.py [--all] [chart-id ...]
+
+Each version's public page is opened with ?v=<version>&snapshot=1; the page renders the images
+(chart-snapshot.js) and this script writes them to <versions folder>/snapshots/<chart>/<version>.png
+and .svg, the paths VersionManager.getSnapshotUrl() links to. Without --all, only snapshots that are
+missing or older than the chart's data, layout/config or versions file are rendered.
+Commit the snapshot folders afterwards (or push them with the admin pages).
+
+Chrome is found on PATH (google-chrome, chromium, ...) or set with CHROME=/path/to/chrome.
+"""
+
+import base64
+import functools
+import http.server
+import json
+import os
+import re
+import shutil
+import subprocess
+import sys
+import threading
+import urllib.parse
+
+DIRECTORY = os.path.dirname(os.path.abspath(__file__))
+REGISTRY = os.path.join(DIRECTORY, 'charts.json')
+CHROME_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome']
+# Desktop width, so year-bars charts show as many years as on a large screen
+WINDOW_SIZE = '1280,1000'
+# Virtual time Chrome gives the page to load data and render before dumping the DOM (ms)
+RENDER_BUDGET = 30000
+TIMEOUT = 120
+SNAPSHOT_PATTERN = re.compile(r'<script type="application/json" id="graferSnapshot">(.*?)</script>', re.S)
+
+
+class QuietHandler(http.server.SimpleHTTPRequestHandler):
+    def log_message(self, format, *args):
+        pass
+
+
+def find_chrome():
+    chrome = os.environ.get('CHROME')
+    if chrome:
+        return chrome
+    for name in CHROME_NAMES:
+        path = shutil.which(name)
+        if path:
+            return path
+    raise SystemExit('Fant ikke Chrome. Installer Chrome/Chromium eller sett CHROME=/sti/til/chrome.')
+
+
+def public_url(entry):
+    return entry.get('publicUrl') or f"chart.html?id={entry['id']}"
+
+
+def snapshot_path(entry, version_id, fmt):
+    """Same layout as VersionManager._snapshotPath()."""
+    folder = os.path.dirname(entry['versions'])
+    return os.path.join(folder, 'snapshots', entry['id'], f'{version_id}.{fmt}')
+
+
+def source_files(entry, charts):
+    """Files a chart's snapshots depend on."""
+    files = [entry['versions']]
+    files += [entry[key] for key in ('data', 'layout', 'config') if entry.get(key)]
+    for source_id in (entry.get('sources') or {}).values():
+        source = next((c for c in charts if c['id'] == source_id), None)
+        if source and source.get('data'):
+            files.append(source['data'])
+    return files
+
+
+def is_stale(entry, version_id, charts):
+    sources = [os.path.join(DIRECTORY, f) for f in source_files(entry, charts)]
+    newest = max((os.path.getmtime(f) for f in sources if os.path.exists(f)), default=0)
+    for fmt in ('png', 'svg'):
+        path = os.path.join(DIRECTORY, snapshot_path(entry, version_id, fmt))
+        if not os.path.exists(path) or os.path.getmtime(path) < newest:
+            return True
+    return False
+
+
+def render(chrome, base_url, entry, version_id):
+    page = public_url(entry)
+    sep = '&' if '?' in page else '?'
+    url = f"{base_url}/{page}{sep}v={urllib.parse.quote(version_id)}&snapshot=1"
+    args = [chrome, '--headless=new', '--disable-gpu', '--hide-scrollbars',
+            f'--window-size={WINDOW_SIZE}', f'--virtual-time-budget={RENDER_BUDGET}', '--dump-dom', url]
+    if hasattr(os, 'geteuid') and os.geteuid() == 0:
+        args.insert(1, '--no-sandbox')
+
+    result = subprocess.run(args, capture_output=True, text=True, timeout=TIMEOUT)
+    match = SNAPSHOT_PATTERN.search(result.stdout)
+    if not match:
+        raise ValueError(f'siden ga ingen bilder ({url})')
+    shot = json.loads(match.group(1))
+    if shot.get('error'):
+        raise ValueError(shot['error'])
+    return shot
+
+
+def write(path, data):
+    full_path = os.path.join(DIRECTORY, path)
+    os.makedirs(os.path.dirname(full_path), exist_ok=True)
+    with open(full_path, 'wb') as f:
+        f.write(data)
+
+
+def main(argv):
+    render_all = '--all' in argv
+    only = [a for a in argv if not a.startswith('--')]
+
+    with open(REGISTRY, encoding='utf-8') as f:
+        charts = json.load(f).get('charts', [])
+
+    jobs = []
+    for entry in charts:
+        if only and entry['id'] not in only:
+            continue
+        versions_file = os.path.join(DIRECTORY, entry.get('versions') or '')
+        if not entry.get('versions') or not os.path.exists(versions_file):
+            continue
+        with open(versions_file, encoding='utf-8') as f:
+            versions = json.load(f).get('versions', {})
+        for version_id in versions:
+            if render_all or is_stale(entry, version_id, charts):
+                jobs.append((entry, version_id))
+
+    if not jobs:
+        print('Alle bilder er oppdatert')
+        return 0
+
+    chrome = find_chrome()
+    handler = functools.partial(QuietHandler, directory=DIRECTORY)
+    server = http.server.ThreadingHTTPServer(('127.0.0.1', 0), handler)
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    base_url = f'http://127.0.0.1:{server.server_address[1]}'
+
+    failed = 0
+    try:
+        for entry, version_id in jobs:
+            try:
+                shot = render(chrome, base_url, entry, version_id)
+                write(snapshot_path(entry, version_id, 'png'), base64.b64decode(shot['png']))
+                write(snapshot_path(entry, version_id, 'svg'), shot['svg'].encode('utf-8'))
+                print(f"[OK] {snapshot_path(entry, version_id, 'png')} (+ .svg)")
+            except Exception as e:
+                failed += 1
+                print(f"[FEIL] {entry['id']}/{version_id}: {e}")
+    finally:
+        server.shutdown()
+
+    print(f'{len(jobs) - failed} av {len(jobs)} versjoner oppdatert')
+    return 1 if failed else 0
+
+
+if __name__ == '__main__':
+    sys.exit(main(sys.argv[1:]))
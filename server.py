@@ -3,22 +3,55 @@
 Simple HTTP server with file save capability for the admin panel.
 Run with: python3 server.py
 Then open: http://localhost:8080/admin.html
+"Logg inn med GitHub" (OAuth device flow) needs an OAuth app with device flow enabled:
+GITHUB_OAUTH_CLIENT_ID=<client id> python3 server.py
 """
 
+import base64
 import http.server
 import json
 import os
+import re
 import subprocess
+import urllib.error
+import urllib.request
 from urllib.parse import urlparse
 
 PORT = 8080
 DIRECTORY = os.path.dirname(os.path.abspath(__file__))
 
+# GitHub OAuth device flow endpoints (no CORS, so the browser goes through this server).
+# The client id of the OAuth app is public; github-auth.js reads it from /github-oauth/config.
+OAUTH_CLIENT_ID = os.environ.get('GITHUB_OAUTH_CLIENT_ID', '')
+OAUTH_SCOPE = os.environ.get('GITHUB_OAUTH_SCOPE', 'repo')
+OAUTH_ENDPOINTS = {
+    '/github-oauth/device-code': 'https://github.com/login/device/code',
+    '/github-oauth/access-token': 'https://github.com/login/oauth/access_token',
+}
+
+# Endpoints that read or write files in the repo. They answer only the admin pages served by this
+# server (same origin, no CORS); requests from other websites open in the browser are refused.
+LOCAL_ORIGINS = {f'http://localhost:{PORT}', f'http://127.0.0.1:{PORT}'}
+LOCAL_ONLY = {'/save-csv', '/save-registry', '/git-push', '/git-log', '/git-show',
+              '/versions-read', '/versions-write'}
+
 class AdminHandler(http.server.SimpleHTTPRequestHandler):
     def __init__(self, *args, **kwargs):
         super().__init__(*args, directory=DIRECTORY, **kwargs)
 
+    def do_GET(self):
+        if self.path == '/github-oauth/config':
+            # Device flow settings for github-auth.js; no client id hides the login button
+            self._send_json(200, {'clientId': OAUTH_CLIENT_ID, 'scope': OAUTH_SCOPE}, cors=True)
+        else:
+            super().do_GET()
+
     def do_POST(self):
+        if self.path in LOCAL_ONLY and not self._is_local_origin():
+            self._send_json(403, {'success': False, 'message': 'Forespørsler fra andre nettsteder er ikke tillatt'})
+            print(f"[AVVIST] {self.path} fra {self.headers.get('Origin')}")
+            return
+
         if self.path == '/save-csv':
             content_length = int(self.headers['Content-Length'])
             post_data = self.rfile.read(content_length)
@@ -30,16 +63,14 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
 
                 filename = data.get('filename', 'data.csv')
 
-                # Determine target directory
-                if folder:
-                    target_dir = os.path.join(DIRECTORY, folder)
-                else:
-                    target_dir = DIRECTORY
+                # Target file, which must be inside the repo (its folder is created for new charts)
+                data_file = os.path.join(DIRECTORY, self._repo_path(os.path.join(folder, filename)))
+                target_dir = os.path.dirname(data_file)
+                os.makedirs(target_dir, exist_ok=True)
 
                 # Backup existing file
-                data_file = os.path.join(target_dir, filename)
                 if os.path.exists(data_file):
-                    name, ext = os.path.splitext(filename)
+                    name, ext = os.path.splitext(os.path.basename(data_file))
                     backup_file = os.path.join(target_dir, f'{name}_backup{ext}')
                     with open(data_file, 'r', encoding='utf-8') as f:
                         with open(backup_file, 'w', encoding='utf-8') as bf:
@@ -51,7 +82,6 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
 
                 self.send_response(200)
                 self.send_header('Content-Type', 'application/json')
-                self.send_header('Access-Control-Allow-Origin', '*')
                 self.end_headers()
                 self.wfile.write(json.dumps({'success': True, 'message': 'Fil lagret!'}).encode())
 
@@ -64,6 +94,25 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
                 self.wfile.write(json.dumps({'success': False, 'message': str(e)}).encode())
                 print(f"[FEIL] {e}")
 
+        elif self.path == '/save-registry':
+            # {registry}: writes charts.json as it is (no _backup copy; git has the history)
+            try:
+                data = self._read_json()
+                registry = data.get('registry')
+                if not isinstance(registry, dict) or not isinstance(registry.get('charts'), list):
+                    raise ValueError('Ugyldig charts.json: mangler "charts"')
+
+                with open(os.path.join(DIRECTORY, 'charts.json'), 'w', encoding='utf-8') as f:
+                    json.dump(registry, f, indent=2, ensure_ascii=False)
+                    f.write('\n')
+
+                self._send_json(200, {'success': True, 'message': 'charts.json lagret!'})
+                print(f"[OK] charts.json lagret ({len(registry['charts'])} grafer)")
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)})
+                print(f"[FEIL] {e}")
+
         elif self.path == '/git-push':
             content_length = int(self.headers['Content-Length'])
             post_data = self.rfile.read(content_length)
@@ -81,11 +130,18 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
                 else:
                     data_file_path = filename
 
+                # Optional list of files to commit together (e.g. charts.json + new data file)
+                files = data.get('files') or [data_file_path]
+                for path in files:
+                    full_path = os.path.realpath(os.path.join(DIRECTORY, path))
+                    if not full_path.startswith(DIRECTORY + os.sep):
+                        raise ValueError(f'Ugyldig filsti: {path}')
+
                 # Run git commands
                 os.chdir(DIRECTORY)
 
                 # Git add
-                result_add = subprocess.run(['git', 'add', data_file_path],
+                result_add = subprocess.run(['git', 'add', '--'] + files,
                                            capture_output=True, text=True, cwd=DIRECTORY)
 
                 # Git commit
@@ -99,7 +155,6 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
                 if result_push.returncode == 0:
                     self.send_response(200)
                     self.send_header('Content-Type', 'application/json')
-                    self.send_header('Access-Control-Allow-Origin', '*')
                     self.end_headers()
                     self.wfile.write(json.dumps({
                         'success': True,
@@ -112,7 +167,6 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
                     if 'nothing to commit' in result_commit.stdout or 'nothing to commit' in result_commit.stderr:
                         self.send_response(200)
                         self.send_header('Content-Type', 'application/json')
-                        self.send_header('Access-Control-Allow-Origin', '*')
                         self.end_headers()
                         self.wfile.write(json.dumps({
                             'success': True,
@@ -121,7 +175,6 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
                     else:
                         self.send_response(500)
                         self.send_header('Content-Type', 'application/json')
-                        self.send_header('Access-Control-Allow-Origin', '*')
                         self.end_headers()
                         self.wfile.write(json.dumps({
                             'success': False,
@@ -132,16 +185,172 @@ class AdminHandler(http.server.SimpleHTTPRequestHandler):
             except Exception as e:
                 self.send_response(500)
                 self.send_header('Content-Type', 'application/json')
-                self.send_header('Access-Control-Allow-Origin', '*')
                 self.end_headers()
                 self.wfile.write(json.dumps({'success': False, 'message': str(e)}).encode())
                 print(f"[FEIL] {e}")
 
+        elif self.path == '/git-log':
+            # Revisions of one file: {path, limit} -> {commits: [{sha, date, author, message}]}
+            try:
+                data = self._read_json()
+                path = self._repo_path(data.get('path', ''))
+                limit = max(1, min(int(data.get('limit', 30)), 200))
+
+                result = subprocess.run(
+                    ['git', 'log', f'-n{limit}', '--format=%H%x1f%aI%x1f%an%x1f%s', '--', path],
+                    capture_output=True, text=True, cwd=DIRECTORY)
+                if result.returncode != 0:
+                    raise ValueError(result.stderr.strip() or 'git log feilet')
+
+                commits = []
+                for line in result.stdout.splitlines():
+                    sha, date, author, message = line.split('\x1f', 3)
+                    commits.append({'sha': sha, 'date': date, 'author': author, 'message': message})
+
+                self._send_json(200, {'success': True, 'commits': commits})
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)})
+                print(f"[FEIL] {e}")
+
+        elif self.path == '/git-show':
+            # File content at a revision: {path, sha} -> {content}
+            try:
+                data = self._read_json()
+                path = self._repo_path(data.get('path', ''))
+                sha = data.get('sha', '')
+                if not re.fullmatch(r'[0-9a-f]{7,40}', sha):
+                    raise ValueError(f'Ugyldig revisjon: {sha}')
+
+                result = subprocess.run(['git', 'show', f'{sha}:{path}'],
+                                        capture_output=True, text=True, cwd=DIRECTORY)
+                if result.returncode != 0:
+                    raise ValueError(result.stderr.strip() or 'git show feilet')
+
+                self._send_json(200, {'success': True, 'content': result.stdout})
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)})
+                print(f"[FEIL] {e}")
+
+        elif self.path == '/versions-read':
+            # Chart versions for VersionManager's local backend: {path} -> {versions}
+            try:
+                data = self._read_json()
+                versions_file = os.path.join(DIRECTORY, self._versions_path(data.get('path', '')))
+                versions = {}
+                if os.path.exists(versions_file):
+                    with open(versions_file, 'r', encoding='utf-8') as f:
+                        versions = json.load(f).get('versions', {})
+
+                self._send_json(200, {'success': True, 'versions': versions})
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)})
+                print(f"[FEIL] {e}")
+
+        elif self.path == '/versions-write':
+            # {path, versions, files}: writes versions.json and the snapshot images next to it
+            # (files: [{path, content, encoding?, delete?}], only under <folder>/snapshots/).
+            # Nothing is committed; use /git-push or git for that.
+            try:
+                data = self._read_json()
+                path = self._versions_path(data.get('path', ''))
+                snapshots_dir = os.path.join(os.path.dirname(path), 'snapshots').replace(os.sep, '/') + '/'
+
+                for file in data.get('files') or []:
+                    file_path = self._repo_path(file.get('path', ''))
+                    if not file_path.startswith(snapshots_dir):
+                        raise ValueError(f'Ugyldig filsti: {file_path}')
+                    full_path = os.path.join(DIRECTORY, file_path)
+                    if file.get('delete'):
+                        if os.path.exists(full_path):
+                            os.remove(full_path)
+                        continue
+                    os.makedirs(os.path.dirname(full_path), exist_ok=True)
+                    if file.get('encoding') == 'base64':
+                        with open(full_path, 'wb') as f:
+                            f.write(base64.b64decode(file.get('content', '')))
+                    else:
+                        with open(full_path, 'w', encoding='utf-8') as f:
+                            f.write(file.get('content', ''))
+
+                os.makedirs(os.path.join(DIRECTORY, os.path.dirname(path)), exist_ok=True)
+                with open(os.path.join(DIRECTORY, path), 'w', encoding='utf-8') as f:
+                    json.dump({'versions': data.get('versions', {})}, f, indent=2, ensure_ascii=False)
+
+                self._send_json(200, {'success': True, 'message': 'Versjoner lagret!'})
+                print(f"[OK] {path} lagret")
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)})
+                print(f"[FEIL] {e}")
+
+        elif self.path in OAUTH_ENDPOINTS:
+            # Forward device flow requests to github.com; only the fields GitHub expects are passed on
+            try:
+                data = self._read_json()
+                fields = {k: data[k] for k in ('client_id', 'scope', 'device_code', 'grant_type') if k in data}
+                fields.setdefault('client_id', OAUTH_CLIENT_ID)
+                request = urllib.request.Request(
+                    OAUTH_ENDPOINTS[self.path],
+                    data=json.dumps(fields).encode(),
+                    headers={'Content-Type': 'application/json', 'Accept': 'application/json'},
+                    method='POST')
+                try:
+                    with urllib.request.urlopen(request, timeout=15) as response:
+                        self._send_json(response.status, json.loads(response.read().decode('utf-8')), cors=True)
+                except urllib.error.HTTPError as e:
+                    self._send_json(e.code, {'success': False, 'message': e.read().decode('utf-8', 'replace')}, cors=True)
+
+            except Exception as e:
+                self._send_json(500, {'success': False, 'message': str(e)}, cors=True)
+                print(f"[FEIL] {e}")
+
         else:
             self.send_response(404)
             self.end_headers()
 
+    def _read_json(self):
+        content_length = int(self.headers['Content-Length'])
+        return json.loads(self.rfile.read(content_length).decode('utf-8'))
+
+    def _send_json(self, status, payload, cors=False):
+        """JSON reply; cors=True only for the OAuth proxy, which pages on other hosts may use."""
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        if cors:
+            self.send_header('Access-Control-Allow-Origin', '*')
+        self.end_headers()
+        self.wfile.write(json.dumps(payload).encode())
+
+    def _is_local_origin(self):
+        """False for browser requests from another website. Browsers send Origin with every POST;
+        requests without it (curl, scripts) are not from a web page."""
+        origin = self.headers.get('Origin')
+        return origin is None or origin in LOCAL_ORIGINS
+
+    def _repo_path(self, path):
+        """Repo-relative path with forward slashes; rejects paths outside DIRECTORY."""
+        full_path = os.path.realpath(os.path.join(DIRECTORY, path))
+        if not path or not full_path.startswith(DIRECTORY + os.sep):
+            raise ValueError(f'Ugyldig filsti: {path}')
+        return os.path.relpath(full_path, DIRECTORY).replace(os.sep, '/')
+
+    def _versions_path(self, path):
+        """Repo path of a versions file (versions.json, or versions_<id>.json as chart-registry.js
+        names them); other files can't be read or written as versions."""
+        path = self._repo_path(path)
+        if not re.fullmatch(r'versions(_[\w-]+)?\.json', os.path.basename(path)):
+            raise ValueError(f'Ugyldig versjonsfil: {path}')
+        return path
+
     def do_OPTIONS(self):
+        # Preflight is only answered for the OAuth proxy; the LOCAL_ONLY endpoints stay same-origin
+        if self.path in LOCAL_ONLY:
+            self.send_response(403)
+            self.end_headers()
+            return
         self.send_response(200)
         self.send_header('Access-Control-Allow-Origin', '*')
         self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
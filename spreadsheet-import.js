@@ -0,0 +1,231 @@
+/**
+ * Spreadsheet Import Module
+ * Reads .xlsx/.xls/.ods workbooks in the browser (SheetJS, loaded from CDN on first use)
+ * and lets the user pick sheet and header row before the admin page's column mapping.
+ * Produces the same { headers, data, errors } shape as CsvParser.parse().
+ */
+
+(function () {
+  'use strict';
+
+  const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+  const EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+  const PREVIEW_ROWS = 8;
+  const MAX_HEADER_ROW = 20;
+
+  let _libPromise = null;
+
+  function loadLibrary() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+    if (_libPromise) return _libPromise;
+
+    _libPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SHEETJS_URL;
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => {
+        _libPromise = null;
+        reject(new Error('Kunne ikke laste Excel-leseren. Sjekk nettilgangen, eller eksporter til CSV.'));
+      };
+      document.head.appendChild(script);
+    });
+    return _libPromise;
+  }
+
+  function isSpreadsheet(file) {
+    const name = file.name.toLowerCase();
+    return EXTENSIONS.some(ext => name.endsWith(ext));
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  // Cell value as text: dates as YYYY-MM-DD, numbers with '.' decimals, errors as empty
+  function cellText(XLSX, cell) {
+    if (!cell) return '';
+    switch (cell.t) {
+      case 'n':
+        if (cell.z && XLSX.SSF.is_date(cell.z)) {
+          const d = XLSX.SSF.parse_date_code(cell.v);
+          return `${d.y}-${pad(d.m)}-${pad(d.d)}`;
+        }
+        return String(cell.v);
+      case 'd':
+        return `${cell.v.getFullYear()}-${pad(cell.v.getMonth() + 1)}-${pad(cell.v.getDate())}`;
+      case 'b':
+        return cell.v ? 'TRUE' : 'FALSE';
+      case 'e':
+      case 'z':
+        return '';
+      default:
+        return String(cell.v).trim();
+    }
+  }
+
+  // All rows of a sheet as arrays of text, trailing empty rows removed
+  function sheetRows(XLSX, sheet) {
+    if (!sheet || !sheet['!ref']) return [];
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const rows = [];
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        row.push(cellText(XLSX, sheet[XLSX.utils.encode_cell({ r: r, c: c })]));
+      }
+      rows.push(row);
+    }
+
+    while (rows.length && rows[rows.length - 1].every(v => v === '')) rows.pop();
+    return rows;
+  }
+
+  /**
+   * Read a workbook file.
+   * @returns {Promise<{fileName: string, sheetNames: string[], rows: function(string): string[][]}>}
+   */
+  async function read(file) {
+    const XLSX = await loadLibrary();
+    const buffer = await file.arrayBuffer();
+    let workbook;
+    try {
+      // cellNF keeps number formats so date cells can be told apart from plain numbers
+      workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+    } catch (e) {
+      throw new Error(`Kunne ikke lese ${file.name}: ${e.message}`);
+    }
+
+    const cache = {};
+    return {
+      fileName: file.name,
+      sheetNames: workbook.SheetNames.slice(),
+      rows(sheetName) {
+        if (!cache[sheetName]) cache[sheetName] = sheetRows(XLSX, workbook.Sheets[sheetName]);
+        return cache[sheetName];
+      }
+    };
+  }
+
+  // First row with at least two filled cells; exports often start with a title row
+  function guessHeaderRow(rows) {
+    const idx = rows.slice(0, MAX_HEADER_ROW).findIndex(row => row.filter(v => v !== '').length >= 2);
+    return idx < 0 ? 0 : idx;
+  }
+
+  /**
+   * Turn sheet rows into a table, using the given row (0-based) as header.
+   * Empty header cells become "Kolonne N"; fully empty rows are skipped.
+   */
+  function toTable(rows, headerRow) {
+    const headerCells = rows[headerRow] || [];
+    const headers = headerCells.map((h, i) => h || `Kolonne ${i + 1}`);
+
+    // Drop trailing unnamed columns that are empty in every row
+    while (headers.length && !headerCells[headers.length - 1] &&
+      rows.slice(headerRow + 1).every(r => !r[headers.length - 1])) {
+      headers.pop();
+    }
+
+    const data = [];
+    rows.slice(headerRow + 1).forEach(cells => {
+      if (cells.every(v => v === '')) return;
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = cells[index] !== undefined ? cells[index] : '';
+      });
+      data.push(row);
+    });
+
+    return { headers: headers, data: data, errors: [] };
+  }
+
+  /**
+   * Show sheet and header-row pickers after `anchor` (the upload zone).
+   * Calls onApply(table, sheetName) when the user confirms.
+   */
+  function showPicker(anchor, workbook, onApply) {
+    hidePicker();
+
+    const panel = document.createElement('div');
+    panel.id = 'sheetPicker';
+    panel.style.marginTop = '1rem';
+    panel.innerHTML = `
+      <p>Velg ark og hvilken rad som inneholder kolonnenavnene i <strong>${escapeHTML(workbook.fileName)}</strong>:</p>
+      <div class="column-mapping">
+        <div class="mapping-item">
+          <label>Ark</label>
+          <span class="arrow">←</span>
+          <select id="sheetSelect">
+            ${workbook.sheetNames.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="mapping-item">
+          <label>Overskriftsrad</label>
+          <span class="arrow">←</span>
+          <select id="headerRowSelect"></select>
+        </div>
+      </div>
+      <div class="data-preview" id="sheetPreview"></div>
+      <div style="margin-top: 1rem;">
+        <button class="btn" id="useSheetBtn">Bruk dette arket</button>
+      </div>
+    `;
+    anchor.insertAdjacentElement('afterend', panel);
+
+    const sheetSelect = panel.querySelector('#sheetSelect');
+    const headerRowSelect = panel.querySelector('#headerRowSelect');
+    const preview = panel.querySelector('#sheetPreview');
+
+    function renderPreview() {
+      const rows = workbook.rows(sheetSelect.value);
+      const table = toTable(rows, parseInt(headerRowSelect.value, 10));
+      let html = `<p>${table.data.length} rader. Første ${Math.min(PREVIEW_ROWS, table.data.length)}:</p><table><thead><tr>`;
+      table.headers.forEach(h => html += `<th>${escapeHTML(h)}</th>`);
+      html += '</tr></thead><tbody>';
+      table.data.slice(0, PREVIEW_ROWS).forEach(row => {
+        html += '<tr>' + table.headers.map(h => `<td>${escapeHTML(row[h])}</td>`).join('') + '</tr>';
+      });
+      html += '</tbody></table>';
+      preview.innerHTML = html;
+    }
+
+    function renderHeaderOptions() {
+      const rows = workbook.rows(sheetSelect.value);
+      const guess = guessHeaderRow(rows);
+      headerRowSelect.innerHTML = rows.slice(0, MAX_HEADER_ROW).map((row, i) => {
+        const summary = row.filter(v => v !== '').slice(0, 4).join(', ');
+        return `<option value="${i}" ${i === guess ? 'selected' : ''}>Rad ${i + 1}: ${escapeHTML(summary.slice(0, 60))}</option>`;
+      }).join('');
+      renderPreview();
+    }
+
+    sheetSelect.addEventListener('change', renderHeaderOptions);
+    headerRowSelect.addEventListener('change', renderPreview);
+    panel.querySelector('#useSheetBtn').addEventListener('click', () => {
+      const rows = workbook.rows(sheetSelect.value);
+      onApply(toTable(rows, parseInt(headerRowSelect.value, 10)), sheetSelect.value);
+    });
+
+    renderHeaderOptions();
+    return panel;
+  }
+
+  function hidePicker() {
+    const panel = document.getElementById('sheetPicker');
+    if (panel) panel.remove();
+  }
+
+  window.SpreadsheetImport = {
+    isSpreadsheet: isSpreadsheet,
+    read: read,
+    toTable: toTable,
+    guessHeaderRow: guessHeaderRow,
+    showPicker: showPicker,
+    hidePicker: hidePicker
+  };
+})();
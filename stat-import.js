@@ -0,0 +1,419 @@
+/**
+ * Stat Import Module
+ * Reads statistics tables from Statistics Norway (SSB) and similar agencies, downloaded as
+ * JSON-stat 2.0 (.json) or PC-Axis (.px), and lets the user choose what to do with each
+ * dimension before the admin page's column mapping: keep it as a column (time, region) or
+ * fix it to one value (e.g. which statistics variable in the contents dimension).
+ * The time dimension becomes a "Tid" column with the SSB code (2024M01, 2024K1, 2024U05, 2024)
+ * plus "År" and "Måned"/"Kvartal"/"Uke" columns, so both date-based and year + period pages
+ * can map it. Values go in a "Verdi" column; missing values (".", "..", null) are empty.
+ * Produces the same { headers, data, errors } shape as CsvParser.parse().
+ */
+
+(function () {
+  'use strict';
+
+  const EXTENSIONS = ['.px', '.json'];
+  const PREVIEW_ROWS = 8;
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
+
+  // Dimension roles guessed from ids and labels when the file does not say
+  const ROLE_PATTERNS = {
+    time: /^(tid|time|år|aar|year|måned|maaned|month|kvartal|quarter|uke|week)$/i,
+    geo: /region|område|omrade|bydel|kommune|fylke|geo/i,
+    metric: /contents|statistikkvariabel/i
+  };
+
+  // PC-Axis codes for missing values
+  const PX_MISSING = ['"."', '".."', '"..."', '"...."', '"....."', '"......"', '"-"', '.', '..', '...', '-'];
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  function isStatFile(file) {
+    const name = file.name.toLowerCase();
+    return EXTENSIONS.some(ext => name.endsWith(ext));
+  }
+
+  function guessRole(id, label) {
+    return Object.keys(ROLE_PATTERNS).find(role => ROLE_PATTERNS[role].test(id) || ROLE_PATTERNS[role].test(label)) || null;
+  }
+
+  /**
+   * A time code as year and period.
+   * @returns {{year: string, unit: string|null, period: number|null}|null} unit 'month' | 'quarter' | 'week'
+   */
+  function parseTime(code) {
+    const str = String(code).trim();
+    let match = str.match(/^(\d{4})\s*M\s*(\d{1,2})$/i);
+    if (match) return { year: match[1], unit: 'month', period: parseInt(match[2], 10) };
+    match = str.match(/^(\d{4})\s*[KQ]\s*(\d)$/i);
+    if (match) return { year: match[1], unit: 'quarter', period: parseInt(match[2], 10) };
+    match = str.match(/^(\d{4})\s*[UW]\s*(\d{1,2})$/i);
+    if (match) return { year: match[1], unit: 'week', period: parseInt(match[2], 10) };
+    match = str.match(/^(\d{4})$/);
+    if (match) return { year: match[1], unit: null, period: null };
+    return null;
+  }
+
+  // ---- JSON-stat 2.0 ----
+
+  function parseJsonStat(json, fileName) {
+    if (!json || json.class !== 'dataset' || !Array.isArray(json.id) || !Array.isArray(json.size)) {
+      throw new Error(`${fileName} er ikke et JSON-stat 2.0-datasett`);
+    }
+
+    const roles = json.role || {};
+    const dimensions = json.id.map((id, d) => {
+      const dim = json.dimension[id];
+      const category = dim.category || {};
+      let codes;
+      if (Array.isArray(category.index)) codes = category.index.slice();
+      else if (category.index) codes = Object.keys(category.index).sort((a, b) => category.index[a] - category.index[b]);
+      else codes = Object.keys(category.label || {});
+      if (codes.length !== json.size[d]) throw new Error(`Dimensjonen ${id} har ${codes.length} verdier, men størrelsen er ${json.size[d]}`);
+
+      const role = Object.keys(roles).find(r => (roles[r] || []).includes(id));
+      const label = dim.label || id;
+      return {
+        id: id,
+        label: label,
+        role: role === 'time' || role === 'geo' || role === 'metric' ? role : guessRole(id, label),
+        categories: codes.map(code => ({ code: code, label: (category.label && category.label[code]) || code }))
+      };
+    });
+
+    // value is an array, or an object { index: value } for sparse datasets
+    const total = json.size.reduce((a, b) => a * b, 1);
+    const values = new Array(total).fill(null);
+    if (Array.isArray(json.value)) json.value.forEach((v, i) => values[i] = v);
+    else Object.keys(json.value || {}).forEach(i => values[parseInt(i, 10)] = json.value[i]);
+
+    return { fileName: fileName, format: 'JSON-stat', label: json.label || fileName, dimensions: dimensions, values: values };
+  }
+
+  // ---- PC-Axis ----
+
+  // Split a .px file into statements: { keyword, language, subkey, value } with value unparsed
+  function pxStatements(text) {
+    const statements = [];
+    let i = 0;
+    while (i < text.length) {
+      const eq = text.indexOf('=', i);
+      if (eq < 0) break;
+      const head = text.slice(i, eq).trim();
+
+      // The value ends at the first ';' outside quotes
+      let j = eq + 1;
+      let quoted = false;
+      while (j < text.length && (quoted || text[j] !== ';')) {
+        if (text[j] === '"') quoted = !quoted;
+        j++;
+      }
+
+      const match = head.match(/^([A-Z0-9-]+)(?:\[([^\]]+)\])?(?:\("(.*)"\))?$/i);
+      if (match) {
+        statements.push({ keyword: match[1].toUpperCase(), language: match[2] || null, subkey: match[3] || null, value: text.slice(eq + 1, j) });
+      }
+      i = j + 1;
+    }
+    return statements;
+  }
+
+  // "a","b" or "long ""quoted"" text" split over lines → ['a', 'b']
+  function pxList(value) {
+    const items = [];
+    const re = /"((?:[^"]|"")*)"(\s*"(?:[^"]|"")*")*|([^,\s][^,]*)/g;
+    let match;
+    while ((match = re.exec(value)) !== null) {
+      if (match[3] !== undefined) {
+        items.push(match[3].trim());
+        continue;
+      }
+      // Strings on consecutive lines are one string
+      const parts = match[0].match(/"((?:[^"]|"")*)"/g).map(p => p.slice(1, -1).replace(/""/g, '"'));
+      items.push(parts.join(''));
+    }
+    return items;
+  }
+
+  function parsePx(text, fileName) {
+    // Keywords in other languages (KEYWORD[en]) are skipped; the default language is used
+    const statements = pxStatements(text).filter(s => !s.language);
+    const first = keyword => statements.find(s => s.keyword === keyword);
+    const bySubkey = keyword => {
+      const map = {};
+      statements.filter(s => s.keyword === keyword && s.subkey).forEach(s => map[s.subkey] = s);
+      return map;
+    };
+
+    const stub = first('STUB') ? pxList(first('STUB').value) : [];
+    const heading = first('HEADING') ? pxList(first('HEADING').value) : [];
+    const data = first('DATA');
+    if (!stub.length && !heading.length) throw new Error(`${fileName} mangler STUB og HEADING`);
+    if (!data) throw new Error(`${fileName} mangler DATA`);
+
+    const valuesOf = bySubkey('VALUES');
+    const codesOf = bySubkey('CODES');
+    const timeVariables = Object.keys(bySubkey('TIMEVAL'));
+    const contVariable = first('CONTVARIABLE') ? pxList(first('CONTVARIABLE').value)[0] : null;
+
+    const dimensions = stub.concat(heading).map(name => {
+      if (!valuesOf[name]) throw new Error(`${fileName} mangler VALUES for ${name}`);
+      const labels = pxList(valuesOf[name].value);
+      const codes = codesOf[name] ? pxList(codesOf[name].value) : labels;
+      let role = guessRole(name, name);
+      if (timeVariables.includes(name)) role = 'time';
+      else if (name === contVariable) role = 'metric';
+      return {
+        id: name,
+        label: name,
+        role: role,
+        categories: labels.map((label, i) => ({ code: codes[i] || label, label: label }))
+      };
+    });
+
+    // Stub variables first, then heading variables; the last one varies fastest (as in JSON-stat)
+    const total = dimensions.reduce((n, dim) => n * dim.categories.length, 1);
+    const cells = data.value.trim().split(/[\s,]+/).filter(Boolean);
+    if (cells.length !== total) throw new Error(`${fileName} har ${cells.length} dataverdier, men ${total} var ventet`);
+    const values = cells.map(cell => PX_MISSING.includes(cell) ? null : parseFloat(cell.replace(/"/g, '')));
+
+    const title = first('TITLE') || first('CONTENTS');
+    return {
+      fileName: fileName,
+      format: 'PC-Axis',
+      label: title ? pxList(title.value).join(' ') : fileName,
+      dimensions: dimensions,
+      values: values.map(v => Number.isNaN(v) ? null : v)
+    };
+  }
+
+  // .px files are ANSI (Windows-1252) unless CODEPAGE says otherwise
+  function decodePx(buffer) {
+    const ansi = new TextDecoder('windows-1252').decode(buffer);
+    const codepage = ansi.match(/CODEPAGE\s*=\s*"([^"]+)"/i);
+    if (codepage && /utf-?8/i.test(codepage[1])) return new TextDecoder('utf-8').decode(buffer);
+    return ansi;
+  }
+
+  /**
+   * Read a JSON-stat or PC-Axis file.
+   * @returns {Promise<{fileName: string, format: string, label: string,
+   *   dimensions: Array<{id: string, label: string, role: string|null, categories: Array<{code: string, label: string}>}>,
+   *   values: Array<number|null>}>} values in row-major order, last dimension fastest
+   */
+  async function read(file) {
+    if (file.name.toLowerCase().endsWith('.px')) {
+      return parsePx(decodePx(await file.arrayBuffer()), file.name);
+    }
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error(`Kunne ikke lese ${file.name}: ${e.message}`);
+    }
+    return parseJsonStat(json, file.name);
+  }
+
+  /**
+   * Default choice per dimension: time and region (and anything else with more than one value
+   * that is not the contents dimension) as columns; the rest fixed to their first value.
+   * @returns {Object} { dimensionId: null (column) | categoryCode }
+   */
+  function defaultSelection(dataset) {
+    const selection = {};
+    dataset.dimensions.forEach(dim => {
+      const asColumn = dim.role === 'time' || dim.role === 'geo' || (dim.role !== 'metric' && dim.categories.length > 1);
+      selection[dim.id] = asColumn ? null : dim.categories[0].code;
+    });
+    return selection;
+  }
+
+  // Column names for a kept dimension; the time dimension gets derived year and period columns
+  function columnsFor(dim, used) {
+    const unique = name => {
+      let result = name;
+      let i = 2;
+      while (used.includes(result)) result = `${name} ${i++}`;
+      used.push(result);
+      return result;
+    };
+    if (dim.role !== 'time') return { main: unique(dim.label) };
+    return { main: unique('Tid'), year: unique('År'), month: unique('Måned'), quarter: unique('Kvartal'), week: unique('Uke') };
+  }
+
+  /**
+   * Long table from a dataset: one row per combination of the dimensions kept as columns,
+   * with the other dimensions fixed to the chosen value.
+   * @param {Object} dataset - From read()
+   * @param {Object} selection - From defaultSelection(), { dimensionId: null | categoryCode }
+   */
+  function toTable(dataset, selection) {
+    const dims = dataset.dimensions;
+    const used = ['Verdi'];
+    const kept = dims.filter(dim => selection[dim.id] === null || selection[dim.id] === undefined);
+    const columns = {};
+    kept.forEach(dim => columns[dim.id] = columnsFor(dim, used));
+
+    // Strides for the flat value index
+    const strides = [];
+    let stride = 1;
+    for (let d = dims.length - 1; d >= 0; d--) {
+      strides[d] = stride;
+      stride *= dims[d].categories.length;
+    }
+
+    // Unused period columns (no monthly codes in the file, say) are left out
+    const periodUnits = new Set();
+    const timeDim = kept.find(dim => dim.role === 'time');
+    if (timeDim) timeDim.categories.forEach(c => {
+      const t = parseTime(c.code);
+      if (t && t.unit) periodUnits.add(t.unit);
+    });
+
+    const headers = [];
+    kept.forEach(dim => {
+      const c = columns[dim.id];
+      // Derived columns first: the mapping pages pick the last matching column, and "Tid"
+      // is the better date column where "Måned" would match too
+      if (dim.role === 'time') {
+        headers.push(c.year);
+        if (periodUnits.has('month')) headers.push(c.month);
+        if (periodUnits.has('quarter')) headers.push(c.quarter);
+        if (periodUnits.has('week')) headers.push(c.week);
+      }
+      headers.push(c.main);
+    });
+    headers.push('Verdi');
+
+    const fixedOffset = dims.reduce((offset, dim, d) => {
+      if (kept.includes(dim)) return offset;
+      const idx = dim.categories.findIndex(c => c.code === selection[dim.id]);
+      if (idx < 0) throw new Error(`Ukjent verdi for ${dim.label}: ${selection[dim.id]}`);
+      return offset + idx * strides[d];
+    }, 0);
+
+    const data = [];
+    const combo = kept.map(() => 0);
+    const count = kept.reduce((n, dim) => n * dim.categories.length, 1);
+    for (let n = 0; n < count; n++) {
+      const row = {};
+      let index = fixedOffset;
+      kept.forEach((dim, k) => {
+        const category = dim.categories[combo[k]];
+        const c = columns[dim.id];
+        index += combo[k] * strides[dims.indexOf(dim)];
+        if (dim.role !== 'time') {
+          row[c.main] = category.label;
+          return;
+        }
+        const t = parseTime(category.code);
+        row[c.main] = t ? category.code : category.label;
+        row[c.year] = t ? t.year : '';
+        if (periodUnits.has('month')) row[c.month] = t && t.unit === 'month' ? MONTHS[t.period - 1] || '' : '';
+        if (periodUnits.has('quarter')) row[c.quarter] = t && t.unit === 'quarter' ? `K${t.period}` : '';
+        if (periodUnits.has('week')) row[c.week] = t && t.unit === 'week' ? String(t.period) : '';
+      });
+      const value = dataset.values[index];
+      row.Verdi = value === null || value === undefined ? '' : String(value);
+      data.push(row);
+
+      // Next combination, last kept dimension fastest
+      for (let k = kept.length - 1; k >= 0; k--) {
+        combo[k]++;
+        if (combo[k] < kept[k].categories.length) break;
+        combo[k] = 0;
+      }
+    }
+
+    return { headers: headers, data: data, errors: [] };
+  }
+
+  /**
+   * Show a column-or-value choice per dimension after `anchor` (the upload zone).
+   * Calls onApply(table, dataset) when the user confirms.
+   */
+  function showPicker(anchor, dataset, onApply) {
+    hidePicker();
+
+    const roleNames = { time: 'tid', geo: 'region', metric: 'innhold' };
+    const panel = document.createElement('div');
+    panel.id = 'statPicker';
+    panel.style.marginTop = '1rem';
+    panel.innerHTML = `
+      <p><strong>${escapeHTML(dataset.label)}</strong> (${escapeHTML(dataset.format)}).
+        Velg hvilke dimensjoner som skal bli kolonner, og hvilken verdi de andre skal ha:</p>
+      <div class="column-mapping">
+        ${dataset.dimensions.map((dim, d) => `
+        <div class="mapping-item">
+          <label>${escapeHTML(dim.label)}${dim.role ? ` (${roleNames[dim.role]})` : ''}</label>
+          <span class="arrow">←</span>
+          <select data-dim="${d}">
+            <option value="">Egen kolonne (${dim.categories.length} verdier)</option>
+            ${dim.categories.map(c => `<option value="${escapeHTML(c.code)}">${escapeHTML(c.label)}</option>`).join('')}
+          </select>
+        </div>`).join('')}
+      </div>
+      <div class="data-preview" id="statPreview"></div>
+      <div style="margin-top: 1rem;">
+        <button class="btn" id="useStatBtn">Bruk disse dimensjonene</button>
+      </div>
+    `;
+    anchor.insertAdjacentElement('afterend', panel);
+
+    const selects = Array.from(panel.querySelectorAll('select[data-dim]'));
+    const preview = panel.querySelector('#statPreview');
+    const initial = defaultSelection(dataset);
+    selects.forEach(select => {
+      const dim = dataset.dimensions[parseInt(select.dataset.dim, 10)];
+      select.value = initial[dim.id] === null ? '' : initial[dim.id];
+    });
+
+    function currentSelection() {
+      const selection = {};
+      selects.forEach(select => {
+        selection[dataset.dimensions[parseInt(select.dataset.dim, 10)].id] = select.value === '' ? null : select.value;
+      });
+      return selection;
+    }
+
+    function renderPreview() {
+      const table = toTable(dataset, currentSelection());
+      let html = `<p>${table.data.length} rader. Første ${Math.min(PREVIEW_ROWS, table.data.length)}:</p><table><thead><tr>`;
+      table.headers.forEach(h => html += `<th>${escapeHTML(h)}</th>`);
+      html += '</tr></thead><tbody>';
+      table.data.slice(0, PREVIEW_ROWS).forEach(row => {
+        html += '<tr>' + table.headers.map(h => `<td>${escapeHTML(row[h])}</td>`).join('') + '</tr>';
+      });
+      html += '</tbody></table>';
+      preview.innerHTML = html;
+    }
+
+    selects.forEach(select => select.addEventListener('change', renderPreview));
+    panel.querySelector('#useStatBtn').addEventListener('click', () => {
+      onApply(toTable(dataset, currentSelection()), dataset);
+    });
+
+    renderPreview();
+    return panel;
+  }
+
+  function hidePicker() {
+    const panel = document.getElementById('statPicker');
+    if (panel) panel.remove();
+  }
+
+  window.StatImport = {
+    isStatFile: isStatFile,
+    read: read,
+    parseJsonStat: parseJsonStat,
+    parsePx: parsePx,
+    parseTime: parseTime,
+    defaultSelection: defaultSelection,
+    toTable: toTable,
+    showPicker: showPicker,
+    hidePicker: hidePicker
+  };
+})();
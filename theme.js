@@ -0,0 +1,156 @@
+/**
+ * Theme Module
+ * Named themes for the public charts and the generators, one file each in themes/<id>.json:
+ * font, page and plot colors, named series colors and the sequential and categorical palettes.
+ * A theme can extend another ("extends": "light") and only list what differs.
+ * Versions store the theme id (theme: 'dark'); the colors are read from the theme file when the
+ * chart is drawn, so editing a theme file restyles every chart that uses it.
+ * base ('dark' | 'light') picks the generator toolbar style and the page class.
+ * Used by chart-runtime.js (loaded on demand) and the generators.
+ */
+
+(function () {
+  'use strict';
+
+  const THEMES = [
+    { id: 'dark', name: 'Mørk' },
+    { id: 'light', name: 'Lys' },
+    { id: 'print', name: 'Trykk' },
+    { id: 'partner', name: 'Partner' }
+  ];
+
+  const DEFAULT = 'dark';
+
+  // Theme files sit next to this script, so pages in subfolders find them too
+  const ROOT_URL = document.currentScript && document.currentScript.src ? new URL('.', document.currentScript.src).href : '';
+
+  // CSS custom properties set by applyPage(), read by the page and capture-area styles
+  const CSS_VARS = {
+    '--bg': t => t.colors.bg,
+    '--text': t => t.colors.text,
+    '--muted': t => t.colors.secondary,
+    '--subtle': t => t.colors.subtle,
+    '--font': t => t.font.family
+  };
+
+  const cache = {};
+
+  function exists(id) {
+    return THEMES.some(t => t.id === id);
+  }
+
+  // Known theme id, or the default (versions saved before themes had ids only use 'dark' and 'light')
+  function resolveId(id) {
+    return exists(id) ? id : DEFAULT;
+  }
+
+  // Objects are merged key by key, everything else (arrays too) replaces the inherited value
+  function merge(base, override) {
+    const result = Object.assign({}, base);
+    Object.keys(override).forEach(key => {
+      const value = override[key];
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isObject && base[key] && typeof base[key] === 'object' ? merge(base[key], value) : value;
+    });
+    return result;
+  }
+
+  function fetchTheme(id, seen) {
+    if (seen.includes(id)) return Promise.reject(new Error(`Temaet ${id} arver fra seg selv`));
+    return fetch(`${ROOT_URL}themes/${id}.json`)
+      .then(r => {
+        if (!r.ok) throw new Error(`Fant ikke temaet ${id}`);
+        return r.json();
+      })
+      .then(json => {
+        if (!json.extends) return json;
+        return fetchTheme(json.extends, seen.concat(id)).then(parent => merge(parent, json));
+      });
+  }
+
+  /**
+   * Load a theme (cached). Unknown ids give the default theme.
+   * @param {string} id
+   * @returns {Promise<Object>} The theme with id and name; extends is resolved
+   */
+  function load(id) {
+    const themeId = resolveId(id);
+    if (!cache[themeId]) {
+      cache[themeId] = fetchTheme(themeId, [])
+        .then(theme => {
+          const resolved = Object.assign(theme, { id: themeId, name: THEMES.find(t => t.id === themeId).name });
+          delete resolved.extends;
+          return resolved;
+        })
+        .catch(err => {
+          delete cache[themeId];
+          throw err;
+        });
+    }
+    return cache[themeId];
+  }
+
+  function hexToRgba(hex, opacity) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  }
+
+  /**
+   * Palette colors as rgba() with the chosen bar opacity plus the theme's opacityBoost
+   * (light backgrounds need stronger bars). Unknown palette ids give the theme's default palette.
+   * @param {Object} theme - From load()
+   * @param {string} paletteId - Key in palettes.sequential or palettes.categorical
+   * @param {number} opacity - 0..1
+   */
+  function palette(theme, paletteId, opacity) {
+    const palettes = Object.assign({}, theme.palettes.sequential, theme.palettes.categorical);
+    const colors = palettes[paletteId] || palettes.default;
+    const alpha = Math.min(opacity + (theme.opacityBoost || 0), 1);
+    return colors.map(c => hexToRgba(c, Math.round(alpha * 100) / 100));
+  }
+
+  /**
+   * Apply a theme to the page around a chart: CSS custom properties on root (--bg, --text,
+   * --muted, --subtle, --font) and the theme's base ('dark' | 'light') as the body class.
+   * @param {Object} theme
+   * @param {HTMLElement} [root=document.documentElement]
+   */
+  function applyPage(theme, root) {
+    const el = root || document.documentElement;
+    Object.keys(CSS_VARS).forEach(name => el.style.setProperty(name, CSS_VARS[name](theme)));
+    document.body.classList.remove('dark', 'light');
+    document.body.classList.add(theme.base);
+  }
+
+  // Undo applyPage()
+  function resetPage(root) {
+    const el = root || document.documentElement;
+    Object.keys(CSS_VARS).forEach(name => el.style.removeProperty(name));
+  }
+
+  // Fill a <select> with the theme names
+  function fillSelect(select) {
+    select.innerHTML = '';
+    THEMES.forEach(t => {
+      const option = document.createElement('option');
+      option.value = t.id;
+      option.textContent = t.name;
+      select.appendChild(option);
+    });
+    select.value = DEFAULT;
+  }
+
+  window.Theme = {
+    THEMES: THEMES,
+    DEFAULT: DEFAULT,
+    exists: exists,
+    resolveId: resolveId,
+    load: load,
+    palette: palette,
+    applyPage: applyPage,
+    resetPage: resetPage,
+    fillSelect: fillSelect
+  };
+})();
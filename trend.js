@@ -0,0 +1,164 @@
+/**
+ * Trend Module
+ * Trend overlays for the volume charts, computed from the monthly or weekly counts:
+ * centered or trailing moving average over a chosen window, and a seasonally adjusted series
+ * (classical multiplicative decomposition: the seasonal factor of a month/week is its average
+ * ratio to the centered 12-month/52-week moving average, normalised to a mean of 1).
+ * Stored in the version config as trend: { type, window }.
+ * Used by the volum generators, chart-generer.html and chart-runtime.js (year-bars, market-12m).
+ */
+
+(function () {
+  'use strict';
+
+  const TYPES = {
+    none: { name: 'Ingen' },
+    centered: { name: 'Glidende snitt (sentrert)', short: 'snitt' },
+    trailing: { name: 'Glidende snitt (bakover)', short: 'snitt' },
+    seasonal: { name: 'Sesongjustert', short: 'sesongj.' }
+  };
+
+  // Season length and default moving-average window per period
+  const PERIODS = {
+    month: { seasons: 12, window: 3, unit: 'mnd' },
+    week: { seasons: 52, window: 4, unit: 'uker' }
+  };
+
+  const valid = v => v !== null && v !== undefined && Number.isFinite(v);
+
+  function periodOf(period) {
+    return PERIODS[period] || PERIODS.month;
+  }
+
+  // { type, window } with unknown types as 'none' and the window clamped to 2..seasons
+  function normalize(trend, period) {
+    const p = periodOf(period);
+    const type = trend && TYPES[trend.type] ? trend.type : 'none';
+    const window = parseInt(trend && trend.window, 10);
+    return {
+      type: type,
+      window: Number.isNaN(window) ? p.window : Math.min(Math.max(window, 2), p.seasons)
+    };
+  }
+
+  function isActive(trend) {
+    return normalize(trend).type !== 'none';
+  }
+
+  /**
+   * Moving average. Points whose window has a gap (or runs past the series) are null.
+   * Centered windows of even length use the usual 2×w average (half weight at both ends).
+   */
+  function movingAverage(values, window, centered) {
+    return values.map((_, i) => {
+      let from, to;
+      if (!centered) {
+        from = i - window + 1;
+        to = i;
+      } else {
+        from = i - Math.floor(window / 2);
+        to = i + Math.floor(window / 2);
+      }
+      if (from < 0 || to >= values.length) return null;
+
+      let sum = 0;
+      for (let j = from; j <= to; j++) {
+        if (!valid(values[j])) return null;
+        const edge = centered && window % 2 === 0 && (j === from || j === to);
+        sum += edge ? values[j] / 2 : values[j];
+      }
+      return sum / window;
+    });
+  }
+
+  /**
+   * Seasonally adjusted series: each value divided by its season's factor.
+   * @param {Array<number|null>} values - Consecutive periods
+   * @param {number[]} seasonOf - Season index (0..seasons-1) per value
+   * @param {number} seasons - Season length (12 or 52)
+   * @returns {Array<number|null>} All null with less than two full seasons of data
+   */
+  function seasonalAdjust(values, seasonOf, seasons) {
+    if (values.filter(valid).length < seasons * 2) return values.map(() => null);
+
+    const trend = movingAverage(values, seasons, true);
+    const ratios = Array.from({ length: seasons }, () => []);
+    values.forEach((v, i) => {
+      if (valid(v) && valid(trend[i]) && trend[i] > 0) ratios[seasonOf[i]].push(v / trend[i]);
+    });
+
+    const raw = ratios.map(r => r.length ? r.reduce((a, b) => a + b, 0) / r.length : null);
+    const known = raw.filter(valid);
+    const mean = known.reduce((a, b) => a + b, 0) / known.length;
+    const factors = raw.map(f => valid(f) ? f / mean : null);
+
+    return values.map((v, i) => valid(v) && valid(factors[seasonOf[i]]) && factors[seasonOf[i]] > 0
+      ? v / factors[seasonOf[i]] : null);
+  }
+
+  /**
+   * Trend of a consecutive series.
+   * @param {Array<number|null>} values
+   * @param {{type: string, window?: number}} trend
+   * @param {number[]} seasonOf - Season index per value (only used for 'seasonal')
+   * @param {string} period - 'month' | 'week'
+   */
+  function compute(values, trend, seasonOf, period) {
+    const t = normalize(trend, period);
+    if (t.type === 'centered' || t.type === 'trailing') return movingAverage(values, t.window, t.type === 'centered');
+    if (t.type === 'seasonal') return seasonalAdjust(values, seasonOf, periodOf(period).seasons);
+    return values.map(() => null);
+  }
+
+  /**
+   * Trend for a year × period table ({ year: { key: count } }), as a table of the same shape.
+   * The counts are read as one series from the first to the last period with data; week 53 is
+   * only part of the series in years that have it, and shares its season with week 52.
+   * @param {Object} dataByYear
+   * @param {Array<string|number>} keys - Periods in order (month keys or week numbers)
+   */
+  function forYearTable(dataByYear, keys, trend, period) {
+    const points = [];
+    Object.keys(dataByYear).sort().forEach(year => {
+      keys.forEach((key, idx) => {
+        const value = dataByYear[year][key];
+        const present = valid(value);
+        if (!present && period === 'week' && idx >= 52) return;
+        points.push({ year: year, key: key, value: present ? value : null, season: Math.min(idx, periodOf(period).seasons - 1) });
+      });
+    });
+    while (points.length && points[points.length - 1].value === null) points.pop();
+
+    const values = compute(points.map(p => p.value), trend, points.map(p => p.season), period);
+    const result = {};
+    Object.keys(dataByYear).forEach(year => result[year] = {});
+    points.forEach((p, i) => result[p.year][p.key] = values[i]);
+    return result;
+  }
+
+  // Legend / caption text, e.g. "Glidende snitt, 3 mnd (sentrert)" or "Sesongjustert"
+  function label(trend, period) {
+    const t = normalize(trend, period);
+    if (t.type === 'centered') return `Glidende snitt, ${t.window} ${periodOf(period).unit} (sentrert)`;
+    if (t.type === 'trailing') return `Glidende snitt, ${t.window} ${periodOf(period).unit}`;
+    return TYPES[t.type].name;
+  }
+
+  // Prefix for the trend value in tooltips, e.g. "sesongj. 1 234"
+  function shortLabel(trend) {
+    return TYPES[normalize(trend).type].short || '';
+  }
+
+  window.Trend = {
+    TYPES: TYPES,
+    PERIODS: PERIODS,
+    normalize: normalize,
+    isActive: isActive,
+    movingAverage: movingAverage,
+    seasonalAdjust: seasonalAdjust,
+    compute: compute,
+    forYearTable: forYearTable,
+    label: label,
+    shortLabel: shortLabel
+  };
+})();
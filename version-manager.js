@@ -1,41 +1,34 @@
 /**
  * Version Manager Module
- * Manages chart versions stored in versions.json files on GitHub.
+ * Manages chart versions stored in versions.json files. Where they are written depends on the
+ * storage backend, chosen from the host like github-save.js does:
+ * - github: commits via github-commit.js, or a pull request in "send til godkjenning" mode via
+ *   github-review.js (GitHub Pages and other hosts)
+ * - local: the files on disk through server.py (/versions-read, /versions-write) on localhost;
+ *   commit and push them yourself
+ * - memory: in the browser only (localStorage), for testing without a server or GitHub
+ * init({ backend }) or VersionManager.setBackend() overrides the choice.
+ * Saving a version also stores PNG and SVG snapshots of the preview chart (chart-snapshot.js),
+ * at <versions folder>/snapshots/<chart>/<version>.png|svg; render_snapshots.py keeps them current.
+ * Links and embed code point to the site the backend publishes to.
+ * With init({ kind }) and config-schema.js on the page, configs are upgraded to the kind's current
+ * schema when a version is loaded, saved configs are stamped with schemaVersion, and
+ * "Oppgrader alle versjoner" rewrites every outdated version in versions.json in one commit.
  * Each generer.html page includes this and calls VersionManager.init() with chart-specific config.
  */
 
 (function () {
   'use strict';
 
-  const GITHUB_TOKEN_KEY = 'github_pat';
   const GITHUB_PAGES_BASE = 'https://tskjelde-bit.github.io/grafer';
   const OWNER = 'tskjelde-bit';
   const REPO = 'grafer';
 
-  function getToken() {
-    return localStorage.getItem(GITHUB_TOKEN_KEY) || '';
-  }
-
-  // UTF-8 safe base64 encoding
-  function utf8ToBase64(str) {
-    const encoder = new TextEncoder();
-    const bytes = encoder.encode(str);
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-      binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
-  }
+  const isGitHubPages = window.location.hostname.endsWith('.github.io');
+  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
 
-  // UTF-8 safe base64 decoding
-  function base64ToUtf8(base64) {
-    const binary = atob(base64.replace(/\n/g, ''));
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    return new TextDecoder().decode(bytes);
-  }
+  // Repo root as served to this page (this script sits in the root)
+  const ROOT_URL = document.currentScript && document.currentScript.src ? new URL('.', document.currentScript.src).href : '';
 
   function slugify(name) {
     return name
@@ -48,6 +41,10 @@
       .replace(/^-|-$/g, '');
   }
 
+  function escapeAttr(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
   function uniqueSlug(slug, existingIds) {
     if (!existingIds.includes(slug)) return slug;
     let i = 2;
@@ -55,68 +52,172 @@
     return `${slug}-${i}`;
   }
 
-  async function getFileFromGitHub(path, token) {
-    const resp = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${path}?ref=main`, {
-      headers: { 'Authorization': `token ${token}` }
-    });
-    if (resp.status === 404) return null;
-    if (!resp.ok) throw new Error(`Kunne ikke hente fil: ${resp.status}`);
-    const data = await resp.json();
-    return {
-      sha: data.sha,
-      content: base64ToUtf8(data.content)
-    };
+  async function postJSON(url, body) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (e) {
+      resp = null;
+    }
+    // A plain static server answers POST with 404 or 501
+    if (!resp || resp.status === 404 || resp.status === 501) {
+      throw new Error('Lokal lagring av versjoner krever at siden kjøres via server.py.');
+    }
+    const result = await resp.json().catch(() => ({}));
+    if (!resp.ok || !result.success) throw new Error(result.message || `Serverfeil: ${resp.status}`);
+    return result;
   }
 
-  async function saveFileToGitHub(path, content, message, token, sha) {
-    const body = {
-      message: message,
-      content: utf8ToBase64(content),
-      branch: 'main'
-    };
-    if (sha) body.sha = sha;
-
-    const resp = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${path}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `token ${token}`,
-        'Content-Type': 'application/json'
+  // ---- Storage backends ----
+  // commit({ path, message, summary, change, extraFiles }) applies change() to the latest
+  // versions at path, stores the result together with extraFiles() (snapshot images) and
+  // resolves to { result, renamed, publish }; publish is GitHubReview.publish()'s result or null.
+  // siteUrl() is the site root that public links and embed code point to.
+
+  const BACKENDS = {
+    github: {
+      label: 'GitHub',
+      usesGitHub: true,
+
+      siteUrl() {
+        return isGitHubPages && ROOT_URL ? ROOT_URL : `${GITHUB_PAGES_BASE}/`;
+      },
+
+      // If versions.json changed on GitHub before the commit lands, our change is merged into
+      // the newer file by version id. A new version whose id was taken meanwhile would be renamed,
+      // but its snapshot images are already named after the old id; the commit is then refused
+      // and the save can be repeated with a free id. In "send til godkjenning" mode the commit
+      // goes to a pull request, and the list keeps showing the published versions until it is merged.
+      async commit({ path, message, summary, change, extraFiles }) {
+        const token = GitHubAuth.getToken();
+        if (!token) throw new Error('Ikke logget inn. Åpne "GitHub-tilgang" under versjonslisten.');
+
+        const file = await GitHubCommit.readFile(OWNER, REPO, path, { token: token });
+        const base = file ? (JSON.parse(file.content).versions || {}) : {};
+        const ours = change(JSON.parse(JSON.stringify(base)));
+        const files = extraFiles ? await extraFiles() : [];
+        let merge = null;
+
+        const publish = await GitHubReview.publish({
+          owner: OWNER,
+          repo: REPO,
+          token: token,
+          message: message,
+          summary: typeof summary === 'function' ? () => summary(merge.renamed) : summary,
+          files: [{
+            path: path,
+            update: current => {
+              const theirs = current ? (JSON.parse(current).versions || {}) : {};
+              merge = GitHubCommit.mergeById(base, ours, theirs);
+              if (files.length && Object.keys(merge.renamed).length) {
+                throw new Error('Noen andre lagret en versjon med samme navn samtidig. Lagre på nytt.');
+              }
+              return JSON.stringify({ versions: merge.result }, null, 2);
+            }
+          }].concat(files)
+        });
+        return { result: merge.result, renamed: merge.renamed, publish: publish };
+      }
+    },
+
+    // The files are written to disk as they are; nobody else writes them meanwhile
+    local: {
+      label: 'lokalt via server.py',
+      usesGitHub: false,
+
+      siteUrl() {
+        return ROOT_URL || `${window.location.origin}/`;
+      },
+
+      async commit({ path, change, extraFiles }) {
+        const latest = (await postJSON('/versions-read', { path: path })).versions;
+        const result = change(latest);
+        const files = extraFiles ? await extraFiles() : [];
+        await postJSON('/versions-write', { path: path, versions: result, files: files });
+        return { result: result, renamed: {}, publish: null };
+      }
+    },
+
+    // Starts from the versions the page loaded; no snapshot images
+    memory: {
+      label: 'kun i nettleseren (test)',
+      usesGitHub: false,
+
+      siteUrl() {
+        return ROOT_URL || `${window.location.origin}/`;
       },
-      body: JSON.stringify(body)
-    });
-
-    if (!resp.ok) {
-      const err = await resp.json().catch(() => ({}));
-      if (resp.status === 401) throw new Error('Ugyldig eller utløpt token. Oppdater token i innstillinger.');
-      if (resp.status === 409) throw new Error('Konflikt – filen ble endret av andre. Prøv igjen.');
-      if (resp.status === 422) throw new Error('Filen ble endret siden sist. Last inn siden på nytt og prøv igjen.');
-      throw new Error(err.message || `GitHub API feil: ${resp.status}`);
+
+      async commit({ path, change }) {
+        const key = `versions-memory-${path}`;
+        const stored = localStorage.getItem(key);
+        const result = change(stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(_versions)));
+        localStorage.setItem(key, JSON.stringify(result));
+        return { result: result, renamed: {}, publish: null };
+      },
+
+      read(path) {
+        const stored = localStorage.getItem(`versions-memory-${path}`);
+        return stored ? JSON.parse(stored) : null;
+      }
     }
+  };
 
-    return await resp.json();
+  function defaultBackend() {
+    return isLocalhost ? 'local' : 'github';
   }
 
   // ---- Version Manager ----
 
   let _config = null;
+  let _backend = null;
   let _versions = {};  // { id: { name, id, createdAt, updatedAt, config } }
-  let _sha = null;     // Current SHA of versions.json on GitHub
   let _loaded = false;
+  let _lastPublish = null;  // Result of the last GitHubReview.publish()
   let _panelEl = null;
 
   const VersionManager = {
 
+    BACKENDS: BACKENDS,
+
     async init(config) {
-      // config: { chartType, versionsPath, publicUrl, getCurrentConfig, applyConfig, containerSelector }
+      // config: { chartType, kind, versionsPath, versionsUrl, publicUrl, getCurrentConfig, applyConfig, containerSelector, backend }
+      // versionsUrl is where the page fetches versions.json from (default: next to the page)
+      // kind: chart kind for ConfigSchema ('year-bars' | 'index-lines' | 'market-12m' | 'market-balance')
+      // backend: 'github' | 'local' | 'memory' (default from the host)
       _config = config;
+      this.setBackend(config.backend || defaultBackend());
       await this.loadVersions();
       this.renderVersionsPanel();
     },
 
+    // Switch storage backend; the versions list is reloaded by the next loadVersions()
+    setBackend(name) {
+      if (!BACKENDS[name]) throw new Error(`Ukjent lagring for versjoner: ${name}`);
+      _backend = name;
+    },
+
+    getBackend() {
+      return _backend;
+    },
+
     async loadVersions() {
+      _loaded = false;
+
+      // The memory backend keeps its own copy once something is saved
+      const stored = BACKENDS[_backend].read ? BACKENDS[_backend].read(_config.versionsPath) : null;
+      if (stored) {
+        _versions = stored;
+        _loaded = true;
+        return;
+      }
+
       // Try fetching versions.json locally (works on both localhost and GitHub Pages)
       try {
-        const resp = await fetch('versions.json?t=' + Date.now());
+        const resp = await fetch((_config.versionsUrl || 'versions.json') + '?t=' + Date.now());
         if (resp.ok) {
           const data = await resp.json();
           _versions = data.versions || {};
@@ -142,118 +243,171 @@
       }
     },
 
-    async _getLatestFromGitHub(token) {
-      const file = await getFileFromGitHub(_config.versionsPath, token);
-      if (file) {
-        const data = JSON.parse(file.content);
-        _versions = data.versions || {};
-        _sha = file.sha;
-      } else {
-        _versions = {};
-        _sha = null;
-      }
+    // A saved config brought up to the page's schema (ConfigSchema.upgrade() result)
+    _upgrade(config) {
+      if (!window.ConfigSchema || !_config.kind) return { config: config, changed: false, warnings: [] };
+      return ConfigSchema.upgrade(_config.kind, config);
     },
 
-    async _pushToGitHub(message) {
-      const token = getToken();
-      if (!token) throw new Error('Ingen GitHub-token satt. Gå til admin-siden og sett opp token.');
-
-      // Get latest SHA first to avoid conflicts
-      await this._getLatestFromGitHub(token);
+    // The page's settings as they are stored, stamped with the schema version
+    _currentConfig() {
+      const config = _config.getCurrentConfig();
+      if (!window.ConfigSchema || !_config.kind) return config;
+      return ConfigSchema.validate(_config.kind, config).config;
+    },
 
-      // This is called AFTER _versions has been modified by the caller
-      // But we need to re-merge. Let's use a different approach:
-      // The caller passes the modification function
-      return { token };
+    // Ids of versions saved with an older schema than the page's
+    outdatedVersions() {
+      if (!window.ConfigSchema || !_config.kind) return [];
+      return Object.keys(_versions).filter(id => ConfigSchema.isOutdated(_config.kind, _versions[id].config));
     },
 
-    async saveVersion(name) {
-      const token = getToken();
-      if (!token) throw new Error('Ingen GitHub-token satt. Gå til admin-siden og sett opp token.');
+    // Apply `change` to the latest versions and store them with the active backend.
+    // extraFiles: optional function returning (a promise of) more files for the same commit;
+    // it is called after change(), so it can use ids assigned there.
+    // summary (pull request description) may be a function of the renamed ids ({ old: new }),
+    // called after the commit
+    async _commitVersions(message, change, summary, extraFiles) {
+      const out = await BACKENDS[_backend].commit({
+        path: _config.versionsPath,
+        message: message,
+        summary: summary,
+        change: change,
+        extraFiles: extraFiles
+      });
+      _lastPublish = out.publish;
 
-      // Get latest from GitHub
-      await this._getLatestFromGitHub(token);
+      if (!_lastPublish || !_lastPublish.review) {
+        _versions = out.result;
+        localStorage.setItem(`versions-cache-${_config.chartType}`, JSON.stringify(_versions));
+        this._renderList();
+      }
+      return out;
+    },
 
-      const slug = uniqueSlug(slugify(name), Object.keys(_versions));
+    async saveVersion(name) {
       const now = new Date().toISOString();
-
-      _versions[slug] = {
-        name: name,
-        id: slug,
-        createdAt: now,
-        updatedAt: now,
-        config: _config.getCurrentConfig()
-      };
-
-      const fileContent = JSON.stringify({ versions: _versions }, null, 2);
-      await saveFileToGitHub(
-        _config.versionsPath,
-        fileContent,
-        `Ny versjon: ${name} (${_config.chartType})`,
-        token,
-        _sha
-      );
-
-      // Update cache
-      localStorage.setItem(`versions-cache-${_config.chartType}`, JSON.stringify(_versions));
-
-      this._renderList();
-      return slug;
+      let slug = null;
+
+      const merge = await this._commitVersions(`Ny versjon: ${name} (${_config.chartType})`, versions => {
+        slug = uniqueSlug(slugify(name), Object.keys(versions));
+        versions[slug] = {
+          name: name,
+          id: slug,
+          createdAt: now,
+          updatedAt: now,
+          config: this._currentConfig()
+        };
+        return versions;
+      }, renamed => ({ versions: { added: [name], updated: [], deleted: [] }, preview: this._previewPath(renamed[slug] || slug) }),
+      () => this._snapshotFiles(slug));
+
+      // Someone else saved a version with the same id meanwhile
+      return merge.renamed[slug] || slug;
     },
 
     async updateVersion(id) {
-      const token = getToken();
-      if (!token) throw new Error('Ingen GitHub-token satt.');
-
-      await this._getLatestFromGitHub(token);
-
-      if (!_versions[id]) throw new Error('Versjon ikke funnet: ' + id);
+      const name = _versions[id]?.name || id;
+      await this._commitVersions(`Oppdater versjon: ${name} (${_config.chartType})`, versions => {
+        if (!versions[id]) throw new Error('Versjon ikke funnet: ' + id);
+        versions[id].config = this._currentConfig();
+        versions[id].updatedAt = new Date().toISOString();
+        return versions;
+      }, { versions: { added: [], updated: [name], deleted: [] }, preview: this._previewPath(id) },
+      () => this._snapshotFiles(id));
+    },
 
-      _versions[id].config = _config.getCurrentConfig();
-      _versions[id].updatedAt = new Date().toISOString();
+    // Returns false if the version was kept because someone else changed it meanwhile
+    async deleteVersion(id) {
+      const name = _versions[id]?.name || id;
+      const merge = await this._commitVersions(`Slett versjon: ${name} (${_config.chartType})`, versions => {
+        delete versions[id];
+        return versions;
+      }, { versions: { added: [], updated: [], deleted: [name] } },
+      () => ['png', 'svg'].map(format => ({ path: this._snapshotPath(id, format), delete: true })));
+      return !merge.result[id];
+    },
 
-      const fileContent = JSON.stringify({ versions: _versions }, null, 2);
-      await saveFileToGitHub(
-        _config.versionsPath,
-        fileContent,
-        `Oppdater versjon: ${_versions[id].name} (${_config.chartType})`,
-        token,
-        _sha
-      );
+    // Upgrade every outdated version to the current schema in one commit. updatedAt is kept,
+    // since the charts look the same. Returns the number of versions upgraded.
+    async migrateAll() {
+      if (this.outdatedVersions().length === 0) return 0;
+      const upgraded = [];
+      await this._commitVersions(`Oppgrader versjoner til skjemaversjon ${ConfigSchema.currentVersion(_config.kind)} (${_config.chartType})`, versions => {
+        upgraded.length = 0;
+        Object.keys(versions).forEach(id => {
+          if (!ConfigSchema.isOutdated(_config.kind, versions[id].config)) return;
+          const result = this._upgrade(versions[id].config);
+          result.warnings.forEach(w => console.warn(`${versions[id].name}: ${w}`));
+          versions[id].config = result.config;
+          upgraded.push(versions[id].name);
+        });
+        return versions;
+      }, { versions: { added: [], updated: upgraded, deleted: [] } });
+      return upgraded.length;
+    },
 
-      localStorage.setItem(`versions-cache-${_config.chartType}`, JSON.stringify(_versions));
-      this._renderList();
+    // Repo path of a version's snapshot image (same layout as render_snapshots.py)
+    _snapshotPath(id, format) {
+      const idx = _config.versionsPath.lastIndexOf('/');
+      const folder = idx < 0 ? '' : _config.versionsPath.slice(0, idx + 1);
+      return `${folder}snapshots/${_config.chartType}/${id}.${format}`;
     },
 
-    async deleteVersion(id) {
-      const token = getToken();
-      if (!token) throw new Error('Ingen GitHub-token satt.');
+    // PNG and SVG of the preview chart (#chart) with the current settings. A version is still
+    // saved if the images can't be made; render_snapshots.py can fill them in later.
+    async _snapshotFiles(id) {
+      if (!window.ChartSnapshot || typeof Plotly === 'undefined') return [];
+      try {
+        const shot = await ChartSnapshot.render(document.getElementById('chart'), {
+          aspect: _config.getCurrentConfig().aspect
+        });
+        return [
+          { path: this._snapshotPath(id, 'png'), content: shot.png, encoding: 'base64' },
+          { path: this._snapshotPath(id, 'svg'), content: shot.svg }
+        ];
+      } catch (e) {
+        console.warn('Kunne ikke lage bilder av versjonen:', e);
+        return [];
+      }
+    },
 
-      await this._getLatestFromGitHub(token);
+    // Public page for a version, relative to the repo root (for pull request previews)
+    _previewPath(id) {
+      const sep = _config.publicUrl.includes('?') ? '&' : '?';
+      return `${_config.publicUrl}${sep}v=${id}`;
+    },
 
-      const name = _versions[id]?.name || id;
-      delete _versions[id];
-
-      const fileContent = JSON.stringify({ versions: _versions }, null, 2);
-      await saveFileToGitHub(
-        _config.versionsPath,
-        fileContent,
-        `Slett versjon: ${name} (${_config.chartType})`,
-        token,
-        _sha
-      );
-
-      localStorage.setItem(`versions-cache-${_config.chartType}`, JSON.stringify(_versions));
-      this._renderList();
+    // Status text after a save; in review mode the change waits in a pull request
+    _savedText(text) {
+      if (!_lastPublish || !_lastPublish.review) return text;
+      if (!_lastPublish.pullNumber) return `${text} (ingen endringer å sende til godkjenning)`;
+      return `${text} og sendt til godkjenning (pull request #${_lastPublish.pullNumber})`;
     },
 
+    // Public page of a version on the site the active backend publishes to
     getPublicUrl(id) {
-      return `${GITHUB_PAGES_BASE}/${_config.publicUrl}?v=${id}`;
+      return `${BACKENDS[_backend].siteUrl()}${this._previewPath(id)}`;
+    },
+
+    // Stable URL of the version's snapshot image ('png' or 'svg')
+    getSnapshotUrl(id, format = 'png') {
+      return `${BACKENDS[_backend].siteUrl()}${this._snapshotPath(id, format)}`;
     },
 
+    // Lazy embed (see embed.js): the version's aspect ratio reserves the space, the snapshot is
+    // shown until the chart is ready, and the linked snapshot is the fallback where scripts
+    // don't run (RSS, AMP)
     getEmbedCode(id) {
       const url = this.getPublicUrl(id);
-      return `<div class="grafer-embed" data-src="${url}"><script src="${GITHUB_PAGES_BASE}/embed.js"><\/script></div>`;
+      const png = this.getSnapshotUrl(id, 'png');
+      const version = _versions[id];
+      const config = (version && version.config) || {};
+      const title = escapeAttr((config.header && config.header.text) || (version ? version.name : id));
+      const aspect = config.aspect ? ` data-aspect="${escapeAttr(config.aspect)}"` : '';
+      return `<div class="grafer-embed" data-src="${url}"${aspect} data-title="${title}" data-preview="${png}">` +
+        `<a href="${url}"><img src="${png}" alt="${title}" style="width: 100%; height: auto;"></a>` +
+        `<script src="${BACKENDS[_backend].siteUrl()}embed.js"><\/script></div>`;
     },
 
     renderVersionsPanel() {
@@ -274,14 +428,34 @@
       _panelEl = document.createElement('div');
       _panelEl.className = 'versions-panel-container';
       _panelEl.id = 'versionsPanelContainer';
+      const backend = BACKENDS[_backend];
       _panelEl.innerHTML = `
         <div class="versions-panel-inner">
           <div class="versions-save-row">
             <input type="text" id="versionNameInput" placeholder="Versjonsnavn (f.eks. 'Mørk 16:9')" class="version-name-input">
             <button class="btn btn-primary" id="saveNewVersionBtn">Lagre versjon</button>
           </div>
+          ${backend.usesGitHub ? `
+          <label style="display: flex; gap: 0.5rem; align-items: center; font-size: 0.8rem; margin-bottom: 0.5rem; cursor: pointer;">
+            <input type="checkbox" id="versionReviewInput" ${GitHubReview.isEnabled() ? 'checked' : ''}>
+            Send til godkjenning (pull request) i stedet for å publisere direkte
+          </label>` : `
+          <div style="font-size: 0.8rem; margin-bottom: 0.5rem; opacity: 0.7;">Versjoner lagres ${backend.label}</div>`}
           <div id="versionStatus" class="version-status"></div>
           <div id="versionsListContainer" class="versions-list-container"></div>
+          ${window.ConfigSchema && _config.kind ? `
+          <div style="margin-top: 0.5rem;">
+            <button class="btn btn-sm btn-outline" id="migrateVersionsBtn" title="Skriv om eldre versjoner til nåværende innstillingsformat">Oppgrader alle versjoner</button>
+          </div>` : ''}
+          ${backend.usesGitHub ? `
+          <details style="font-size: 0.8rem; margin-top: 0.75rem;" ${GitHubAuth.getToken() ? '' : 'open'}>
+            <summary style="cursor: pointer;">GitHub-tilgang</summary>
+            <div id="versionAuth" style="margin-top: 0.5rem;"></div>
+          </details>
+          <details style="font-size: 0.8rem; margin-top: 0.75rem;">
+            <summary style="cursor: pointer;">Forespørsler om godkjenning</summary>
+            <div id="versionReviewRequests" style="margin-top: 0.5rem;"></div>
+          </details>` : ''}
         </div>
       `;
 
@@ -308,7 +482,7 @@
         try {
           const slug = await this.saveVersion(name);
           nameInput.value = '';
-          this._showStatus(`Versjon "${name}" lagret! (${slug})`, 'success');
+          this._showStatus(this._savedText(`Versjon "${name}" lagret (${slug})`), 'success');
         } catch (e) {
           this._showStatus('Feil: ' + e.message, 'error');
         } finally {
@@ -317,6 +491,35 @@
         }
       });
 
+      const migrateBtn = document.getElementById('migrateVersionsBtn');
+      if (migrateBtn) {
+        migrateBtn.addEventListener('click', async () => {
+          const outdated = this.outdatedVersions();
+          if (outdated.length === 0) {
+            this._showStatus('Alle versjoner er oppdatert', 'success');
+            return;
+          }
+          if (!confirm(`Oppgrader ${outdated.length} versjon(er) til nåværende innstillingsformat?`)) return;
+          migrateBtn.disabled = true;
+          try {
+            const count = await this.migrateAll();
+            this._showStatus(this._savedText(`${count} versjon(er) oppgradert`), 'success');
+          } catch (e) {
+            this._showStatus('Feil: ' + e.message, 'error');
+          } finally {
+            migrateBtn.disabled = false;
+          }
+        });
+      }
+
+      // Review mode (shared with the admin pages) and pending pull requests
+      if (backend.usesGitHub) {
+        const reviewInput = document.getElementById('versionReviewInput');
+        reviewInput.addEventListener('change', () => GitHubReview.setEnabled(reviewInput.checked));
+        GitHubReview.renderRequests(document.getElementById('versionReviewRequests'), { owner: OWNER, repo: REPO, getToken: GitHubAuth.getToken });
+        GitHubAuth.renderSettings(document.getElementById('versionAuth'), { owner: OWNER, repo: REPO });
+      }
+
       // Wire up toggle button
       const toggleBtn = document.getElementById('versionsToggleBtn');
       if (toggleBtn) {
@@ -381,6 +584,7 @@
               <button class="btn btn-sm btn-primary update-version-btn" title="Oppdater med nåværende innstillinger">Oppdater</button>
               <button class="btn btn-sm btn-outline copy-link-btn" title="Kopier lenke">Kopier lenke</button>
               <button class="btn btn-sm btn-outline copy-embed-btn" title="Kopier embed-kode">Embed</button>
+              <button class="btn btn-sm btn-outline copy-image-btn" title="Kopier lenke til PNG-bilde (SVG: bytt .png med .svg)">Bilde</button>
               <button class="btn btn-sm btn-danger delete-version-btn" title="Slett versjon">Slett</button>
             </div>
           </div>
@@ -393,7 +597,9 @@
           const id = e.target.closest('.version-item').dataset.id;
           const version = _versions[id];
           if (version && _config.applyConfig) {
-            _config.applyConfig(version.config);
+            const upgraded = this._upgrade(version.config);
+            upgraded.warnings.forEach(w => console.warn(`${version.name}: ${w}`));
+            _config.applyConfig(upgraded.config);
             this._showStatus(`Versjon "${version.name}" lastet inn`, 'success');
           }
         });
@@ -410,7 +616,7 @@
           btn.textContent = 'Lagrer...';
           try {
             await this.updateVersion(id);
-            this._showStatus(`Versjon "${version.name}" oppdatert!`, 'success');
+            this._showStatus(this._savedText(`Versjon "${version.name}" oppdatert`), 'success');
           } catch (e) {
             this._showStatus('Feil: ' + e.message, 'error');
           } finally {
@@ -442,6 +648,16 @@
         });
       });
 
+      container.querySelectorAll('.copy-image-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          const id = e.target.closest('.version-item').dataset.id;
+          navigator.clipboard.writeText(this.getSnapshotUrl(id, 'png')).then(() => {
+            btn.textContent = 'Kopiert!';
+            setTimeout(() => { btn.textContent = 'Bilde'; }, 2000);
+          });
+        });
+      });
+
       container.querySelectorAll('.delete-version-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
           const id = e.target.closest('.version-item').dataset.id;
@@ -452,8 +668,11 @@
           btn.disabled = true;
           btn.textContent = 'Sletter...';
           try {
-            await this.deleteVersion(id);
-            this._showStatus(`Versjon "${version.name}" slettet`, 'success');
+            if (await this.deleteVersion(id)) {
+              this._showStatus(this._savedText(`Versjon "${version.name}" slettet`), 'success');
+            } else {
+              this._showStatus(`Versjon "${version.name}" ble endret av andre i mellomtiden og er ikke slettet`, 'error');
+            }
           } catch (e) {
             this._showStatus('Feil: ' + e.message, 'error');
           }